@@ -29,13 +29,19 @@ function getPackageInfo() {
 // Import all modules from src directory
 const duration = require('./src/duration');
 const file = require('./src/file');
+const binary = require('./src/binary');
+const audioMetadata = require('./src/audio-metadata');
 const text = require('./src/text');
 const validation = require('./src/validation');
 const batch = require('./src/batch');
+const rateLimit = require('./src/rate-limit');
+const checkpoint = require('./src/checkpoint');
 const dataTransform = require('./src/data-transform');
 const sql = require('./src/sql');
+const schema = require('./src/schema');
 const sqlSanitization = require('./src/sql-sanitization'); // Legacy compatibility
 const n8n = require('./src/n8n');
+const lineage = require('./src/lineage');
 const slackBlocks = require('./src/slack-blocks');
 
 // Export all functions from all modules (individual imports)
@@ -44,13 +50,19 @@ module.exports = {
   // Individual function exports (flat namespace)
   ...duration,
   ...file,
+  ...binary,
+  ...audioMetadata,
   ...text,
   ...validation,
   ...batch,
+  ...rateLimit,
+  ...checkpoint,
   ...dataTransform,
   ...sql,
+  ...schema,
   ...sqlSanitization, // Legacy exports for backward compatibility
   ...n8n,
+  ...lineage,
   ...slackBlocks,
 
   // Version and debugging functions
@@ -60,13 +72,19 @@ module.exports = {
   // Module namespace exports (organized imports)
   duration,
   file,
+  binary,
+  audioMetadata,
   text,
   validation,
   batch,
+  rateLimit,
+  checkpoint,
   dataTransform,
   sql,
+  schema,
   sqlSanitization, // Legacy - use dataTransform + sql instead
   n8n,
+  lineage,
   slackBlocks
 };
 
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// scripts/generate-schema-registry.js
+// Regenerates src/schema-registry.json from the CREATE TABLE scripts in documentation/schema_scripts
+// Run with: npm run schema:generate
+
+const fs = require('fs');
+const path = require('path');
+const { parseDdl } = require('../src/schema');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'documentation', 'schema_scripts');
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'schema-registry.json');
+
+const tables = {};
+
+for (const fileName of fs.readdirSync(SCRIPTS_DIR).filter(name => name.endsWith('.sql')).sort()) {
+  const parsed = parseDdl(fs.readFileSync(path.join(SCRIPTS_DIR, fileName), 'utf8'));
+  for (const [tableName, table] of Object.entries(parsed)) {
+    if (tables[tableName]) {
+      throw new Error(`Table '${tableName}' is defined more than once (${fileName})`);
+    }
+    tables[tableName] = table;
+  }
+}
+
+const sorted = Object.fromEntries(Object.keys(tables).sort().map(name => [name, tables[name]]));
+fs.writeFileSync(OUTPUT_FILE, JSON.stringify(sorted, null, 2) + '\n');
+
+console.log(`Wrote ${Object.keys(sorted).length} tables to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
@@ -0,0 +1,590 @@
+// src/audio-metadata.js
+// Pure-JS audio metadata parser: ID3v2/ID3v1 tags, MP3 frame headers (Xing/VBRI) and MP4 atoms
+// Measures duration from the file itself for episodes whose feed omits itunes:duration
+
+const { detectFileType } = require('./file');
+const { parseDurationToSeconds, formatFriendlyDuration } = require('./duration');
+
+// MPEG audio bitrates in kbps, indexed by [MPEG-1 ? 'v1' : 'v2'][layer][bitrate index]
+const MPEG_BITRATES = {
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+// Sample rates indexed by MPEG version bits (0: MPEG-2.5, 2: MPEG-2, 3: MPEG-1)
+const MPEG_SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+// ID3v2 frame ids for the fields we return; v2.2 uses three-character ids
+const ID3_TEXT_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TDRC: 'year', TYER: 'year', TYE: 'year',
+  TCON: 'genre', TCO: 'genre'
+};
+
+// iTunes-style MP4 metadata items (© is byte 0xA9)
+const MP4_TEXT_ATOMS = {
+  '\xA9nam': 'title',
+  '\xA9ART': 'artist',
+  '\xA9alb': 'album',
+  '\xA9day': 'year',
+  '\xA9gen': 'genre',
+  '\xA9cmt': 'comment'
+};
+
+const MP4_CONTAINERS = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'ilst'];
+
+/**
+ * Read an ID3v2 syncsafe integer (7 bits per byte)
+ * @private
+ */
+function readSyncsafe(bytes, offset) {
+  return ((bytes[offset] & 0x7F) << 21) | ((bytes[offset + 1] & 0x7F) << 14) |
+    ((bytes[offset + 2] & 0x7F) << 7) | (bytes[offset + 3] & 0x7F);
+}
+
+/**
+ * Undo ID3 unsynchronisation (0xFF 0x00 → 0xFF)
+ * @private
+ */
+function removeUnsynchronisation(bytes) {
+  const output = [];
+  for (let i = 0; i < bytes.length; i++) {
+    output.push(bytes[i]);
+    if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+  }
+  return Buffer.from(output);
+}
+
+/**
+ * Decode ID3 text in one of its four encodings
+ * 0: ISO-8859-1, 1: UTF-16 with BOM, 2: UTF-16BE, 3: UTF-8
+ * @private
+ */
+function decodeText(bytes, encoding) {
+  let text;
+  if (encoding === 1 || encoding === 2) {
+    let data = Buffer.from(bytes);
+    let bigEndian = encoding === 2;
+    if (data[0] === 0xFE && data[1] === 0xFF) {
+      bigEndian = true;
+      data = data.subarray(2);
+    } else if (data[0] === 0xFF && data[1] === 0xFE) {
+      data = data.subarray(2);
+    }
+    data = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+    text = (bigEndian ? data.swap16() : data).toString('utf16le');
+  } else {
+    text = Buffer.from(bytes).toString(encoding === 3 ? 'utf8' : 'latin1');
+  }
+  return text.replace(/\0+$/, '');
+}
+
+/**
+ * Split a terminated string off the front of ID3 frame data
+ * UTF-16 strings end with a two-byte null on an even offset, others with one null byte.
+ * @private
+ */
+function readTerminated(bytes, offset, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  let end = offset;
+  while (end < bytes.length) {
+    if (!wide && bytes[end] === 0) break;
+    if (wide && bytes[end] === 0 && bytes[end + 1] === 0) break;
+    end += wide ? 2 : 1;
+  }
+  return {
+    text: decodeText(bytes.subarray(offset, end), encoding),
+    next: Math.min(bytes.length, end + (wide ? 2 : 1))
+  };
+}
+
+/**
+ * Decode a text frame; ID3v2.4 separates multiple values with nulls, the first one is used
+ * @private
+ */
+function decodeTextFrame(data) {
+  const text = decodeText(data.subarray(1), data[0]);
+  return text.split('\0')[0].trim() || null;
+}
+
+/**
+ * Decode an APIC (v2.3/v2.4) or PIC (v2.2) frame
+ * @private
+ */
+function decodePicture(data, isV22) {
+  const encoding = data[0];
+  let offset = 1;
+  let mimeType;
+
+  if (isV22) {
+    const format = data.subarray(1, 4).toString('latin1').toUpperCase();
+    mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const mime = readTerminated(data, 1, 0);
+    mimeType = mime.text.toLowerCase() || 'image/jpeg';
+    offset = mime.next;
+  }
+
+  const pictureType = data[offset];
+  const description = readTerminated(data, offset + 1, encoding);
+  // Some taggers write just "jpg" or "png" instead of a MIME type
+  if (!mimeType.includes('/')) {
+    mimeType = `image/${mimeType === 'jpg' ? 'jpeg' : mimeType}`;
+  }
+
+  return {
+    mimeType,
+    pictureType,
+    description: description.text || null,
+    data: Buffer.from(data.subarray(description.next))
+  };
+}
+
+/**
+ * Parse an ID3v2 tag at the start of the buffer
+ * @private
+ * @returns {Object|null} { version, size (total tag bytes), fields, artwork, lengthMs }
+ */
+function parseId3v2(bytes) {
+  if (bytes.length < 10 || bytes.toString('latin1', 0, 3) !== 'ID3') {
+    return null;
+  }
+
+  const major = bytes[3];
+  const flags = bytes[5];
+  const size = 10 + readSyncsafe(bytes, 6) + (flags & 0x10 ? 10 : 0);
+  const result = { version: `ID3v2.${major}`, size, fields: {}, artwork: null, lengthMs: null };
+
+  if (major < 2 || major > 4) {
+    return result;
+  }
+
+  let body = bytes.subarray(10, Math.min(bytes.length, 10 + readSyncsafe(bytes, 6)));
+  if ((flags & 0x80) && major < 4) {
+    body = removeUnsynchronisation(body);
+  }
+
+  let offset = 0;
+  if (flags & 0x40 && major > 2) {
+    // v2.3 extended header size excludes its own 4 size bytes; v2.4 size includes them.
+    // A truncated tag may end inside the extended header: there are no frames to read
+    offset = body.length < 4
+      ? body.length
+      : Math.min(body.length, major === 3 ? 4 + body.readUInt32BE(0) : readSyncsafe(body, 0));
+  }
+
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+
+  while (offset + headerLength <= body.length) {
+    const id = body.toString('latin1', offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+    let frameSize;
+    if (major === 2) {
+      frameSize = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+    } else if (major === 3) {
+      frameSize = body.readUInt32BE(offset + 4);
+    } else {
+      frameSize = readSyncsafe(body, offset + 4);
+    }
+
+    const formatFlags = major === 4 ? body[offset + 9] : 0;
+    let data = body.subarray(offset + headerLength, offset + headerLength + frameSize);
+    offset += headerLength + frameSize;
+
+    if (data.length === 0) continue;
+    // v2.4 frame flags: 0x01 data length indicator (4 bytes), 0x02 unsynchronised
+    if (formatFlags & 0x01) data = data.subarray(4);
+    if (formatFlags & 0x02) data = removeUnsynchronisation(data);
+
+    if (ID3_TEXT_FRAMES[id]) {
+      result.fields[ID3_TEXT_FRAMES[id]] = result.fields[ID3_TEXT_FRAMES[id]] || decodeTextFrame(data);
+    } else if (id === 'COMM' || id === 'COM') {
+      // encoding, 3-byte language, short description, then the comment
+      const description = readTerminated(data, 4, data[0]);
+      const text = decodeText(data.subarray(description.next), data[0]).trim();
+      result.fields.comment = result.fields.comment || text || null;
+    } else if (id === 'TLEN' || id === 'TLE') {
+      const lengthMs = Number(decodeTextFrame(data));
+      result.lengthMs = lengthMs > 0 ? lengthMs : null;
+    } else if (id === 'APIC' || id === 'PIC') {
+      // Prefer the front cover (picture type 3) when there are several pictures
+      const picture = decodePicture(data, major === 2);
+      if (!result.artwork || (picture.pictureType === 3 && result.artwork.pictureType !== 3)) {
+        result.artwork = picture;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse an ID3v1 tag in the last 128 bytes
+ * @private
+ */
+function parseId3v1(bytes) {
+  if (bytes.length < 128) return null;
+  const tag = bytes.subarray(bytes.length - 128);
+  if (tag.toString('latin1', 0, 3) !== 'TAG') return null;
+
+  const field = (start, length) => tag.toString('latin1', start, start + length).replace(/\0.*$/, '').trim() || null;
+  return {
+    title: field(3, 30),
+    artist: field(33, 30),
+    album: field(63, 30),
+    year: field(93, 4),
+    comment: field(97, 30)
+  };
+}
+
+/**
+ * Decode an MPEG audio frame header
+ * @private
+ */
+function readFrameHeader(bytes, offset) {
+  if (offset + 4 > bytes.length || bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+  const layerBits = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 0x0F || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = 4 - layerBits;
+  const isV1 = versionBits === 3;
+  const bitrate = MPEG_BITRATES[isV1 ? 'v1' : 'v2'][layer][bitrateIndex];
+  const sampleRate = MPEG_SAMPLE_RATES[versionBits][sampleRateIndex];
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const channels = (bytes[offset + 3] >> 6) === 3 ? 1 : 2;
+  const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && !isV1 ? 576 : 1152);
+  const frameLength = layer === 1
+    ? Math.floor((12 * bitrate * 1000) / sampleRate + padding) * 4
+    : Math.floor((samplesPerFrame / 8) * bitrate * 1000 / sampleRate) + padding;
+
+  return { isV1, layer, bitrate, sampleRate, channels, samplesPerFrame, frameLength };
+}
+
+/**
+ * Find the first MPEG frame at or after offset
+ * A candidate counts when the next frame header follows it, or the buffer ends before that.
+ * @private
+ */
+function findFirstFrame(bytes, offset, maxScan = 65536) {
+  const end = Math.min(bytes.length - 4, offset + maxScan);
+  for (let position = offset; position <= end; position++) {
+    const header = readFrameHeader(bytes, position);
+    if (!header) continue;
+
+    const next = position + header.frameLength;
+    if (next + 4 > bytes.length || readFrameHeader(bytes, next)) {
+      return { offset: position, header };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a Xing/Info or VBRI header from the first frame
+ * @private
+ * @returns {Object|null} { source, frames, bytes }
+ */
+function readVbrHeader(bytes, frameOffset, header) {
+  const sideInfo = header.isV1 ? (header.channels === 1 ? 17 : 32) : (header.channels === 1 ? 9 : 17);
+  const xingOffset = frameOffset + 4 + sideInfo;
+  const xingId = bytes.toString('latin1', xingOffset, xingOffset + 4);
+
+  if ((xingId === 'Xing' || xingId === 'Info') && xingOffset + 8 <= bytes.length) {
+    const flags = bytes.readUInt32BE(xingOffset + 4);
+    let position = xingOffset + 8;
+    let frames = null;
+    let byteCount = null;
+    if (flags & 0x01 && position + 4 <= bytes.length) {
+      frames = bytes.readUInt32BE(position);
+      position += 4;
+    }
+    if (flags & 0x02 && position + 4 <= bytes.length) {
+      byteCount = bytes.readUInt32BE(position);
+    }
+    return frames ? { source: 'xing', frames, bytes: byteCount } : null;
+  }
+
+  const vbriOffset = frameOffset + 36;
+  if (bytes.toString('latin1', vbriOffset, vbriOffset + 4) === 'VBRI' && vbriOffset + 18 <= bytes.length) {
+    return { source: 'vbri', frames: bytes.readUInt32BE(vbriOffset + 14), bytes: bytes.readUInt32BE(vbriOffset + 10) };
+  }
+
+  return null;
+}
+
+/**
+ * Parse MP3 stream properties and duration
+ * @private
+ */
+function parseMpegAudio(bytes, startOffset, fileSize, trailingTagBytes) {
+  const frame = findFirstFrame(bytes, startOffset);
+  if (!frame) return null;
+
+  const { header } = frame;
+  const vbr = readVbrHeader(bytes, frame.offset, header);
+  const result = {
+    bitrate: header.bitrate,
+    sampleRate: header.sampleRate,
+    channels: header.channels,
+    durationSeconds: null,
+    durationSource: null
+  };
+
+  if (vbr) {
+    result.durationSeconds = (vbr.frames * header.samplesPerFrame) / header.sampleRate;
+    result.durationSource = vbr.source;
+    if (vbr.bytes && result.durationSeconds > 0) {
+      result.bitrate = Math.round((vbr.bytes * 8) / result.durationSeconds / 1000);
+    }
+  } else {
+    const audioBytes = fileSize - frame.offset - trailingTagBytes;
+    if (audioBytes > 0) {
+      result.durationSeconds = (audioBytes * 8) / (header.bitrate * 1000);
+      result.durationSource = 'bitrate';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Walk MP4 atoms in a range, calling visit(type, start, end, headerSize) for each
+ * @private
+ */
+function walkAtoms(bytes, start, end, visit) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = bytes.readUInt32BE(offset);
+    const type = bytes.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(bytes.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    visit(type, offset, offset + size, headerSize);
+    offset += size;
+  }
+}
+
+/**
+ * Parse MP4/M4A atoms: mvhd duration, audio track sample rate and channels, ilst metadata
+ * @private
+ */
+function parseMp4(bytes) {
+  const result = {
+    fields: {},
+    artwork: null,
+    durationSeconds: null,
+    sampleRate: null,
+    channels: null,
+    mdatBytes: null
+  };
+  let trackIsSound = false;
+
+  const visit = (type, start, atomEnd, headerSize) => {
+    const payload = start + headerSize;
+    const end = Math.min(atomEnd, bytes.length);
+
+    if (type === 'mdat') {
+      result.mdatBytes = atomEnd - payload;
+    } else if (MP4_CONTAINERS.includes(type)) {
+      if (type === 'trak') trackIsSound = false;
+      walkAtoms(bytes, payload, end, visit);
+    } else if (type === 'meta') {
+      // meta is a full box: version and flags precede its children
+      walkAtoms(bytes, payload + 4, end, visit);
+    } else if (type === 'mvhd' && payload + (bytes[payload] === 1 ? 32 : 20) <= end) {
+      const version = bytes[payload];
+      const timescale = bytes.readUInt32BE(payload + (version === 1 ? 20 : 12));
+      const duration = version === 1
+        ? Number(bytes.readBigUInt64BE(payload + 24))
+        : bytes.readUInt32BE(payload + 16);
+      result.durationSeconds = timescale > 0 ? duration / timescale : null;
+    } else if (type === 'hdlr' && payload + 12 <= end) {
+      trackIsSound = bytes.toString('latin1', payload + 8, payload + 12) === 'soun';
+    } else if (type === 'stsd' && trackIsSound && payload + 44 <= end) {
+      // First sample entry: size, format, 6 reserved, data reference index, 8 reserved, then audio fields
+      const entry = payload + 8;
+      result.channels = bytes.readUInt16BE(entry + 24);
+      result.sampleRate = bytes.readUInt32BE(entry + 32) >>> 16;
+    } else if (MP4_TEXT_ATOMS[type] || type === 'covr') {
+      walkAtoms(bytes, payload, end, (dataType, dataStart, dataEnd) => {
+        if (dataType !== 'data' || dataStart + 16 > end) return;
+        // data atom: 4-byte type indicator, 4-byte locale, then the value
+        const wellKnownType = bytes.readUInt32BE(dataStart + 8) & 0xFFFFFF;
+        const value = bytes.subarray(dataStart + 16, Math.min(dataEnd, end));
+        if (type === 'covr') {
+          result.artwork = result.artwork || {
+            mimeType: wellKnownType === 14 ? 'image/png' : 'image/jpeg',
+            pictureType: 3,
+            description: null,
+            data: Buffer.from(value)
+          };
+        } else {
+          result.fields[MP4_TEXT_ATOMS[type]] = value.toString('utf8').trim() || null;
+        }
+      });
+    }
+  };
+
+  walkAtoms(bytes, 0, bytes.length, visit);
+  return result;
+}
+
+/**
+ * Parse metadata from an audio file
+ * Supports MP3 (ID3v2.2–2.4, ID3v1, Xing/Info, VBRI and constant-bitrate duration) and
+ * MP4/M4A (mvhd duration, sample entry, iTunes ilst tags). Other formats return only their format.
+ * @param {Buffer|Uint8Array|Object} content - File content, or an n8n binary data object
+ * @param {Object} options - Parsing options
+ * @param {number} options.fileSize - Full file size in bytes when content is only the start of the file
+ *   (e.g. a Range request); used for constant-bitrate MP3 duration
+ * @returns {Object} { format, title, artist, album, year, genre, comment, durationSeconds,
+ *   durationSource, bitrate, sampleRate, channels, artwork, tags }
+ */
+function parseAudioMetadata(content, options = {}) {
+  let bytes = content;
+  if (content && typeof content === 'object' && !(content instanceof Uint8Array) && typeof content.data === 'string') {
+    bytes = Buffer.from(content.data, 'base64');
+  }
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('parseAudioMetadata requires a Buffer, Uint8Array or n8n binary data object');
+  }
+  bytes = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const fileSize = options.fileSize || bytes.length;
+  const detected = detectFileType(bytes);
+  const metadata = {
+    format: detected ? detected.extension : null,
+    title: null,
+    artist: null,
+    album: null,
+    year: null,
+    genre: null,
+    comment: null,
+    durationSeconds: null,
+    durationSource: null,
+    bitrate: null,
+    sampleRate: null,
+    channels: null,
+    artwork: null,
+    tags: []
+  };
+
+  const setFields = (fields) => {
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (value && !metadata[key]) metadata[key] = value;
+    }
+  };
+
+  if (detected && ['m4a', 'mp4', 'mov', '3gp'].includes(detected.extension)) {
+    const mp4 = parseMp4(bytes);
+    setFields(mp4.fields);
+    if (Object.keys(mp4.fields).length > 0 || mp4.artwork) metadata.tags.push('iTunes');
+    metadata.artwork = mp4.artwork;
+    metadata.sampleRate = mp4.sampleRate;
+    metadata.channels = mp4.channels;
+    if (mp4.durationSeconds) {
+      metadata.durationSeconds = mp4.durationSeconds;
+      metadata.durationSource = 'mvhd';
+      if (mp4.mdatBytes) metadata.bitrate = Math.round((mp4.mdatBytes * 8) / mp4.durationSeconds / 1000);
+    }
+    return finalize(metadata);
+  }
+
+  const id3 = parseId3v2(bytes);
+  // ID3v1 sits at the end of the file, so it is only visible when the whole file was read
+  const id3v1 = fileSize === bytes.length ? parseId3v1(bytes) : null;
+  if (id3) {
+    metadata.tags.push(id3.version);
+    setFields(id3.fields);
+    metadata.artwork = id3.artwork;
+  }
+  if (id3v1) {
+    metadata.tags.push('ID3v1');
+    setFields(id3v1);
+  }
+
+  if (metadata.format === 'mp3') {
+    const stream = parseMpegAudio(bytes, id3 ? id3.size : 0, fileSize, id3v1 ? 128 : 0);
+    if (stream) {
+      Object.assign(metadata, stream);
+    }
+  }
+
+  if (!metadata.durationSeconds && id3?.lengthMs) {
+    metadata.durationSeconds = id3.lengthMs / 1000;
+    metadata.durationSource = 'id3';
+  }
+
+  return finalize(metadata);
+}
+
+/**
+ * Round the duration to milliseconds
+ * @private
+ */
+function finalize(metadata) {
+  if (metadata.durationSeconds !== null) {
+    metadata.durationSeconds = Math.round(metadata.durationSeconds * 1000) / 1000;
+  }
+  return metadata;
+}
+
+/**
+ * Pick an episode duration: the declared one when usable, otherwise the measured one
+ * Both go through parseDurationToSeconds, so the result matches feed-derived durations.
+ * @param {string|number} declared - Declared duration (e.g. itunes:duration)
+ * @param {Object} metadata - parseAudioMetadata result
+ * @param {Object} options - formatFriendlyDuration options (includeSeconds, format)
+ * @returns {Object} { duration, durationFriendly, source: 'declared'|'metadata'|null }
+ */
+function backfillDuration(declared, metadata, options = {}) {
+  const declaredSeconds = parseDurationToSeconds(declared);
+  if (declaredSeconds > 0) {
+    return { duration: declaredSeconds, durationFriendly: formatFriendlyDuration(declaredSeconds, options), source: 'declared' };
+  }
+
+  const measuredSeconds = metadata?.durationSeconds ? parseDurationToSeconds(metadata.durationSeconds) : null;
+  if (measuredSeconds > 0) {
+    return { duration: measuredSeconds, durationFriendly: formatFriendlyDuration(measuredSeconds, options), source: 'metadata' };
+  }
+
+  return { duration: declaredSeconds, durationFriendly: null, source: null };
+}
+
+module.exports = {
+  parseAudioMetadata,
+  backfillDuration
+};
@@ -2,8 +2,10 @@
 // N8N-focused batch processing utilities with automatic context injection
 
 const _ = require('lodash');
-const { createN8NProcessingError, calculateErrorStats } = require('./error');
+const { createBaseError, createN8NProcessingError, calculateErrorStats, classifyError, isErrorObject } = require('./error');
 const { extractNodeData, getNodeValue } = require('./n8n');
+const { createRateLimiter } = require('./rate-limit');
+const { createCheckpointStore } = require('./checkpoint');
 
 /**
  * Validate that node data contains required fields
@@ -193,8 +195,139 @@ async function processSingleItem(item, itemIndex, processor, nodeNames, $fn, log
 }
 
 
+/**
+ * Call node accessor functions for an item index
+ * A failing accessor yields null for that node rather than failing the item.
+ * @private
+ * @returns {Array} Node data in accessor order
+ */
+function callNodeAccessors(nodeAccessors, nodeNames, itemIndex, logErrors) {
+  return nodeNames.map(nodeName => {
+    const accessor = nodeAccessors[nodeName];
+    if (typeof accessor !== 'function') {
+      throw new Error(`Accessor for node '${nodeName}' must be a function`);
+    }
+
+    try {
+      return accessor(itemIndex);
+    } catch (nodeError) {
+      if (logErrors) {
+        console.warn(`Failed to extract data from node '${nodeName}' for item ${itemIndex}:`, nodeError.message);
+      }
+      return null;
+    }
+  });
+}
+
+/**
+ * Await a processor result, rejecting if it takes longer than timeoutMs
+ * Timeout errors carry code 'PROCESSOR_TIMEOUT'. The processor itself cannot be cancelled;
+ * it keeps running and its eventual result is ignored.
+ * @private
+ */
+async function withTimeout(promise, timeoutMs, label) {
+  if (!timeoutMs) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'PROCESSOR_TIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Resolve retry options, or null when retries are disabled
+ * @private
+ */
+function normalizeRetryOptions(retry) {
+  if (!retry) return null;
+
+  const config = {
+    attempts: 3,
+    backoff: 'exponential',
+    baseMs: 200,
+    maxMs: 10000,
+    jitter: true,
+    retryOn: null,
+    retryTimeouts: false,
+    ...(typeof retry === 'object' ? retry : {})
+  };
+
+  if (!Number.isInteger(config.attempts) || config.attempts < 1) {
+    throw new Error('retry.attempts must be a positive integer');
+  }
+  if (!['exponential', 'linear'].includes(config.backoff)) {
+    throw new Error(`Invalid retry.backoff '${config.backoff}'. Use 'exponential' or 'linear'`);
+  }
+  if (config.retryOn !== null && typeof config.retryOn !== 'function' && !Array.isArray(config.retryOn)) {
+    throw new Error('retry.retryOn must be a function or an array of error codes, statuses or reasons');
+  }
+
+  return config;
+}
+
+/**
+ * Decide whether a failed attempt should be retried
+ * retryOn may be a predicate (error, classification, attempt) or a list of error codes,
+ * HTTP statuses, SQL error numbers or classification reasons; by default transient errors are retried.
+ * Processor timeouts are only retried by default with retryTimeouts, since the timed-out call is still running.
+ * @private
+ */
+function shouldRetry(error, classification, attempt, config) {
+  if (typeof config.retryOn === 'function') {
+    return Boolean(config.retryOn(error, classification, attempt));
+  }
+  if (Array.isArray(config.retryOn)) {
+    return config.retryOn.some(match =>
+      match === classification.code ||
+      match === classification.status ||
+      match === classification.sqlErrorNumber ||
+      match === classification.reason
+    );
+  }
+  if (classification.reason === 'processor_timeout') {
+    return config.retryTimeouts;
+  }
+  return classification.retryable;
+}
+
+/**
+ * Delay before retry number `retry` (1-based), honouring Retry-After when the server sent one
+ * jitter: true randomizes the delay between 50% and 100%; a number 0-1 sets the randomized fraction.
+ * @private
+ */
+function computeRetryDelay(retry, config, classification) {
+  const raw = config.backoff === 'linear'
+    ? config.baseMs * retry
+    : config.baseMs * Math.pow(2, retry - 1);
+  let delay = Math.min(raw, config.maxMs);
+
+  const jitter = config.jitter === true ? 0.5 : Number(config.jitter) || 0;
+  if (jitter > 0) {
+    delay -= delay * Math.min(jitter, 1) * Math.random();
+  }
+
+  if (classification.retryAfterMs !== null) {
+    delay = Math.max(delay, Math.min(classification.retryAfterMs, config.maxMs));
+  }
+
+  return Math.round(delay);
+}
+
 /**
  * Process n8n items with node accessor functions to preserve itemMatching behavior
+ * Processors may be sync or async; results are returned in input order regardless of completion order.
  * @param {Array} items - N8N items from $input.all() or $('NodeName').all()
  * @param {Function} processor - Processing function that receives: ($item, $json, $itemIndex, ...nodeData)
  * @param {Object} nodeAccessors - Object with node names as keys and accessor functions as values
@@ -203,13 +336,34 @@ async function processSingleItem(item, itemIndex, processor, nodeNames, $fn, log
  * @param {boolean} options.maintainPairing - Maintain n8n item pairing (default: true)
  * @param {boolean} options.logErrors - Log processing errors (default: true)
  * @param {boolean} options.stopOnError - Stop processing on first error (default: false)
+ * @param {number} options.concurrency - Maximum number of items processed at once (default: 1)
+ * @param {number} options.timeoutMs - Fail an item whose processor takes longer than this (default: no timeout)
+ * @param {Object} options.retry - Retry failed items (default: no retries)
+ * @param {number} options.retry.attempts - Maximum attempts per item, including the first (default: 3)
+ * @param {string} options.retry.backoff - 'exponential' (default) or 'linear'
+ * @param {number} options.retry.baseMs - Delay before the first retry (default: 200)
+ * @param {number} options.retry.maxMs - Maximum delay between attempts (default: 10000)
+ * @param {boolean|number} options.retry.jitter - Randomize delays (default: true)
+ * @param {Function|Array} options.retry.retryOn - Predicate (error, classification, attempt) or list of
+ *   codes/statuses/reasons to retry (default: errors classifyError marks transient)
+ * @param {boolean} options.retry.retryTimeouts - Also retry attempts that hit timeoutMs (default: false).
+ *   The timed-out attempt keeps running, so only enable this for idempotent processors
+ * @param {Object} options.rateLimit - Rate limit processor calls: { requestsPerInterval, intervalMs, staticData, key }
+ *   or a limiter from createRateLimiter to share one budget across calls (default: no limit)
+ * @param {Object} options.checkpoint - Skip items completed by an earlier execution and record new completions:
+ *   { identity, staticData | adapter, key, flushEvery } or a store from createCheckpointStore (default: none)
  * @returns {Promise<Object>} Processing results with items, errors, and stats
  */
 async function processItemsWithPairing(items, processor, nodeAccessors = {}, options = {}) {
   const { 
     maintainPairing = true,
     logErrors = true, 
-    stopOnError = false
+    stopOnError = false,
+    concurrency = 1,
+    timeoutMs = null,
+    retry = null,
+    rateLimit = null,
+    checkpoint = null
   } = options;
   
   // Validate inputs
@@ -224,44 +378,125 @@ async function processItemsWithPairing(items, processor, nodeAccessors = {}, opt
   if (typeof nodeAccessors !== 'object' || nodeAccessors === null) {
     throw new Error('NodeAccessors must be an object with node names as keys and accessor functions as values');
   }
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('Concurrency must be a positive integer');
+  }
+
+  if (timeoutMs !== null && (typeof timeoutMs !== 'number' || !(timeoutMs > 0))) {
+    throw new Error('timeoutMs must be a positive number');
+  }
+
+  const retryConfig = normalizeRetryOptions(retry);
+  const limiter = rateLimit && typeof rateLimit.acquire === 'function'
+    ? rateLimit
+    : (rateLimit ? createRateLimiter(rateLimit) : null);
+  const checkpointStore = checkpoint && typeof checkpoint.markComplete === 'function'
+    ? checkpoint
+    : (checkpoint ? createCheckpointStore(checkpoint) : null);
+
+  if (checkpointStore) {
+    await checkpointStore.load();
+  }
   
   // Add explicit synchronization delay once at the start to allow n8n state to settle
   await new Promise(resolve => setTimeout(resolve, 150));
   
-  const results = [];
-  const errors = [];
+  // Slots indexed by item so results keep input order when items finish out of order
+  const slots = new Array(items.length);
+  const errorSlots = new Array(items.length);
   const nodeNames = Object.keys(nodeAccessors);
-  
-  // Process all items
-  for (let i = 0; i < items.length; i++) {
-    const item = items[i];
-    const itemIndex = i;
+  const retryStats = { retriedItems: 0, retries: 0, recovered: 0 };
+  const rateLimitStats = { delayedCalls: 0, waitedMs: 0 };
+  const checkpointStats = { skipped: 0, completed: 0, saveErrors: 0 };
+  let nextIndex = 0;
+  let stopped = false;
+
+  // Run the processor, retrying per retryConfig; failed attempts are collected in history
+  async function runWithRetry(processorArgs, itemIndex, history) {
+    const maxAttempts = retryConfig ? retryConfig.attempts : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      // Every attempt is a call to the external service, so each one takes a token
+      if (limiter) {
+        const waitedMs = await limiter.acquire();
+        if (waitedMs > 0) {
+          rateLimitStats.delayedCalls++;
+          rateLimitStats.waitedMs += waitedMs;
+        }
+      }
+
+      try {
+        return await withTimeout(
+          Promise.resolve().then(() => processor(...processorArgs)),
+          timeoutMs,
+          `Item ${itemIndex}`
+        );
+      } catch (error) {
+        const classification = classifyError(error);
+        const retrying = attempt < maxAttempts && shouldRetry(error, classification, attempt, retryConfig);
+        const delayMs = retrying ? computeRetryDelay(attempt, retryConfig, classification) : null;
+
+        if (retryConfig) {
+          history.push({
+            attempt,
+            message: error.message,
+            category: classification.category,
+            reason: classification.reason,
+            code: classification.code,
+            status: classification.status,
+            delayMs,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        if (!retrying) {
+          throw error;
+        }
+
+        if (logErrors) {
+          console.warn(`Item ${itemIndex} attempt ${attempt}/${maxAttempts} failed (${classification.reason}): ${error.message}. Retrying in ${delayMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  // Record a completed item; a failed save is counted and logged but never fails the item
+  async function saveCheckpoint(save, itemIndex) {
+    try {
+      await save();
+      return true;
+    } catch (error) {
+      checkpointStats.saveErrors++;
+      if (logErrors) {
+        const subject = itemIndex === null ? 'Final checkpoint save' : `Checkpoint save for item ${itemIndex}`;
+        console.warn(`${subject} failed: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  async function processAt(itemIndex) {
+    const item = items[itemIndex];
+    const history = [];
+    let checkpointId = null;
+    let succeeded = false;
     
     try {
-      // Call accessor functions with current item index
-      const nodeData = {};
-      const nodeDataArray = [];
-      
-      for (const nodeName of nodeNames) {
-        const accessor = nodeAccessors[nodeName];
-        if (typeof accessor !== 'function') {
-          throw new Error(`Accessor for node '${nodeName}' must be a function`);
+      if (checkpointStore) {
+        checkpointId = checkpointStore.identify(item, itemIndex);
+        if (checkpointId === null || checkpointId === undefined) {
+          throw new Error(`Item ${itemIndex} has no checkpoint identity`);
         }
-        
-        try {
-          const data = accessor(itemIndex);
-          const camelName = toCamelCase(nodeName);
-          nodeData[camelName] = data;
-          nodeDataArray.push(data);
-        } catch (nodeError) {
-          if (logErrors) {
-            console.warn(`Failed to extract data from node '${nodeName}' for item ${itemIndex}:`, nodeError.message);
-          }
-          const camelName = toCamelCase(nodeName);
-          nodeData[camelName] = null;
-          nodeDataArray.push(null);
+        // Completed by an earlier execution: leave it out of the results entirely
+        if (checkpointStore.isComplete(checkpointId)) {
+          checkpointStats.skipped++;
+          return;
         }
       }
+
+      const nodeDataArray = callNodeAccessors(nodeAccessors, nodeNames, itemIndex, logErrors);
       
       // Create context variables for the processor
       const $item = item;
@@ -270,34 +505,78 @@ async function processItemsWithPairing(items, processor, nodeAccessors = {}, opt
       
       // Call processor with context variables and node data as parameters
       const processorArgs = [$item, $json, $itemIndex, ...nodeDataArray];
-      const result = processor(...processorArgs);
-      
-      if (maintainPairing) {
-        results.push({
-          json: result,
-          pairedItem: itemIndex
-        });
-      } else {
-        results.push(result);
+      const result = await runWithRetry(processorArgs, itemIndex, history);
+      if (history.length > 0) {
+        retryStats.recovered++;
       }
       
+      slots[itemIndex] = maintainPairing
+        ? { json: result, pairedItem: itemIndex }
+        : result;
+      succeeded = true;
+      
     } catch (error) {
       const errorResult = createErrorResult(error, item, itemIndex, logErrors);
-      if (maintainPairing) {
-        results.push(errorResult.result);
-      } else {
-        results.push(errorResult.result.json);
+      slots[itemIndex] = maintainPairing ? errorResult.result : errorResult.result.json;
+      errorSlots[itemIndex] = errorResult.errorInfo;
+
+      if (retryConfig) {
+        Object.assign(errorResult.errorInfo, {
+          attempts: history.length,
+          retryHistory: history,
+          classification: classifyError(error)
+        });
       }
-      errors.push(errorResult.errorInfo);
       
       if (stopOnError) {
-        break;
+        stopped = true;
+      }
+    } finally {
+      // Every failed attempt except a final failure was followed by a retry
+      const retries = errorSlots[itemIndex] ? history.length - 1 : history.length;
+      if (retries > 0) {
+        retryStats.retriedItems++;
+        retryStats.retries += retries;
+      }
+    }
+
+    // Outside the processor's try/catch so a storage failure can't turn a processed item into an error
+    if (succeeded && checkpointStore) {
+      if (await saveCheckpoint(() => checkpointStore.markComplete(checkpointId), itemIndex)) {
+        checkpointStats.completed++;
       }
     }
   }
+
+  // Each worker pulls the next unclaimed item until none remain (or an error stops the run)
+  async function worker() {
+    while (!stopped && nextIndex < items.length) {
+      await processAt(nextIndex++);
+    }
+  }
+
+  const workerCount = Math.min(concurrency, items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  if (checkpointStore) {
+    await saveCheckpoint(() => checkpointStore.flush(), null);
+  }
+
+  const processed = Object.keys(slots).map(Number);
+  const results = processed.map(index => slots[index]);
+  const errors = processed.filter(index => errorSlots[index]).map(index => errorSlots[index]);
   
   // Calculate statistics
   const stats = calculateStats(results, errors);
+  if (retryConfig) {
+    stats.retries = retryStats;
+  }
+  if (limiter) {
+    stats.rateLimit = rateLimitStats;
+  }
+  if (checkpointStore) {
+    stats.checkpoint = { key: checkpointStore.key, ...checkpointStats };
+  }
   
   return {
     results,
@@ -306,6 +585,220 @@ async function processItemsWithPairing(items, processor, nodeAccessors = {}, opt
   };
 }
 
+/**
+ * Process items a whole chunk at a time, e.g. one bulk SQL statement per 500 items
+ * The chunk processor may return one result, an array of results, or nothing. Every output item
+ * is paired with all input indexes of its chunk. Returned input items carry the previous node's
+ * pairedItem, so it is replaced unless options.keepPairedItem is set.
+ * A failed chunk produces one error item paired with all of its input indexes.
+ * @param {Array} items - N8N items from $input.all()
+ * @param {number} chunkSize - Items per chunk
+ * @param {Function} chunkProcessor - Receives (chunkItems, chunkIndex, { startIndex, itemIndexes }); may be async
+ * @param {Object} options - Processing options
+ * @param {boolean} options.logErrors - Log chunk errors (default: true)
+ * @param {boolean} options.stopOnError - Stop after the first failed chunk (default: false)
+ * @param {number} options.timeoutMs - Fail a chunk whose processor takes longer than this (default: no timeout)
+ * @param {boolean} options.keepPairedItem - Keep the pairedItem of returned n8n items; it must then
+ *   reference this node's input indexes (default: false)
+ * @returns {Promise<Object>} { results, errors, stats } where stats.chunks has one entry per processed chunk
+ */
+async function processInChunks(items, chunkSize, chunkProcessor, options = {}) {
+  const {
+    logErrors = true,
+    stopOnError = false,
+    timeoutMs = null,
+    keepPairedItem = false
+  } = options;
+
+  if (!Array.isArray(items)) {
+    throw new Error('Items must be an array from $input.all() or $("NodeName").all()');
+  }
+
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error('Chunk size must be a positive integer');
+  }
+
+  if (typeof chunkProcessor !== 'function') {
+    throw new Error('Chunk processor must be a function');
+  }
+
+  const results = [];
+  const errors = [];
+  const chunkStats = [];
+  const chunks = _.chunk(items, chunkSize);
+
+  for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+    const chunkItems = chunks[chunkIndex];
+    const startIndex = chunkIndex * chunkSize;
+    const itemIndexes = chunkItems.map((_item, offset) => startIndex + offset);
+    const pairedItem = itemIndexes.map(index => ({ item: index }));
+    const startedAt = Date.now();
+
+    try {
+      const output = await withTimeout(
+        Promise.resolve().then(() => chunkProcessor(chunkItems, chunkIndex, { startIndex, itemIndexes })),
+        timeoutMs,
+        `Chunk ${chunkIndex}`
+      );
+
+      const outputs = output === undefined || output === null ? [] : [].concat(output);
+      for (const entry of outputs) {
+        const isItem = entry && typeof entry === 'object' && 'json' in entry;
+        results.push(isItem
+          ? { ...entry, pairedItem: (keepPairedItem && entry.pairedItem) || pairedItem }
+          : { json: entry, pairedItem });
+      }
+
+      chunkStats.push({
+        chunkIndex,
+        startIndex,
+        size: chunkItems.length,
+        outputCount: outputs.length,
+        durationMs: Date.now() - startedAt,
+        success: true
+      });
+    } catch (error) {
+      if (logErrors) {
+        console.error(`Processing failed for chunk ${chunkIndex} (items ${startIndex}-${startIndex + chunkItems.length - 1}):`, error.message);
+      }
+
+      const errorObj = createBaseError('chunk_processing_error', error.message, {
+        chunkIndex,
+        itemIndexes,
+        stack: error.stack
+      });
+
+      results.push({ json: errorObj, pairedItem });
+      errors.push({ chunkIndex, itemIndexes, error: errorObj._error });
+      chunkStats.push({
+        chunkIndex,
+        startIndex,
+        size: chunkItems.length,
+        outputCount: 0,
+        durationMs: Date.now() - startedAt,
+        success: false,
+        error: error.message
+      });
+
+      if (stopOnError) {
+        break;
+      }
+    }
+  }
+
+  const failedChunks = chunkStats.filter(chunk => !chunk.success);
+
+  return {
+    results,
+    errors,
+    stats: {
+      totalItems: items.length,
+      totalChunks: chunks.length,
+      processedChunks: chunkStats.length,
+      successfulChunks: chunkStats.length - failedChunks.length,
+      failedChunks: failedChunks.length,
+      failedItems: failedChunks.reduce((sum, chunk) => sum + chunk.size, 0),
+      outputItems: results.length - failedChunks.length,
+      chunks: chunkStats
+    }
+  };
+}
+
+/**
+ * Normalize processItemsWithPairing output (or a plain results array) to n8n items with error flags
+ * @private
+ */
+function toRoutableItems(result) {
+  const results = Array.isArray(result) ? result : result?.results;
+  if (!Array.isArray(results)) {
+    throw new Error('Expected the result of processItemsWithPairing or an array of items');
+  }
+
+  const errorIndexes = new Set(
+    Array.isArray(result?.errors) ? result.errors.map(error => error.itemIndex) : []
+  );
+
+  return results.map((entry, index) => {
+    const isItem = entry && typeof entry === 'object' && 'json' in entry;
+    const item = isItem ? entry : { json: entry, pairedItem: index };
+    const itemIndex = typeof item.pairedItem === 'number' ? item.pairedItem : index;
+    return {
+      item,
+      itemIndex,
+      isError: errorIndexes.has(itemIndex) || Boolean(isErrorObject(item.json))
+    };
+  });
+}
+
+/**
+ * Split processing results into n8n's two-output shape: [successItems, errorItems]
+ * Use in a Code node with two outputs instead of filtering error items with an IF node.
+ * @param {Object|Array} result - Result of processItemsWithPairing, or its results array
+ * @returns {Array<Array>} [successItems, errorItems] with pairedItem preserved
+ */
+function splitResults(result) {
+  const outputs = [[], []];
+  for (const { item, isError } of toRoutableItems(result)) {
+    outputs[isError ? 1 : 0].push(item);
+  }
+  return outputs;
+}
+
+/**
+ * Route processing results to N named n8n outputs
+ * Routes are tried in the order they are defined; the first matching predicate wins.
+ * A route defined as the string 'error' receives every failed item; without one,
+ * failed items go through the predicates like any other item.
+ * @param {Object|Array} result - Result of processItemsWithPairing, or its results array
+ * @param {Object} routes - Route name → predicate ($json, $item, $itemIndex) or 'error'
+ *   Example: { new: $json => !$json.existingId, updated: $json => $json.changed, skipped: () => true, failed: 'error' }
+ * @param {Object} options - Routing options
+ * @param {string} options.fallback - Route for items that match no predicate (default: throw)
+ * @returns {Array<Array>} One array of items per route, in route order
+ */
+function routeResults(result, routes, options = {}) {
+  const { fallback = null } = options;
+
+  if (!routes || typeof routes !== 'object' || Object.keys(routes).length === 0) {
+    throw new Error('Routes must be an object of route names to predicates');
+  }
+
+  const names = Object.keys(routes);
+  for (const name of names) {
+    if (typeof routes[name] !== 'function' && routes[name] !== 'error') {
+      throw new Error(`Route '${name}' must be a predicate function or 'error'`);
+    }
+  }
+
+  const errorRoutes = names.filter(name => routes[name] === 'error');
+  if (errorRoutes.length > 1) {
+    throw new Error(`Only one error route is allowed, got: ${errorRoutes.join(', ')}`);
+  }
+
+  if (fallback !== null && !names.includes(fallback)) {
+    throw new Error(`Fallback route '${fallback}' is not defined`);
+  }
+
+  const errorRoute = errorRoutes[0] ?? null;
+  const outputs = names.map(() => []);
+
+  for (const { item, itemIndex, isError } of toRoutableItems(result)) {
+    let route = isError ? errorRoute : null;
+
+    if (route === null) {
+      route = names.find(name => typeof routes[name] === 'function' && routes[name](item.json, item, itemIndex)) ?? fallback;
+    }
+
+    if (route === null) {
+      throw new Error(`Item ${itemIndex} matched no route. Add a catch-all route or set options.fallback`);
+    }
+
+    outputs[names.indexOf(route)].push(item);
+  }
+
+  return outputs;
+}
+
 /**
  * Calculate processing statistics
  * @private
@@ -316,5 +809,9 @@ function calculateStats(results, errors) {
 
 module.exports = {
   processItemsWithPairing,
+  processInChunks,
+  splitResults,
+  routeResults,
+  classifyError,
   toCamelCase
 };
\ No newline at end of file
@@ -0,0 +1,270 @@
+// src/binary.js
+// Helpers for n8n binary properties (item.binary.<property>)
+// n8n stores binary content as base64 in `data`, next to mimeType, fileName, fileExtension and fileSize
+
+const path = require('path');
+const { getMimeTypeFromExtension, getExtensionFromMimeType, formatFileSize } = require('./file');
+
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+// Values n8n puts in `data` when the content lives in external storage ('filesystem' is the legacy mode)
+const EXTERNAL_STORAGE_MODES = ['filesystem', 'filesystem-v2', 's3'];
+
+/**
+ * Convert content to a Buffer
+ * Strings are decoded with the given encoding ('utf8' for text, 'base64' for base64 data).
+ * @private
+ */
+function toBuffer(content, encoding = 'utf8') {
+  if (Buffer.isBuffer(content)) {
+    return content;
+  }
+  if (content instanceof Uint8Array || content instanceof ArrayBuffer) {
+    return Buffer.from(content);
+  }
+  if (typeof content === 'string') {
+    if (!Buffer.isEncoding(encoding)) {
+      throw new Error(`Unknown encoding '${encoding}'`);
+    }
+    return Buffer.from(content, encoding);
+  }
+  throw new Error('Binary content must be a Buffer, Uint8Array or string');
+}
+
+/**
+ * Derive n8n's fileType ('audio', 'video', 'image', 'text', 'json', 'pdf', 'html') from a MIME type
+ * @private
+ */
+function getFileType(mimeType) {
+  const type = (mimeType || '').toLowerCase().split(';')[0].trim();
+  if (type === 'application/json') return 'json';
+  if (type === 'application/pdf') return 'pdf';
+  if (type === 'text/html') return 'html';
+
+  const topLevel = type.split('/')[0];
+  return ['audio', 'video', 'image', 'text'].includes(topLevel) ? topLevel : undefined;
+}
+
+/**
+ * Extension of a file name, without the dot
+ * @private
+ */
+function extensionOf(fileName) {
+  const extension = path.extname(fileName || '').replace(/^\./, '').toLowerCase();
+  return extension || undefined;
+}
+
+/**
+ * Build the metadata fields for a binary property from its file name and MIME type
+ * The MIME type falls back to the file extension; the extension falls back to the MIME type.
+ * @private
+ */
+function describeFile({ fileName, mimeType, fileExtension }) {
+  const extension = fileExtension ? fileExtension.replace(/^\./, '').toLowerCase() : extensionOf(fileName);
+  const resolvedMimeType = mimeType || getMimeTypeFromExtension(extension) || DEFAULT_MIME_TYPE;
+  const resolvedExtension = extension || getExtensionFromMimeType(resolvedMimeType) || undefined;
+
+  return {
+    mimeType: resolvedMimeType,
+    fileType: getFileType(resolvedMimeType),
+    fileName: fileName || undefined,
+    fileExtension: resolvedExtension
+  };
+}
+
+/**
+ * Drop undefined fields so binary objects serialize like the ones n8n creates
+ * @private
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Create an n8n binary data object
+ * @param {Buffer|Uint8Array|string} content - File content (strings are read with options.encoding)
+ * @param {Object} options - Binary options
+ * @param {string} options.fileName - File name, e.g. 'episode.mp3'
+ * @param {string} options.mimeType - MIME type (default: from the file extension, else application/octet-stream)
+ * @param {string} options.fileExtension - Extension without dot (default: from fileName, else from mimeType)
+ * @param {string} options.encoding - Encoding of string content: 'utf8' (default) or 'base64'
+ * @returns {Object} { data (base64), mimeType, fileType, fileName, fileExtension, fileSize }
+ */
+function createBinaryData(content, options = {}) {
+  const { encoding = 'utf8' } = options;
+  const buffer = toBuffer(content, encoding);
+
+  return compact({
+    data: buffer.toString('base64'),
+    ...describeFile(options),
+    fileSize: buffer.length === 0 ? '0 B' : formatFileSize(buffer.length)
+  });
+}
+
+/**
+ * Get a binary property of an item
+ * @param {Object} item - N8N item with a binary section
+ * @param {string} property - Binary property name (default: 'data')
+ * @returns {Object} Binary data object
+ */
+function getBinaryData(item, property = 'data') {
+  const binaryData = item?.binary?.[property];
+  if (!binaryData) {
+    const available = Object.keys(item?.binary || {});
+    throw new Error(`Item has no binary property '${property}'` +
+      (available.length > 0 ? `. Available: ${available.join(', ')}` : ''));
+  }
+  return binaryData;
+}
+
+/**
+ * Read a binary property's content as a Buffer
+ * Only works for binary data held in memory. When n8n stores binary data in the filesystem or S3,
+ * use await this.helpers.getBinaryDataBuffer(itemIndex, property) instead. Such properties carry an
+ * id, and their data is the storage mode name, which can look like valid base64 ('filesystem', 's3').
+ * @param {Object} item - N8N item with a binary section
+ * @param {string} property - Binary property name (default: 'data')
+ * @returns {Buffer} File content
+ */
+function getBinaryBuffer(item, property = 'data') {
+  const binaryData = getBinaryData(item, property);
+
+  if (binaryData.id || EXTERNAL_STORAGE_MODES.includes(binaryData.data)) {
+    throw new Error(`Binary property '${property}' is stored externally (${binaryData.id || binaryData.data}). ` +
+      `Use await this.helpers.getBinaryDataBuffer(itemIndex, '${property}')`);
+  }
+  if (typeof binaryData.data !== 'string') {
+    throw new Error(`Binary property '${property}' has no base64 data`);
+  }
+
+  return Buffer.from(binaryData.data, 'base64');
+}
+
+/**
+ * Read a binary property's content as text
+ * @param {Object} item - N8N item with a binary section
+ * @param {string} property - Binary property name (default: 'data')
+ * @param {string} encoding - Text encoding (default: 'utf8')
+ * @returns {string} File content
+ */
+function getBinaryText(item, property = 'data', encoding = 'utf8') {
+  return getBinaryBuffer(item, property).toString(encoding);
+}
+
+/**
+ * Return a copy of the item with a binary property attached
+ * Content that is already a binary data object is attached as is; anything else goes through createBinaryData.
+ * json and pairedItem are kept.
+ * @param {Object} item - N8N item
+ * @param {string} property - Binary property name
+ * @param {Object|Buffer|Uint8Array|string} content - Binary data object or file content
+ * @param {Object} options - createBinaryData options when content is file content
+ * @returns {Object} New item
+ */
+function attachBinary(item, property, content, options = {}) {
+  if (!property || typeof property !== 'string') {
+    throw new Error('Binary property name is required');
+  }
+
+  const isBinaryData = content && typeof content === 'object' && !Buffer.isBuffer(content) &&
+    !(content instanceof Uint8Array) && typeof content.data === 'string' && 'mimeType' in content;
+  const binaryData = isBinaryData ? content : createBinaryData(content, options);
+
+  return {
+    ...item,
+    json: item?.json || {},
+    binary: { ...(item?.binary || {}), [property]: binaryData }
+  };
+}
+
+/**
+ * Return a copy of the item with a binary property moved to another name
+ * @param {Object} item - N8N item
+ * @param {string} from - Current property name
+ * @param {string} to - New property name (an existing property with that name is replaced)
+ * @returns {Object} New item
+ */
+function moveBinaryProperty(item, from, to) {
+  const binaryData = getBinaryData(item, from);
+  if (!to || typeof to !== 'string') {
+    throw new Error('Binary property name is required');
+  }
+
+  const binary = { ...item.binary };
+  delete binary[from];
+  binary[to] = binaryData;
+
+  return { ...item, binary };
+}
+
+/**
+ * Return a copy of the item with the binary file renamed
+ * fileExtension follows the new name. The MIME type is re-derived from the new extension
+ * unless options.keepMimeType is set or the extension is not recognised.
+ * @param {Object} item - N8N item
+ * @param {string} fileName - New file name
+ * @param {Object} options - Rename options
+ * @param {string} options.property - Binary property name (default: 'data')
+ * @param {boolean} options.keepMimeType - Keep the current MIME type (default: false)
+ * @returns {Object} New item
+ */
+function renameBinary(item, fileName, options = {}) {
+  const { property = 'data', keepMimeType = false } = options;
+  const binaryData = getBinaryData(item, property);
+
+  if (!fileName || typeof fileName !== 'string') {
+    throw new Error('File name is required');
+  }
+
+  const extension = extensionOf(fileName);
+  const mimeType = keepMimeType ? binaryData.mimeType : (getMimeTypeFromExtension(extension) || binaryData.mimeType);
+
+  return attachBinary(item, property, compact({
+    ...binaryData,
+    ...describeFile({ fileName, mimeType, fileExtension: extension })
+  }));
+}
+
+/**
+ * Return a copy of the item with a new MIME type on a binary property
+ * fileExtension and the file name's extension follow the new type when it is a known type,
+ * or when options.fileExtension is given.
+ * @param {Object} item - N8N item
+ * @param {string} mimeType - New MIME type
+ * @param {Object} options - Re-type options
+ * @param {string} options.property - Binary property name (default: 'data')
+ * @param {string} options.fileExtension - Extension to use (without dot)
+ * @returns {Object} New item
+ */
+function retypeBinary(item, mimeType, options = {}) {
+  const { property = 'data' } = options;
+  const binaryData = getBinaryData(item, property);
+
+  if (!mimeType || typeof mimeType !== 'string') {
+    throw new Error('MIME type is required');
+  }
+
+  const extension = (options.fileExtension || getExtensionFromMimeType(mimeType) || binaryData.fileExtension || '')
+    .replace(/^\./, '').toLowerCase() || undefined;
+  let fileName = binaryData.fileName;
+  if (fileName && extension && extensionOf(fileName) !== extension) {
+    const currentExtension = path.extname(fileName);
+    fileName = `${currentExtension ? fileName.slice(0, -currentExtension.length) : fileName}.${extension}`;
+  }
+
+  return attachBinary(item, property, compact({
+    ...binaryData,
+    ...describeFile({ fileName, mimeType, fileExtension: extension })
+  }));
+}
+
+module.exports = {
+  createBinaryData,
+  getBinaryData,
+  getBinaryBuffer,
+  getBinaryText,
+  attachBinary,
+  moveBinaryProperty,
+  renameBinary,
+  retypeBinary
+};
@@ -0,0 +1,208 @@
+// src/checkpoint.js
+// Checkpoint/resume support for long batches
+// Records completed item identities so a re-run skips work an earlier execution already finished
+
+/**
+ * Create an adapter that keeps checkpoints in n8n workflow static data
+ * n8n saves static data when a production (trigger or webhook) execution ends, whether it succeeded
+ * or failed, but not if the worker process dies mid-execution. Manual runs from the editor never
+ * save it, so each one starts from the last production checkpoint.
+ * @param {Object} staticData - Object from $getWorkflowStaticData('global')
+ * @returns {Object} Adapter with load, save and clear
+ */
+function createStaticDataAdapter(staticData) {
+  if (!staticData || typeof staticData !== 'object') {
+    throw new Error('staticData must be the object returned by $getWorkflowStaticData()');
+  }
+
+  return {
+    load(key) {
+      const entry = staticData.checkpoints?.[key];
+      return Array.isArray(entry?.completed) ? entry.completed : [];
+    },
+    save(key, completed) {
+      staticData.checkpoints = staticData.checkpoints || {};
+      staticData.checkpoints[key] = { completed, updatedAt: new Date().toISOString() };
+    },
+    clear(key) {
+      if (staticData.checkpoints) {
+        delete staticData.checkpoints[key];
+      }
+    }
+  };
+}
+
+/**
+ * Resolve the adapter from { adapter } or { staticData }
+ * @private
+ */
+function resolveAdapter({ adapter = null, staticData = null }) {
+  if (adapter) {
+    for (const method of ['load', 'save', 'clear']) {
+      if (typeof adapter[method] !== 'function') {
+        throw new Error(`Checkpoint adapter must implement ${method}(key)`);
+      }
+    }
+    return adapter;
+  }
+
+  if (staticData) {
+    return createStaticDataAdapter(staticData);
+  }
+
+  throw new Error('Checkpoint requires staticData or an adapter');
+}
+
+/**
+ * Build an identity function from a field name or function
+ * @private
+ */
+function resolveIdentity(identity) {
+  if (typeof identity === 'function') {
+    return identity;
+  }
+  if (typeof identity === 'string' && identity) {
+    return ($json) => $json?.[identity];
+  }
+  throw new Error('Checkpoint identity must be a field name or a function ($json, $item, $itemIndex) => id');
+}
+
+/**
+ * Create a checkpoint store
+ * Adapters implement load(key) → Array of ids, save(key, ids) and clear(key); any of them may be async.
+ * @param {Object} options - Store options
+ * @param {Object} options.staticData - n8n workflow static data to store checkpoints in
+ * @param {Object} options.adapter - Custom storage adapter (takes precedence over staticData)
+ * @param {string} options.key - Checkpoint name, one per batch job (default: 'default')
+ * @param {number} options.flushEvery - Save after this many completions (default: 1)
+ * @param {string|Function} options.identity - Field name or ($json, $item, $itemIndex) => id used by identify()
+ * @returns {Object} Store with load, identify, isComplete, markComplete, flush, reset and getCompleted
+ */
+function createCheckpointStore(options = {}) {
+  const { key = 'default', flushEvery = 1 } = options;
+  const adapter = resolveAdapter(options);
+  const identityFn = options.identity ? resolveIdentity(options.identity) : null;
+
+  if (!Number.isInteger(flushEvery) || flushEvery < 1) {
+    throw new Error('flushEvery must be a positive integer');
+  }
+
+  let completed = null;
+  let unsaved = 0;
+  // Saves run one after another so a slow adapter never writes an older snapshot last.
+  // A failed save doesn't block later ones; the next snapshot still holds its ids.
+  let saving = Promise.resolve();
+
+  async function load() {
+    if (!completed) {
+      const stored = await adapter.load(key);
+      completed = new Set((stored || []).map(String));
+    }
+    return completed;
+  }
+
+  function ensureLoaded() {
+    if (!completed) {
+      throw new Error('Checkpoint not loaded. Call await store.load() first');
+    }
+  }
+
+  /**
+   * Identity of an n8n item; null/undefined when the item has none
+   */
+  function identify(item, itemIndex) {
+    if (!identityFn) {
+      throw new Error('Checkpoint store was created without an identity');
+    }
+    return identityFn(item?.json ?? item, item, itemIndex);
+  }
+
+  function isComplete(id) {
+    ensureLoaded();
+    return completed.has(String(id));
+  }
+
+  async function flush() {
+    ensureLoaded();
+    unsaved = 0;
+    const snapshot = Array.from(completed);
+    saving = saving.catch(() => {}).then(() => adapter.save(key, snapshot));
+    return saving;
+  }
+
+  async function markComplete(id) {
+    ensureLoaded();
+    completed.add(String(id));
+    unsaved++;
+    if (unsaved >= flushEvery) {
+      await flush();
+    }
+  }
+
+  async function reset() {
+    await saving.catch(() => {});
+    await adapter.clear(key);
+    completed = new Set();
+    unsaved = 0;
+  }
+
+  function getCompleted() {
+    ensureLoaded();
+    return Array.from(completed);
+  }
+
+  return { key, load, identify, isComplete, markComplete, flush, reset, getCompleted };
+}
+
+/**
+ * Filter out items an earlier execution already completed
+ *
+ * Each returned item gets pairedItem set to its index in `items`, so a Code
+ * node can return the subset and stay paired to its own input. To process
+ * the remaining items, use processItemsWithPairing({ checkpoint }) instead:
+ * it skips completed items in place, so result indexes never shift.
+ * @param {Array} items - N8N items from $input.all()
+ * @param {Object} options - Checkpoint options
+ * @param {string|Function} options.identity - Field name or ($json, $item, $itemIndex) => id
+ *   (optional when options.store was created with an identity)
+ * @param {Object} options.store - Existing checkpoint store, or staticData/adapter/key to create one
+ * @returns {Promise<Array>} Items not yet completed, in input order, paired to their original index
+ */
+async function resumeFrom(items, options = {}) {
+  if (!Array.isArray(items)) {
+    throw new Error('Items must be an array');
+  }
+
+  const store = options.store || createCheckpointStore(options);
+  const identityFn = options.identity ? resolveIdentity(options.identity) : null;
+  const identify = identityFn
+    ? (item, index) => identityFn(item?.json ?? item, item, index)
+    : store.identify;
+  await store.load();
+
+  const pending = [];
+  items.forEach((item, index) => {
+    const id = identify(item, index);
+    if (id === null || id === undefined || !store.isComplete(id)) {
+      pending.push({ ...item, pairedItem: { item: index } });
+    }
+  });
+  return pending;
+}
+
+/**
+ * Clear a checkpoint so the next run processes every item again
+ * @param {Object} options - staticData or adapter, plus key (default: 'default')
+ * @returns {Promise<void>}
+ */
+async function resetCheckpoint(options = {}) {
+  const adapter = resolveAdapter(options);
+  await adapter.clear(options.key || 'default');
+}
+
+module.exports = {
+  createCheckpointStore,
+  createStaticDataAdapter,
+  resumeFrom,
+  resetCheckpoint
+};
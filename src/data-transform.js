@@ -2,13 +2,15 @@
 // Business data normalization utilities
 // Handles field transformations, null handling, validation, and business rules
 
+const _ = require('lodash');
 const { cleanHtml: cleanHtmlText, truncateWithSeparator } = require('./text');
+const { SQL_TYPE_MAP, schemaRegistry } = require('./schema');
 
 /**
  * Normalize a single field value according to business rules
  * @param {*} value - The raw value to normalize
  * @param {Object} fieldConfig - Field configuration object
- * @param {string} fieldConfig.type - Field type (string, integer, bigint, boolean, date)
+ * @param {string} fieldConfig.type - Field type (string, integer, bigint, decimal, boolean, date)
  * @param {number} fieldConfig.maxLength - Maximum length for strings
  * @param {boolean} fieldConfig.cleanHtml - Whether to clean HTML from strings
  * @param {boolean} fieldConfig.required - Whether field is required
@@ -39,7 +41,8 @@ function normalizeField(value, fieldConfig = {}) {
     if (required) {
       switch (type) {
         case 'integer':
-        case 'bigint': return 0;
+        case 'bigint':
+        case 'decimal': return 0;
         case 'string': return '';
         case 'boolean': return false;
         case 'date': return new Date().toISOString();
@@ -88,6 +91,10 @@ function normalizeField(value, fieldConfig = {}) {
       const bigintVal = parseInt(normalized);
       return isNaN(bigintVal) ? (required ? 0 : null) : bigintVal;
       
+    case 'decimal':
+      const decimalVal = parseFloat(normalized);
+      return isNaN(decimalVal) ? (required ? 0 : null) : decimalVal;
+      
     case 'boolean':
       if (typeof normalized === 'boolean') return normalized;
       if (typeof normalized === 'string') {
@@ -220,6 +227,564 @@ function validateNormalizedData(data, schema) {
   };
 }
 
+// SQL Server datetime/datetime2/datetimeoffset text: up to 7 fractional digits, optional offset
+const SQL_DATETIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?)(?:\.(\d+))?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const SQL_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const GUID_PATTERN = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+
+/**
+ * Convert a SQL Server date/time value to an ISO 8601 string
+ * Values without an offset are treated as UTC (the schema defaults use getutcdate()).
+ * @private
+ * @returns {string|null} ISO string, or null when the value is not a recognizable date
+ */
+function toIsoDateString(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  if (SQL_DATE_PATTERN.test(trimmed)) {
+    return `${trimmed}T00:00:00.000Z`;
+  }
+
+  const match = trimmed.match(SQL_DATETIME_PATTERN);
+  if (!match) return null;
+
+  const [, date, time, fraction = '', offset] = match;
+  const seconds = time.length === 5 ? `${time}:00` : time;
+  const millis = fraction.padEnd(3, '0').slice(0, 3);
+  const zone = !offset || offset.toUpperCase() === 'Z'
+    ? 'Z'
+    : offset.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+  const parsed = new Date(`${date}T${seconds}.${millis}${zone}`);
+
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * Convert a bit value (true/false, 1/0, '1'/'0', 'true'/'false') to a boolean
+ * @private
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (Buffer.isBuffer(value)) return value.length > 0 && value[0] !== 0;
+  if (typeof value === 'string') {
+    const lower = value.trim().toLowerCase();
+    if (lower === 'true' || lower === '1') return true;
+    if (lower === 'false' || lower === '0') return false;
+  }
+  return value;
+}
+
+/**
+ * Convert a decimal/numeric value to a number, leaving non-numeric input untouched
+ * @private
+ */
+function toNumber(value, { safeIntegerOnly = false } = {}) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+  }
+  if (typeof value !== 'string' || value.trim() === '') return value;
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) return value;
+  // bigint columns beyond 2^53 stay as strings rather than silently losing precision
+  if (safeIntegerOnly && !Number.isSafeInteger(number)) return value;
+  return number;
+}
+
+/**
+ * Coerce a column value to a result type
+ * @private
+ */
+function coerceResultValue(value, type) {
+  if (value === null || value === undefined) return null;
+
+  switch (type) {
+    case 'date': {
+      const iso = toIsoDateString(value);
+      return iso === null ? value : iso;
+    }
+    case 'boolean':
+      return toBoolean(value);
+    case 'decimal':
+    case 'integer':
+      return toNumber(value);
+    case 'bigint':
+      return toNumber(value, { safeIntegerOnly: true });
+    case 'guid':
+      return typeof value === 'string' ? value.replace(/^\{|\}$/g, '').toLowerCase() : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Convert a column name to the requested key case
+ * @private
+ */
+function convertKeyCase(key, keyCase) {
+  switch (keyCase) {
+    case 'camel': return _.camelCase(key);
+    case 'pascal': return _.upperFirst(_.camelCase(key));
+    default: return key;
+  }
+}
+
+/**
+ * Build a column → result type resolver from explicit types and registry tables
+ * @private
+ */
+function createTypeResolver({ types = {}, table = null, registry = schemaRegistry }) {
+  const explicit = new Map(
+    Object.entries(types).map(([column, type]) => [column.toLowerCase(), type])
+  );
+  const tables = table ? [].concat(table) : [];
+  const cache = new Map();
+
+  return (columnName) => {
+    const lower = columnName.toLowerCase();
+    if (explicit.has(lower)) return explicit.get(lower);
+    if (cache.has(lower)) return cache.get(lower);
+
+    let resolved = null;
+    for (const tableName of tables) {
+      const column = registry.getColumn(tableName, columnName);
+      if (column) {
+        resolved = column.sqlType === 'uniqueidentifier' ? 'guid' : (SQL_TYPE_MAP[column.sqlType] || null);
+        break;
+      }
+    }
+
+    cache.set(lower, resolved);
+    return resolved;
+  };
+}
+
+/**
+ * Normalize nest rules to { prefix, key, self }
+ * @private
+ */
+function normalizeNestRules(nest, keyCase) {
+  return [].concat(nest || [])
+    .map(rule => (typeof rule === 'string' ? { prefix: rule } : rule))
+    .map(rule => {
+      if (!rule || !rule.prefix) {
+        throw new Error('Nest rules require a prefix');
+      }
+      return {
+        prefix: rule.prefix,
+        key: rule.key || convertKeyCase(rule.prefix, keyCase),
+        self: rule.self || 'value'
+      };
+    })
+    // Longest prefix first so 'Prompt10' is not claimed by 'Prompt1'
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+/**
+ * Find the nest rule a column belongs to and the remaining part of its name
+ * A prefix only matches on a word boundary: 'Prompt2Model' and 'Prompt2' match 'Prompt2', 'Prompt20' does not.
+ * @private
+ */
+function matchNestRule(columnName, rules) {
+  for (const rule of rules) {
+    if (!columnName.startsWith(rule.prefix)) continue;
+    const rest = columnName.slice(rule.prefix.length);
+    if (rest === '') return { rule, rest: null };
+    if (/^[A-Z_]/.test(rest)) return { rule, rest: rest.replace(/^_+/, '') };
+  }
+  return null;
+}
+
+/**
+ * Normalize a SQL result row into a consistent JavaScript shape
+ * - Keys are converted from PascalCase to camelCase (or the reverse)
+ * - Date objects and SQL Server datetime strings become ISO 8601 strings
+ * - GUID strings are lowercased
+ * - bit and decimal/numeric columns become booleans and numbers when their type is known
+ *   (from options.types or a registry table)
+ * @param {Object} row - Row as returned by the SQL node
+ * @param {Object} options - Normalization options
+ * @param {string} options.keyCase - 'camel' (default), 'pascal' or 'preserve'
+ * @param {Object} options.types - Column types keyed by column name ('date', 'boolean', 'decimal', 'integer', 'bigint', 'guid', 'string')
+ * @param {string|Array<string>} options.table - Registry table(s) used to look up column types
+ * @param {Object} options.registry - Schema registry (default: the bundled registry)
+ * @param {boolean} options.dates - Detect date values in untyped columns (default: true)
+ * @param {boolean} options.guids - Lowercase GUID strings in untyped columns (default: true)
+ * @param {Array<string|Object>} options.nest - Column prefixes to nest into objects, e.g. ['Prompt1', { prefix: 'Prompt2', key: 'secondPrompt', self: 'template' }]
+ * @returns {Object} Normalized row
+ */
+function normalizeResultRow(row, options = {}) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    throw new Error('Row must be an object');
+  }
+
+  const {
+    keyCase = 'camel',
+    dates = true,
+    guids = true,
+    nest = []
+  } = options;
+
+  if (!['camel', 'pascal', 'preserve'].includes(keyCase)) {
+    throw new Error(`Invalid keyCase '${keyCase}'. Use 'camel', 'pascal' or 'preserve'`);
+  }
+
+  const resolveType = options.resolveType || createTypeResolver(options);
+  const rules = options.nestRules || normalizeNestRules(nest, keyCase);
+  const result = {};
+
+  for (const [columnName, rawValue] of Object.entries(row)) {
+    let type = resolveType(columnName);
+    if (!type) {
+      if (dates && (rawValue instanceof Date || (typeof rawValue === 'string' && SQL_DATETIME_PATTERN.test(rawValue.trim())))) {
+        type = 'date';
+      } else if (guids && typeof rawValue === 'string' && GUID_PATTERN.test(rawValue)) {
+        type = 'guid';
+      }
+    }
+
+    const value = coerceResultValue(rawValue, type);
+    const nested = rules.length > 0 ? matchNestRule(columnName, rules) : null;
+
+    if (nested) {
+      const { rule, rest } = nested;
+      if (!result[rule.key] || typeof result[rule.key] !== 'object') {
+        result[rule.key] = {};
+      }
+      result[rule.key][rest === null ? rule.self : convertKeyCase(rest, keyCase)] = value;
+    } else {
+      result[convertKeyCase(columnName, keyCase)] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Normalize every row of a SQL result set
+ * Accepts plain rows or n8n items. Items are paired with their own input index, since the
+ * pairedItem they arrive with points at the previous node's items.
+ * @param {Array<Object>} rows - Rows or n8n items ({ json })
+ * @param {Object} options - Same options as normalizeResultRow
+ * @returns {Array<Object>} Normalized rows, or n8n items when items were passed
+ */
+function normalizeResultSet(rows, options = {}) {
+  if (!Array.isArray(rows)) {
+    throw new Error('Rows must be an array');
+  }
+
+  const keyCase = options.keyCase || 'camel';
+  const shared = {
+    ...options,
+    resolveType: createTypeResolver(options),
+    nestRules: normalizeNestRules(options.nest, keyCase)
+  };
+
+  return rows.map((row, index) => {
+    const isItem = row && typeof row === 'object' && row.json && typeof row.json === 'object';
+    if (!isItem) {
+      return normalizeResultRow(row, shared);
+    }
+    return {
+      ...row,
+      json: normalizeResultRow(row.json, shared),
+      pairedItem: { item: index }
+    };
+  });
+}
+
+/**
+ * Resolve a group key from a row: column name, array of column names, or function
+ * @private
+ * @returns {string|null} Serialized key, or null when every key part is null/undefined
+ */
+function resolveGroupKey(row, key) {
+  const value = typeof key === 'function'
+    ? key(row)
+    : Array.isArray(key) ? key.map(column => row[column]) : row[key];
+  const parts = Array.isArray(value) ? value : [value];
+
+  if (parts.every(part => part === null || part === undefined)) {
+    return null;
+  }
+  return JSON.stringify(parts.map(part => (part instanceof Date ? part.toISOString() : part)));
+}
+
+/**
+ * Pick fields from a row: array of column names, object of outputName → column name/function,
+ * or a function returning the fields
+ * @private
+ */
+function pickFields(row, fields) {
+  if (!fields) return { ...row };
+  if (typeof fields === 'function') return fields(row);
+
+  if (Array.isArray(fields)) {
+    return Object.fromEntries(fields.map(column => [column, row[column] ?? null]));
+  }
+
+  return Object.fromEntries(
+    Object.entries(fields).map(([name, source]) => [
+      name,
+      typeof source === 'function' ? source(row) : (row[source] ?? null)
+    ])
+  );
+}
+
+/**
+ * Column names read directly by a set of child specs and their descendants
+ * (function fields are opaque)
+ * @private
+ */
+function childColumns(children = {}) {
+  return Object.values(children).flatMap(child => {
+    if (!child || typeof child !== 'object') return [];
+    const { fields } = child;
+    const sources = !fields || typeof fields === 'function'
+      ? []
+      : (Array.isArray(fields) ? fields : Object.values(fields)).filter(source => typeof source === 'string');
+    return [...sources, ...childColumns(child.children)];
+  });
+}
+
+/**
+ * Group rows at one nesting level, recursing into child specs
+ * Rows whose key is null (e.g. the unmatched side of a LEFT JOIN) are skipped.
+ * Without a key, children are deduplicated by their picked field values.
+ * @private
+ * @returns {Array<Object>} Groups as { doc, indexes }
+ */
+function groupLevel(entries, spec, path) {
+  const { key = null, fields = null, children = {} } = spec;
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const doc = pickFields(entry.row, fields);
+    const id = key === null
+      ? (Object.values(doc).every(value => value === null) ? null : JSON.stringify(doc))
+      : resolveGroupKey(entry.row, key);
+
+    if (id === null) continue;
+
+    if (!groups.has(id)) {
+      groups.set(id, { doc, entries: [] });
+    }
+    groups.get(id).entries.push(entry);
+  }
+
+  return Array.from(groups.values()).map(group => {
+    for (const [name, childSpec] of Object.entries(children)) {
+      if (!childSpec || typeof childSpec !== 'object') {
+        throw new Error(`Child spec '${path}${name}' must be an object`);
+      }
+      group.doc[name] = groupLevel(group.entries, childSpec, `${path}${name}.`).map(child => child.doc);
+    }
+    return { doc: group.doc, indexes: group.entries.map(entry => entry.index) };
+  });
+}
+
+/**
+ * Fold one-to-many joined rows back into nested documents
+ * Each output item carries pairedItem references to every input row that contributed to it.
+ * @param {Array<Object>} rows - Joined rows or n8n items ({ json })
+ * @param {Object} options - Grouping options
+ * @param {string|Array<string>|Function} options.key - Parent key column(s) or key function
+ * @param {Array<string>|Object} options.parentFields - Parent fields: column names, or outputName → column/function
+ *   (default: every column not read by a child spec)
+ * @param {Object} options.children - Child collections keyed by output name: { key, fields, children }
+ * @returns {Array<Object>} n8n items with nested documents and pairedItem arrays
+ */
+function groupRows(rows, options = {}) {
+  if (!Array.isArray(rows)) {
+    throw new Error('Rows must be an array');
+  }
+
+  const { key, parentFields, children = {} } = options;
+
+  if (key === undefined || key === null || (Array.isArray(key) && key.length === 0)) {
+    throw new Error('Group key is required');
+  }
+
+  const entries = rows.map((row, index) => {
+    const data = row && typeof row === 'object' && row.json && typeof row.json === 'object' ? row.json : row;
+    if (!data || typeof data !== 'object') {
+      throw new Error(`Row ${index} must be an object`);
+    }
+    if (resolveGroupKey(data, key) === null) {
+      throw new Error(`Row ${index} has no value for the group key`);
+    }
+    return { row: data, index };
+  });
+
+  let fields = parentFields;
+  if (!fields && Object.keys(children).length > 0) {
+    // Default parent fields: everything the child specs don't claim
+    const claimed = new Set(childColumns(children));
+    fields = (row) => Object.fromEntries(Object.entries(row).filter(([column]) => !claimed.has(column)));
+  }
+
+  return groupLevel(entries, { key, fields, children }, '').map(({ doc, indexes }) => ({
+    json: doc,
+    pairedItem: indexes.map(index => ({ item: index }))
+  }));
+}
+
+/**
+ * Default key normalization: trimmed, case-insensitive strings and ISO dates
+ * @private
+ */
+function defaultNormalizeKey(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string') return value.trim().toLowerCase();
+  return value;
+}
+
+/**
+ * Remove duplicate items, treating items as duplicates when they share any identity key
+ * Keys are tried independently: with keys [['guid'], ['title', 'publicationDate']], two items are
+ * duplicates if their GUIDs match OR their title and date both match. Matches are transitive, so
+ * A~B by GUID and B~C by title/date puts A, B and C in one group. Key sets with an empty value
+ * are ignored for that item.
+ * @param {Array<Object>} items - n8n items or plain rows
+ * @param {Object} options - Dedupe options
+ * @param {Array<Array<string>|string>} options.keys - Identity key sets (field paths)
+ * @param {string|Function} options.strategy - 'first' (default), 'last', 'merge' or (groupItems) => json
+ * @param {Function} options.normalizeKey - (value, field) => comparable value (default: trim + lowercase strings)
+ * @returns {Object} { items, dropped: [{ itemIndex, keptIndex, key, value, reason }], stats }
+ *   Each item's pairedItem lists every member of its duplicate group.
+ */
+function dedupeItems(items, options = {}) {
+  if (!Array.isArray(items)) {
+    throw new Error('Items must be an array');
+  }
+
+  const { strategy = 'first', normalizeKey = defaultNormalizeKey } = options;
+  const keySets = [].concat(options.keys || []).map(key => [].concat(key));
+
+  if (keySets.length === 0 || keySets.some(key => key.length === 0)) {
+    throw new Error('At least one non-empty key set is required');
+  }
+
+  if (typeof strategy !== 'function' && !['first', 'last', 'merge'].includes(strategy)) {
+    throw new Error(`Invalid strategy '${strategy}'. Use 'first', 'last', 'merge' or a function`);
+  }
+
+  const rows = items.map(item => (item && typeof item === 'object' && item.json && typeof item.json === 'object' ? item.json : item));
+
+  // Union-find over item indexes; the smallest index is always the root so groups keep input order
+  const parent = rows.map((_row, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    }
+  };
+
+  // First match recorded for each item, used to explain why it was dropped
+  const matches = rows.map(() => null);
+
+  keySets.forEach(fields => {
+    const seen = new Map();
+    rows.forEach((row, index) => {
+      const values = fields.map(field => _.get(row, field));
+      if (values.some(value => value === null || value === undefined || value === '')) return;
+
+      const id = JSON.stringify(fields.map((field, i) => normalizeKey(values[i], field)));
+      if (!seen.has(id)) {
+        seen.set(id, index);
+        return;
+      }
+
+      const other = seen.get(id);
+      union(index, other);
+      const value = Object.fromEntries(fields.map((field, i) => [field, values[i]]));
+      matches[index] = matches[index] || { key: fields, value, with: other };
+      matches[other] = matches[other] || { key: fields, value, with: index };
+    });
+  });
+
+  const groups = new Map();
+  rows.forEach((_row, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  const output = [];
+  const dropped = [];
+
+  for (const members of groups.values()) {
+    let keptIndex;
+    let json;
+
+    if (typeof strategy === 'function') {
+      keptIndex = members[0];
+      json = strategy(members.map(index => rows[index]), members);
+    } else if (strategy === 'merge') {
+      keptIndex = members[0];
+      // Earlier items win; later duplicates only fill fields that are still empty
+      json = members.reduce((merged, index) => {
+        for (const [field, value] of Object.entries(rows[index])) {
+          if (merged[field] === null || merged[field] === undefined || merged[field] === '') {
+            merged[field] = value;
+          }
+        }
+        return merged;
+      }, {});
+    } else {
+      keptIndex = strategy === 'last' ? members[members.length - 1] : members[0];
+      json = rows[keptIndex];
+    }
+
+    // Every strategy pairs with the whole group so lineage reaches the duplicates that were dropped
+    const combined = typeof strategy === 'function' || strategy === 'merge';
+    output.push({
+      json,
+      pairedItem: members.map(index => ({ item: index }))
+    });
+
+    for (const index of members) {
+      if (index === keptIndex) continue;
+      const match = matches[index];
+      const described = Object.entries(match.value).map(([field, value]) => `${field}=${JSON.stringify(value)}`).join(', ');
+      dropped.push({
+        itemIndex: index,
+        keptIndex,
+        key: match.key,
+        value: match.value,
+        reason: `${combined ? 'Merged into' : 'Duplicate of'} item ${keptIndex} (matched item ${match.with} on ${described})`
+      });
+    }
+  }
+
+  dropped.sort((a, b) => a.itemIndex - b.itemIndex);
+
+  return {
+    items: output,
+    dropped,
+    stats: {
+      input: items.length,
+      output: output.length,
+      dropped: dropped.length,
+      duplicateGroups: Array.from(groups.values()).filter(members => members.length > 1).length
+    }
+  };
+}
+
 /**
  * Common field configurations for reuse
  */
@@ -275,5 +840,9 @@ module.exports = {
   normalizeData,
   createNormalizer,
   validateNormalizedData,
+  normalizeResultRow,
+  normalizeResultSet,
+  groupRows,
+  dedupeItems,
   COMMON_FIELD_CONFIGS
 };
\ No newline at end of file
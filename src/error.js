@@ -240,6 +240,126 @@ function withErrorHandling(fn, errorType = 'function_error', context = {}) {
   };
 }
 
+// Network error codes worth retrying: the request may succeed on a fresh connection
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED',
+  'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN'
+]);
+
+// HTTP statuses worth retrying besides 5xx: request timeout, too early, rate limited
+const TRANSIENT_HTTP_STATUSES = new Set([408, 425, 429]);
+
+// 5xx statuses that will not change on retry
+const PERMANENT_SERVER_STATUSES = new Set([501, 505]);
+
+// SQL Server error numbers: deadlock victim, client timeout, lock timeout and Azure SQL throttling/failover
+const TRANSIENT_SQL_ERRORS = new Set([1205, -2, 1222, 4060, 4221, 10928, 10929, 40197, 40501, 40613, 49918, 49919, 49920]);
+
+/**
+ * Read the HTTP status from the error shapes used by fetch wrappers, axios and n8n
+ * @private
+ */
+function getHttpStatus(error) {
+  const status = error.status ?? error.statusCode ?? error.response?.status ?? error.httpCode;
+  const number = Number(status);
+  return Number.isInteger(number) && number >= 100 && number <= 599 ? number : null;
+}
+
+/**
+ * Read the SQL Server error number from mssql/tedious errors
+ * @private
+ */
+function getSqlErrorNumber(error) {
+  const number = error.number ?? error.originalError?.number ?? error.originalError?.info?.number ?? error.info?.number;
+  return Number.isInteger(number) ? number : null;
+}
+
+/**
+ * Read a Retry-After header (seconds or HTTP date) in milliseconds
+ * @private
+ */
+function getRetryAfterMs(error) {
+  const headers = error.response?.headers || error.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : (headers['retry-after'] ?? headers['Retry-After']);
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classify an error as transient (worth retrying) or permanent
+ * Recognizes network error codes (ETIMEDOUT, ECONNRESET, ...), HTTP 408/425/429 and 5xx,
+ * and SQL Server deadlocks (1205), timeouts and Azure SQL throttling errors.
+ * Processor timeouts from timeoutMs (code PROCESSOR_TIMEOUT) are permanent with reason 'processor_timeout':
+ * the timed-out call cannot be cancelled, so retrying could run its side effects twice.
+ * @param {Error|Object} error - Error to classify
+ * @returns {Object} { category: 'transient'|'permanent', retryable, reason, code, status, sqlErrorNumber, retryAfterMs }
+ */
+function classifyError(error) {
+  const classification = {
+    category: 'permanent',
+    retryable: false,
+    reason: 'unrecognized',
+    code: null,
+    status: null,
+    sqlErrorNumber: null,
+    retryAfterMs: null
+  };
+
+  if (!error || typeof error !== 'object') {
+    return classification;
+  }
+
+  const code = error.code ?? error.cause?.code ?? null;
+  const status = getHttpStatus(error);
+  const sqlErrorNumber = getSqlErrorNumber(error);
+  const message = getErrorMessage(error);
+
+  classification.code = typeof code === 'string' ? code : null;
+  classification.status = status;
+  classification.sqlErrorNumber = sqlErrorNumber;
+  classification.retryAfterMs = getRetryAfterMs(error);
+
+  const transient = (reason) => ({ ...classification, category: 'transient', retryable: true, reason });
+  const permanent = (reason) => ({ ...classification, reason });
+
+  if (classification.code === 'PROCESSOR_TIMEOUT') {
+    return permanent('processor_timeout');
+  }
+
+  if (classification.code && TRANSIENT_NETWORK_CODES.has(classification.code)) {
+    return transient('network');
+  }
+
+  if (sqlErrorNumber !== null) {
+    if (sqlErrorNumber === 1205) return transient('sql_deadlock');
+    return TRANSIENT_SQL_ERRORS.has(sqlErrorNumber) ? transient('sql_transient') : permanent('sql_error');
+  }
+
+  if (status !== null) {
+    if (status === 429) return transient('rate_limited');
+    if (TRANSIENT_HTTP_STATUSES.has(status)) return transient('http_timeout');
+    if (status >= 500 && !PERMANENT_SERVER_STATUSES.has(status)) return transient('server_error');
+    return permanent('http_error');
+  }
+
+  // Errors that lost their structure (e.g. re-thrown with only a message)
+  if (/deadlock victim/i.test(message)) return transient('sql_deadlock');
+  if (/\b(ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN)\b|socket hang up|timed out/i.test(message)) {
+    return transient('network');
+  }
+
+  return classification;
+}
+
 /**
  * Check if an object is an error object created by this module
  * @param {*} obj - Object to check
@@ -326,6 +446,7 @@ module.exports = {
   calculateErrorStats,
   
   // Error utilities
+  classifyError,
   withErrorHandling,
   isErrorObject,
   getErrorMessage,
@@ -7,29 +7,152 @@ const _ = require('lodash');
 const { createFileOperationError, createValidationError, logError } = require('./error');
 
 /**
- * Comprehensive MIME type to file extension mapping
- */
-const AUDIO_MIME_TYPES = {
-  'audio/mpeg': 'mp3',
-  'audio/mp3': 'mp3',
-  'audio/mp4': 'm4a',
-  'audio/m4a': 'm4a',
-  'audio/aac': 'aac',
-  'audio/wav': 'wav',
-  'audio/wave': 'wav',
-  'audio/x-wav': 'wav',
-  'audio/flac': 'flac',
-  'audio/ogg': 'ogg',
-  'audio/opus': 'opus',
-  'audio/webm': 'webm',
-  'audio/wma': 'wma',
-  'audio/x-ms-wma': 'wma',
-  'audio/aiff': 'aiff',
-  'audio/x-aiff': 'aiff',
-  'audio/basic': 'au',
-  'audio/3gpp': '3gp',
-  'audio/amr': 'amr'
-};
+ * File categories used by the MIME type registry
+ */
+const FILE_CATEGORIES = ['audio', 'video', 'image', 'document', 'text', 'archive'];
+
+/**
+ * MIME type registry rows: [mimeType, category, extensions, charset]
+ * The first extension is the canonical one. When several types share an extension, the first
+ * row wins the extension → MIME type lookup, so audio rows come first (webm → audio/webm).
+ * @private
+ */
+const MIME_TYPE_ROWS = [
+  // Audio
+  ['audio/mpeg', 'audio', ['mp3', 'mpga']],
+  ['audio/mp3', 'audio', ['mp3']],
+  ['audio/mp4', 'audio', ['m4a', 'm4b']],
+  ['audio/m4a', 'audio', ['m4a']],
+  ['audio/x-m4a', 'audio', ['m4a']],
+  ['audio/aac', 'audio', ['aac']],
+  ['audio/wav', 'audio', ['wav']],
+  ['audio/wave', 'audio', ['wav']],
+  ['audio/x-wav', 'audio', ['wav']],
+  ['audio/flac', 'audio', ['flac']],
+  ['audio/x-flac', 'audio', ['flac']],
+  ['audio/ogg', 'audio', ['ogg', 'oga']],
+  ['audio/opus', 'audio', ['opus']],
+  ['audio/webm', 'audio', ['webm', 'weba']],
+  ['audio/wma', 'audio', ['wma']],
+  ['audio/x-ms-wma', 'audio', ['wma']],
+  ['audio/aiff', 'audio', ['aiff', 'aif']],
+  ['audio/x-aiff', 'audio', ['aiff']],
+  ['audio/basic', 'audio', ['au']],
+  ['audio/3gpp', 'audio', ['3gp']],
+  ['audio/amr', 'audio', ['amr']],
+
+  // Video
+  ['video/mp4', 'video', ['mp4', 'm4v']],
+  ['video/quicktime', 'video', ['mov']],
+  ['video/webm', 'video', ['webm']],
+  ['video/x-matroska', 'video', ['mkv']],
+  ['video/x-msvideo', 'video', ['avi']],
+  ['video/mpeg', 'video', ['mpeg', 'mpg']],
+  ['video/ogg', 'video', ['ogv']],
+  ['video/3gpp', 'video', ['3gp']],
+
+  // Images
+  ['image/jpeg', 'image', ['jpg', 'jpeg']],
+  ['image/png', 'image', ['png']],
+  ['image/gif', 'image', ['gif']],
+  ['image/webp', 'image', ['webp']],
+  ['image/svg+xml', 'image', ['svg'], 'utf-8'],
+  ['image/avif', 'image', ['avif']],
+  ['image/heic', 'image', ['heic']],
+  ['image/bmp', 'image', ['bmp']],
+  ['image/tiff', 'image', ['tif', 'tiff']],
+  ['image/x-icon', 'image', ['ico']],
+
+  // Documents (including web articles)
+  ['application/pdf', 'document', ['pdf']],
+  ['text/html', 'document', ['html', 'htm'], 'utf-8'],
+  ['application/xhtml+xml', 'document', ['xhtml'], 'utf-8'],
+  ['application/msword', 'document', ['doc']],
+  ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'document', ['docx']],
+  ['application/vnd.ms-excel', 'document', ['xls']],
+  ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'document', ['xlsx']],
+  ['application/vnd.ms-powerpoint', 'document', ['ppt']],
+  ['application/vnd.openxmlformats-officedocument.presentationml.presentation', 'document', ['pptx']],
+  ['application/vnd.oasis.opendocument.text', 'document', ['odt']],
+  ['application/rtf', 'document', ['rtf']],
+  ['application/epub+zip', 'document', ['epub']],
+
+  // Text, transcripts and data
+  ['text/plain', 'text', ['txt', 'text', 'log'], 'utf-8'],
+  ['text/markdown', 'text', ['md', 'markdown'], 'utf-8'],
+  ['text/csv', 'text', ['csv'], 'utf-8'],
+  ['text/vtt', 'text', ['vtt'], 'utf-8'],
+  ['application/x-subrip', 'text', ['srt'], 'utf-8'],
+  ['text/srt', 'text', ['srt'], 'utf-8'],
+  ['application/json', 'text', ['json'], 'utf-8'],
+  ['application/ld+json', 'text', ['jsonld'], 'utf-8'],
+  ['application/xml', 'text', ['xml'], 'utf-8'],
+  ['text/xml', 'text', ['xml'], 'utf-8'],
+  ['application/rss+xml', 'text', ['rss'], 'utf-8'],
+  ['application/atom+xml', 'text', ['atom'], 'utf-8'],
+  ['application/yaml', 'text', ['yaml', 'yml'], 'utf-8'],
+  ['text/calendar', 'text', ['ics'], 'utf-8'],
+
+  // Archives
+  ['application/zip', 'archive', ['zip']],
+  ['application/gzip', 'archive', ['gz']],
+  ['application/x-tar', 'archive', ['tar']],
+  ['application/x-bzip2', 'archive', ['bz2']],
+  ['application/x-7z-compressed', 'archive', ['7z']],
+  ['application/vnd.rar', 'archive', ['rar']]
+];
+
+/**
+ * MIME type registry: mimeType → { category, extensions, charset }
+ * charset is the encoding to assume for text types when no charset parameter is given.
+ */
+const MIME_TYPES = Object.freeze(Object.fromEntries(MIME_TYPE_ROWS.map(([mimeType, category, extensions, charset]) => [
+  mimeType,
+  Object.freeze({ category, extensions: Object.freeze(extensions), charset: charset || null })
+])));
+
+/**
+ * Extension → canonical MIME type (first registry row listing the extension)
+ * @private
+ */
+const EXTENSION_MIME_TYPES = MIME_TYPE_ROWS.reduce((lookup, [mimeType, , extensions]) => {
+  for (const extension of extensions) {
+    if (!lookup[extension]) lookup[extension] = mimeType;
+  }
+  return lookup;
+}, {});
+
+/**
+ * Audio MIME type to file extension mapping (the audio part of MIME_TYPES)
+ */
+const AUDIO_MIME_TYPES = Object.fromEntries(
+  Object.entries(MIME_TYPES)
+    .filter(([, entry]) => entry.category === 'audio')
+    .map(([mimeType, entry]) => [mimeType, entry.extensions[0]])
+);
+
+/**
+ * Lowercase a MIME type and drop parameters such as "; charset=utf-8"
+ * @private
+ */
+function normalizeMimeType(mimeType) {
+  return String(mimeType).split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Extension of a URL path or file name, without the dot
+ * @private
+ */
+function extensionFromPath(value) {
+  let pathname = String(value);
+  try {
+    pathname = new URL(pathname).pathname;
+  } catch (e) {
+    // Not a URL; treat it as a file name
+  }
+  const match = /\.([a-z0-9]+)$/i.exec(pathname);
+  return match ? match[1].toLowerCase() : null;
+}
 
 /**
  * Extract file extension from URL or MIME type
@@ -54,7 +177,7 @@ function extractFileExtension(audioUrl, mimeType, defaultExtension = 'mp3') {
 
   // Fallback to MIME type mapping
   if (mimeType) {
-    const extension = AUDIO_MIME_TYPES[mimeType.toLowerCase()];
+    const extension = getExtensionFromMimeType(mimeType);
     if (extension) {
       return extension;
     }
@@ -96,26 +219,73 @@ function generateSafeFileName(title, fileExtension, options = {}) {
 }
 
 /**
- * Validate if URL is a valid audio/media URL
+ * Hosts whose page URLs are media without a file extension
+ * @private
+ */
+const MEDIA_HOSTS = {
+  'youtube.com': 'video',
+  'm.youtube.com': 'video',
+  'youtu.be': 'video',
+  'vimeo.com': 'video',
+  'player.vimeo.com': 'video'
+};
+
+/**
+ * Validate if URL points to media of the given categories
+ * The category comes from the last path segment with a known extension, so redirect URLs such as
+ * /redirect.mp3/cdn.example.com/episode still count. YouTube and Vimeo URLs count as video.
  * @param {string} url - URL to validate
- * @param {Array} allowedExtensions - Array of allowed extensions
- * @returns {boolean} True if valid audio URL
+ * @param {Object} options - Validation options
+ * @param {Array} options.categories - Accepted categories (default: ['audio', 'video'])
+ * @param {Array} options.extensions - Accepted extensions; when given, any path containing one of them passes
+ * @returns {boolean} True if the URL points to accepted media
  */
-function validateAudioUrl(url, allowedExtensions = ['mp3', 'm4a', 'wav', 'ogg', 'aac']) {
+function validateMediaUrl(url, options = {}) {
+  const { categories = ['audio', 'video'], extensions = null } = options;
+
   if (!url || !validator.isURL(String(url))) {
     return false;
   }
 
+  let parsed;
   try {
-    const urlPath = new URL(url).pathname.toLowerCase();
-    return allowedExtensions.some(ext => urlPath.includes(`.${ext}`));
+    parsed = new URL(url);
   } catch (e) {
     return false;
   }
+
+  const pathname = parsed.pathname.toLowerCase();
+  if (extensions) {
+    return extensions.some(extension => pathname.includes(`.${extension.replace(/^\./, '').toLowerCase()}`));
+  }
+
+  const hostCategory = MEDIA_HOSTS[parsed.hostname.toLowerCase().replace(/^www\./, '')];
+  if (hostCategory) {
+    return categories.includes(hostCategory);
+  }
+
+  const known = pathname.split('/')
+    .map(segment => extensionFromPath(segment))
+    .filter(extension => extension && EXTENSION_MIME_TYPES[extension]);
+  if (known.length === 0) {
+    return false;
+  }
+  return categories.includes(MIME_TYPES[EXTENSION_MIME_TYPES[known[known.length - 1]]].category);
+}
+
+/**
+ * Validate if URL is a valid audio/media URL
+ * @param {string} url - URL to validate
+ * @param {Array} allowedExtensions - Array of allowed extensions
+ * @returns {boolean} True if valid audio URL
+ */
+function validateAudioUrl(url, allowedExtensions = ['mp3', 'm4a', 'wav', 'ogg', 'aac']) {
+  return validateMediaUrl(url, { categories: ['audio'], extensions: allowedExtensions });
 }
 
 /**
  * Get MIME type from file extension
+ * Extensions shared by several types resolve to the first registry entry (e.g. webm → audio/webm).
  * @param {string} extension - File extension (with or without dot)
  * @returns {string|null} MIME type or null if not found
  */
@@ -123,15 +293,54 @@ function getMimeTypeFromExtension(extension) {
   if (!extension) return null;
 
   const cleanExtension = extension.replace(/^\./, '').toLowerCase();
+  return EXTENSION_MIME_TYPES[cleanExtension] || null;
+}
 
-  // Reverse lookup in AUDIO_MIME_TYPES
-  for (const [mimeType, ext] of Object.entries(AUDIO_MIME_TYPES)) {
-    if (ext === cleanExtension) {
-      return mimeType;
-    }
+/**
+ * Get the canonical file extension for a MIME type
+ * @param {string} mimeType - MIME type (parameters such as charset are ignored)
+ * @returns {string|null} Extension (without dot) or null if not found
+ */
+function getExtensionFromMimeType(mimeType) {
+  if (!mimeType) return null;
+
+  const entry = MIME_TYPES[normalizeMimeType(mimeType)];
+  return entry ? entry.extensions[0] : null;
+}
+
+/**
+ * Look up a MIME type, extension, file name or URL in the registry
+ * @param {string} value - e.g. 'audio/mpeg', 'mp3', '.vtt', 'transcript.srt' or a URL
+ * @returns {Object|null} { mimeType, extension, category, charset } or null if not found
+ */
+function lookupMimeType(value) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  let mimeType = normalizeMimeType(text);
+
+  if (!MIME_TYPES[mimeType]) {
+    const extension = /^\.?[a-z0-9]+$/i.test(text) ? text.replace(/^\./, '').toLowerCase() : extensionFromPath(text);
+    mimeType = extension ? EXTENSION_MIME_TYPES[extension] : null;
   }
+  if (!mimeType) return null;
 
-  return null;
+  const entry = MIME_TYPES[mimeType];
+  return { mimeType, extension: entry.extensions[0], category: entry.category, charset: entry.charset };
+}
+
+/**
+ * Get the category of a MIME type, extension, file name or URL
+ * Unregistered MIME types fall back to their top-level type (audio/*, video/*, image/*, text/*).
+ * @param {string} value - MIME type, extension, file name or URL
+ * @returns {string|null} 'audio', 'video', 'image', 'document', 'text', 'archive' or null
+ */
+function getFileCategory(value) {
+  const entry = lookupMimeType(value);
+  if (entry) return entry.category;
+
+  const match = /^(audio|video|image|text)\/[\w.+-]+$/.exec(normalizeMimeType(value || ''));
+  return match ? match[1] : null;
 }
 
 /**
@@ -186,13 +395,281 @@ function formatFileSize(bytes, options = {}) {
   return `${size} ${units[unitIndex]}`;
 }
 
+/**
+ * Extensions that describe the same audio format or container
+ * Used to decide whether a declared type and the detected content disagree.
+ * @private
+ */
+const AUDIO_FORMAT_FAMILIES = [
+  ['mp3', 'mpga'],
+  ['m4a', 'mp4', 'm4b', 'm4p'],
+  ['wav', 'wave'],
+  ['ogg', 'oga', 'opus'],
+  ['flac'],
+  ['aac'],
+  ['webm', 'weba'],
+  ['aiff', 'aif'],
+  ['3gp']
+];
+
+/**
+ * Detected types that can carry audio, even though they may be video containers
+ * @private
+ */
+const AUDIO_CONTAINERS = ['mp4', 'webm', '3gp'];
+
+/**
+ * Check whether bytes at an offset match an ASCII string
+ * @private
+ */
+function hasAscii(bytes, offset, text) {
+  if (bytes.length < offset + text.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Check for an AAC ADTS header: 12-bit sync word 0xFFF with layer bits 00
+ * @private
+ */
+function isAdtsHeader(bytes, offset = 0) {
+  return bytes.length >= offset + 2 && bytes[offset] === 0xFF && (bytes[offset + 1] & 0xF6) === 0xF0;
+}
+
+/**
+ * Check for an MPEG audio frame header: 11-bit sync, a valid layer, bitrate and sample rate
+ * @private
+ */
+function isMpegFrameHeader(bytes, offset = 0) {
+  if (bytes.length < offset + 3 || bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) {
+    return false;
+  }
+  const layer = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  return layer !== 0 && bitrateIndex !== 0x0F && sampleRateIndex !== 0x03;
+}
+
+/**
+ * Identify ISO base media (ftyp) files by their major brand
+ * @private
+ */
+function detectFtyp(bytes) {
+  const brand = String.fromCharCode(...bytes.slice(8, 12)).toLowerCase();
+  if (['m4a ', 'm4b ', 'm4p '].includes(brand)) {
+    return { extension: 'm4a', mimeType: 'audio/mp4', category: 'audio' };
+  }
+  if (brand === 'qt  ') {
+    return { extension: 'mov', mimeType: 'video/quicktime', category: 'video' };
+  }
+  if (brand.startsWith('3g')) {
+    return { extension: '3gp', mimeType: 'video/3gpp', category: 'video' };
+  }
+  // isom, mp41, mp42, dash, avc1, ...: audio-only files use these brands too
+  return { extension: 'mp4', mimeType: 'video/mp4', category: 'video' };
+}
+
+/**
+ * Identify HTML and XML documents, e.g. error pages served from media URLs
+ * @private
+ */
+function detectMarkup(bytes) {
+  let text = Buffer.from(bytes.slice(0, 1024)).toString('utf8');
+  text = text.replace(/^\uFEFF/, '').trimStart().toLowerCase();
+
+  if (/^<(!doctype html|html|head|body)[\s>]/.test(text) ||
+      (text.startsWith('<!--') && text.includes('<html'))) {
+    return { extension: 'html', mimeType: 'text/html', category: 'document' };
+  }
+  if (text.startsWith('<?xml')) {
+    return /<html[\s>]/.test(text)
+      ? { extension: 'html', mimeType: 'text/html', category: 'document' }
+      : { extension: 'xml', mimeType: 'application/xml', category: 'text' };
+  }
+  return null;
+}
+
+/**
+ * Detect a file's type from its leading bytes (magic numbers)
+ * Recognizes MP3 (ID3 tag or frame sync), M4A/MP4 (ftyp), WAV, AIFF, OGG/Opus, FLAC, AAC ADTS,
+ * WebM/Matroska, PNG, JPEG, GIF, WebP, PDF, HTML and XML. The first 64 bytes are enough for every
+ * type except MP3/AAC behind a large ID3 tag.
+ * @param {Buffer|Uint8Array} buffer - File content (or its first bytes)
+ * @returns {Object|null} { extension, mimeType, category } or null if not recognized
+ */
+function detectFileType(buffer) {
+  if (!buffer || !(buffer instanceof Uint8Array)) {
+    throw new Error('detectFileType requires a Buffer or Uint8Array');
+  }
+  const bytes = buffer;
+
+  if (hasAscii(bytes, 0, 'ID3')) {
+    // ID3v2 size is a 28-bit syncsafe integer; look past the tag when the buffer reaches that far
+    const tagEnd = 10 + ((bytes[6] & 0x7F) << 21 | (bytes[7] & 0x7F) << 14 | (bytes[8] & 0x7F) << 7 | (bytes[9] & 0x7F));
+    if (isAdtsHeader(bytes, tagEnd)) {
+      return { extension: 'aac', mimeType: 'audio/aac', category: 'audio' };
+    }
+    return { extension: 'mp3', mimeType: 'audio/mpeg', category: 'audio' };
+  }
+  if (hasAscii(bytes, 4, 'ftyp')) return detectFtyp(bytes);
+  if (hasAscii(bytes, 0, 'RIFF') && hasAscii(bytes, 8, 'WAVE')) {
+    return { extension: 'wav', mimeType: 'audio/wav', category: 'audio' };
+  }
+  if (hasAscii(bytes, 0, 'RIFF') && hasAscii(bytes, 8, 'WEBP')) {
+    return { extension: 'webp', mimeType: 'image/webp', category: 'image' };
+  }
+  if (hasAscii(bytes, 0, 'FORM') && (hasAscii(bytes, 8, 'AIFF') || hasAscii(bytes, 8, 'AIFC'))) {
+    return { extension: 'aiff', mimeType: 'audio/aiff', category: 'audio' };
+  }
+  if (hasAscii(bytes, 0, 'OggS')) {
+    return hasAscii(bytes, 28, 'OpusHead')
+      ? { extension: 'opus', mimeType: 'audio/opus', category: 'audio' }
+      : { extension: 'ogg', mimeType: 'audio/ogg', category: 'audio' };
+  }
+  if (hasAscii(bytes, 0, 'fLaC')) return { extension: 'flac', mimeType: 'audio/flac', category: 'audio' };
+  if (bytes.length >= 4 && bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) {
+    return Buffer.from(bytes.slice(0, 64)).includes('webm')
+      ? { extension: 'webm', mimeType: 'video/webm', category: 'video' }
+      : { extension: 'mkv', mimeType: 'video/x-matroska', category: 'video' };
+  }
+  if (hasAscii(bytes, 0, '\x89PNG\r\n\x1A\n')) return { extension: 'png', mimeType: 'image/png', category: 'image' };
+  if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+    return { extension: 'jpg', mimeType: 'image/jpeg', category: 'image' };
+  }
+  if (hasAscii(bytes, 0, 'GIF87a') || hasAscii(bytes, 0, 'GIF89a')) {
+    return { extension: 'gif', mimeType: 'image/gif', category: 'image' };
+  }
+  if (hasAscii(bytes, 0, '%PDF-')) return { extension: 'pdf', mimeType: 'application/pdf', category: 'document' };
+  if (isAdtsHeader(bytes)) return { extension: 'aac', mimeType: 'audio/aac', category: 'audio' };
+  if (isMpegFrameHeader(bytes)) return { extension: 'mp3', mimeType: 'audio/mpeg', category: 'audio' };
+
+  return detectMarkup(bytes);
+}
+
+/**
+ * Find the format family of an extension
+ * @private
+ */
+function audioFamily(extension) {
+  return AUDIO_FORMAT_FAMILIES.find(family => family.includes(extension)) || [extension];
+}
+
+/**
+ * Extension from a URL or file name, without defaulting
+ * @private
+ */
+function declaredExtension(location) {
+  if (!location) return null;
+  let pathname = String(location);
+  try {
+    pathname = new URL(pathname).pathname;
+  } catch (e) {
+    // Not a URL; treat it as a file name
+  }
+  const match = /\.([a-zA-Z0-9]{2,4})$/.exec(pathname);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Extension a declared MIME type stands for, or null when it names no specific audio format
+ * Covers AUDIO_MIME_TYPES plus subtypes that are extensions, such as audio/x-m4a or audio/x-flac.
+ * @private
+ */
+function declaredMimeExtension(mimeType, detected) {
+  if (AUDIO_MIME_TYPES[mimeType]) return AUDIO_MIME_TYPES[mimeType];
+  if (mimeType === detected.mimeType) return detected.extension;
+
+  const [topLevel, subtype = ''] = mimeType.split('/');
+  const candidate = subtype.replace(/^x-/, '');
+  const known = ['audio', 'video'].includes(topLevel) && AUDIO_FORMAT_FAMILIES.some(family => family.includes(candidate));
+  return known ? candidate : null;
+}
+
+/**
+ * Verify downloaded content is audio and matches the type it was declared as
+ * Feeds often serve HTML error pages from .mp3 URLs, or label M4A files audio/mpeg.
+ * @param {Buffer|Uint8Array|Object} content - File content, or an n8n binary data object ({ data, mimeType, fileName })
+ * @param {Object} declared - Declared type (defaults come from the binary data object)
+ * @param {string} declared.mimeType - MIME type from the feed or Content-Type header
+ * @param {string} declared.url - Download URL (or declared.fileName) to take the extension from
+ * @param {string} declared.extension - Declared extension, overrides the URL/file name
+ * @returns {Object} { valid, detected, declared, mismatches, extension, mimeType, reason }
+ */
+function verifyDownloadedAudio(content, declared = {}) {
+  let buffer = content;
+  let fromBinary = {};
+
+  if (content && typeof content === 'object' && !(content instanceof Uint8Array) && typeof content.data === 'string') {
+    fromBinary = content;
+    buffer = Buffer.from(content.data, 'base64');
+  }
+
+  const mimeType = (declared.mimeType || fromBinary.mimeType || '').toLowerCase().split(';')[0].trim() || null;
+  const extension = (declared.extension || '').replace(/^\./, '').toLowerCase() ||
+    declaredExtension(declared.url || declared.fileName || fromBinary.fileName) ||
+    fromBinary.fileExtension || null;
+
+  const detected = detectFileType(buffer);
+  const result = {
+    valid: false,
+    detected,
+    declared: { mimeType, extension },
+    mismatches: [],
+    extension: null,
+    mimeType: null,
+    reason: null
+  };
+
+  if (!detected) {
+    result.reason = 'Content type not recognized';
+    return result;
+  }
+
+  if (detected.category !== 'audio' && !AUDIO_CONTAINERS.includes(detected.extension)) {
+    result.reason = `Content is ${detected.extension.toUpperCase()}, not audio`;
+    return result;
+  }
+
+  const family = audioFamily(detected.extension);
+  if (extension && !family.includes(extension)) {
+    result.mismatches.push({ field: 'extension', declared: extension, detected: detected.extension });
+  }
+
+  // Generic or unknown types such as application/octet-stream make no claim about the format
+  const mimeExtension = mimeType ? declaredMimeExtension(mimeType, detected) : null;
+  if (mimeExtension && !family.includes(mimeExtension)) {
+    result.mismatches.push({ field: 'mimeType', declared: mimeType, detected: detected.mimeType });
+  }
+
+  result.valid = true;
+  result.extension = detected.extension;
+  result.mimeType = detected.mimeType;
+  if (result.mismatches.length > 0) {
+    result.reason = result.mismatches
+      .map(mismatch => `Declared ${mismatch.field} ${mismatch.declared} but content is ${mismatch.detected}`)
+      .join('; ');
+  }
+
+  return result;
+}
+
 module.exports = {
+  FILE_CATEGORIES,
+  MIME_TYPES,
   AUDIO_MIME_TYPES,
   extractFileExtension,
   generateSafeFileName,
   validateAudioUrl,
+  validateMediaUrl,
   getMimeTypeFromExtension,
+  getExtensionFromMimeType,
+  lookupMimeType,
+  getFileCategory,
   parseContentLength,
   validateFileSize,
-  formatFileSize
+  formatFileSize,
+  detectFileType,
+  verifyDownloadedAudio
 };
\ No newline at end of file
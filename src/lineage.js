@@ -0,0 +1,436 @@
+// src/lineage.js
+// Item lineage: follow pairedItem references back through a workflow execution
+// Finds the pairing bugs that make itemMatching() return another item's upstream data
+
+const ISSUE_TYPES = ['missing', 'invalid', 'out_of_range', 'ambiguous'];
+
+/**
+ * Normalize an n8n pairedItem value to an array of { item, input } references
+ * Accepts the number, object and array forms n8n uses; input defaults to 0.
+ * @param {number|Object|Array} pairedItem - pairedItem value from an n8n item
+ * @returns {Array<Object>} References ({ item, input }); empty when pairedItem is missing
+ */
+function normalizePairedItem(pairedItem) {
+  if (pairedItem === undefined || pairedItem === null) {
+    return [];
+  }
+
+  const entries = Array.isArray(pairedItem) ? pairedItem : [pairedItem];
+
+  return entries.map((entry) => {
+    const ref = typeof entry === 'number' ? { item: entry } : entry;
+    if (!ref || typeof ref !== 'object' || !Number.isInteger(ref.item) || ref.item < 0) {
+      throw new Error(`Invalid pairedItem ${JSON.stringify(entry)}: expected an item index, { item, input } or an array of them`);
+    }
+    const input = ref.input === undefined ? 0 : ref.input;
+    if (!Number.isInteger(input) || input < 0) {
+      throw new Error(`Invalid pairedItem ${JSON.stringify(entry)}: input must be a non-negative integer`);
+    }
+    return { item: ref.item, input };
+  });
+}
+
+/**
+ * Normalize one input source: a node name or an n8n ISourceData entry
+ * @private
+ */
+function toSource(entry) {
+  if (!entry) {
+    return null;
+  }
+  if (typeof entry === 'string') {
+    return { node: entry, output: 0, run: 0 };
+  }
+  return {
+    node: entry.previousNode || entry.node,
+    output: entry.previousNodeOutput || entry.output || 0,
+    run: entry.previousNodeRun || entry.run || 0
+  };
+}
+
+/**
+ * Build a graph of node runs from an n8n execution export or a lineage fixture
+ * Execution exports carry runData (data.resultData.runData); fixtures list
+ * nodes: { name: { items | outputs, source: [parent per input] } }.
+ * @private
+ */
+function buildGraph(source) {
+  if (!source || typeof source !== 'object') {
+    throw new Error('Lineage source must be an execution export or a fixture object');
+  }
+
+  const runData = source.data?.resultData?.runData || source.resultData?.runData || source.runData;
+  const graph = new Map();
+
+  if (runData) {
+    for (const [name, runs] of Object.entries(runData)) {
+      graph.set(name, (runs || []).map(run => ({
+        outputs: run?.data?.main || [[]],
+        sources: (run?.source || []).map(toSource)
+      })));
+    }
+    return graph;
+  }
+
+  if (source.nodes && typeof source.nodes === 'object') {
+    for (const [name, node] of Object.entries(source.nodes)) {
+      const sources = node.source === undefined ? [] : [].concat(node.source);
+      graph.set(name, [{
+        outputs: node.outputs || [node.items || []],
+        sources: sources.map(toSource)
+      }]);
+    }
+    return graph;
+  }
+
+  throw new Error('Lineage source has no runData or nodes');
+}
+
+/**
+ * Look up a node run's output items
+ * @private
+ */
+function getOutput(graph, node, run, output) {
+  const runs = graph.get(node);
+  return runs?.[run]?.outputs?.[output] || null;
+}
+
+/**
+ * Check one item's pairedItem against its node's inputs
+ * Returns the resolved parent references and any issue found.
+ * @private
+ */
+function resolveParents(graph, node, run, output, itemIndex) {
+  const nodeRun = graph.get(node)[run];
+  const item = nodeRun.outputs[output][itemIndex];
+  const location = { node, run, output, itemIndex };
+  const issues = [];
+  const parents = [];
+
+  // Trigger and start nodes have no inputs, so there is nothing to pair with
+  if (nodeRun.sources.filter(Boolean).length === 0) {
+    return { parents, issues };
+  }
+
+  let refs;
+  try {
+    refs = normalizePairedItem(item?.pairedItem);
+  } catch (error) {
+    issues.push({ ...location, type: 'invalid', pairedItem: item.pairedItem, message: error.message });
+    return { parents, issues };
+  }
+
+  if (refs.length === 0) {
+    issues.push({ ...location, type: 'missing', message: `${node} item ${itemIndex} has no pairedItem` });
+    return { parents, issues };
+  }
+
+  for (const ref of refs) {
+    const parentSource = nodeRun.sources[ref.input];
+    if (!parentSource) {
+      issues.push({
+        ...location,
+        type: 'out_of_range',
+        pairedItem: item.pairedItem,
+        message: `${node} item ${itemIndex} references input ${ref.input}, but the node has ${nodeRun.sources.length} input(s)`
+      });
+      continue;
+    }
+
+    const parentItems = getOutput(graph, parentSource.node, parentSource.run, parentSource.output);
+    if (!parentItems || ref.item >= parentItems.length) {
+      issues.push({
+        ...location,
+        type: 'out_of_range',
+        pairedItem: item.pairedItem,
+        message: `${node} item ${itemIndex} references ${parentSource.node} item ${ref.item}, ` +
+          `but that output has ${parentItems ? parentItems.length : 0} item(s)`
+      });
+      continue;
+    }
+
+    parents.push({ ...parentSource, itemIndex: ref.item });
+  }
+
+  return { parents, issues };
+}
+
+/**
+ * Walk the lineage of one item, collecting its ancestry tree, ancestors per node and issues
+ * @private
+ */
+function walk(graph, node, run, output, itemIndex, state, path = new Set()) {
+  const id = `${node}\u0000${run}\u0000${output}\u0000${itemIndex}`;
+  const items = getOutput(graph, node, run, output) || [];
+  const entry = { node, run, output, itemIndex, json: items[itemIndex]?.json, parents: [] };
+
+  // Loops in the workflow re-run nodes; a reference back onto the current path would never end
+  if (path.has(id)) {
+    return entry;
+  }
+  path.add(id);
+
+  const { parents, issues } = resolveParents(graph, node, run, output, itemIndex);
+  for (const issue of issues) {
+    if (!state.seenIssues.has(issue.message)) {
+      state.seenIssues.add(issue.message);
+      state.issues.push(issue);
+    }
+  }
+
+  for (const parent of parents) {
+    const ancestors = state.ancestors[parent.node] || (state.ancestors[parent.node] = new Set());
+    ancestors.add(parent.itemIndex);
+    entry.parents.push(walk(graph, parent.node, parent.run, parent.output, parent.itemIndex, state, path));
+  }
+
+  path.delete(id);
+  return entry;
+}
+
+/**
+ * Trace one item in a built graph
+ * @private
+ */
+function traceInGraph(graph, node, run, output, itemIndex) {
+  const state = { ancestors: {}, issues: [], seenIssues: new Set() };
+  const item = walk(graph, node, run, output, itemIndex, state);
+
+  const ancestors = {};
+  for (const [name, indexes] of Object.entries(state.ancestors)) {
+    ancestors[name] = Array.from(indexes).sort((a, b) => a - b);
+  }
+
+  return { item, ancestors, issues: state.issues };
+}
+
+/**
+ * Collect the ancestor item indexes of one item, per upstream node
+ * Results are cached per (node, run, output, itemIndex) so items that share ancestors
+ * (many-to-one pairing, diamonds) walk each ancestor once. A result cut short by a loop
+ * back onto the current path is incomplete and not cached.
+ * @private
+ * @returns {Object} { ancestors: Map<nodeName, Set<itemIndex>>, complete }
+ */
+function collectAncestors(graph, node, run, output, itemIndex, cache, path = new Set()) {
+  const id = `${node}\u0000${run}\u0000${output}\u0000${itemIndex}`;
+  if (cache.has(id)) {
+    return { ancestors: cache.get(id), complete: true };
+  }
+  if (path.has(id)) {
+    return { ancestors: new Map(), complete: false };
+  }
+  path.add(id);
+
+  const ancestors = new Map();
+  const add = (name, index) => {
+    const indexes = ancestors.get(name) || new Set();
+    indexes.add(index);
+    ancestors.set(name, indexes);
+  };
+  let complete = true;
+
+  for (const parent of resolveParents(graph, node, run, output, itemIndex).parents) {
+    add(parent.node, parent.itemIndex);
+    const upstream = collectAncestors(graph, parent.node, parent.run, parent.output, parent.itemIndex, cache, path);
+    complete = complete && upstream.complete;
+    for (const [name, indexes] of upstream.ancestors) {
+      indexes.forEach(index => add(name, index));
+    }
+  }
+
+  path.delete(id);
+  if (complete) {
+    cache.set(id, ancestors);
+  }
+  return { ancestors, complete };
+}
+
+/**
+ * Verify a node, run and output exist and return its items
+ * @private
+ */
+function requireOutput(graph, node, run, output) {
+  if (!graph.has(node)) {
+    throw new Error(`Node '${node}' is not in the lineage source`);
+  }
+  const items = getOutput(graph, node, run, output);
+  if (!items) {
+    throw new Error(`Node '${node}' has no run ${run} output ${output}`);
+  }
+  return items;
+}
+
+/**
+ * Follow one item's pairedItem chain back to the start of the workflow
+ * ancestors lists, per upstream node, the item indexes $('Node').itemMatching() can resolve to;
+ * more than one index for a node means itemMatching() is ambiguous for that node.
+ * @param {Object} source - n8n execution export or lineage fixture
+ * @param {string} node - Node the item belongs to
+ * @param {number} itemIndex - Index of the item in that node's output
+ * @param {Object} options - Trace options
+ * @param {number} options.output - Output index of the node (default: 0)
+ * @param {number} options.run - Run index of the node (default: 0)
+ * @returns {Object} { item (ancestry tree), ancestors: { nodeName: [itemIndex] }, issues }
+ */
+function traceLineage(source, node, itemIndex, options = {}) {
+  const { output = 0, run = 0 } = options;
+  const graph = buildGraph(source);
+  const items = requireOutput(graph, node, run, output);
+
+  if (!Number.isInteger(itemIndex) || itemIndex < 0 || itemIndex >= items.length) {
+    throw new Error(`Item ${itemIndex} is out of range for '${node}' (${items.length} items)`);
+  }
+
+  return traceInGraph(graph, node, run, output, itemIndex);
+}
+
+/**
+ * Check the pairing of every item in an execution export or fixture
+ * Reports items with missing, invalid or out-of-range pairedItem, and items whose lineage
+ * resolves to several items of one upstream node (ambiguous for itemMatching()).
+ * @param {Object} source - n8n execution export or lineage fixture
+ * @param {Object} options - Check options
+ * @param {Array<string>} options.nodes - Only check items of these nodes (default: all)
+ * @param {Array<string>} options.ignore - Issue types to leave out of the report
+ *   ('missing', 'invalid', 'out_of_range', 'ambiguous')
+ * @returns {Object} { valid, issues, checked }
+ */
+function checkLineage(source, options = {}) {
+  const { nodes = null, ignore = [] } = options;
+  const graph = buildGraph(source);
+
+  for (const type of ignore) {
+    if (!ISSUE_TYPES.includes(type)) {
+      throw new Error(`Unknown issue type '${type}'. Use ${ISSUE_TYPES.join(', ')}`);
+    }
+  }
+
+  const names = nodes || Array.from(graph.keys());
+  const cache = new Map();
+  const issues = [];
+  let checked = 0;
+
+  for (const name of names) {
+    if (!graph.has(name)) {
+      throw new Error(`Node '${name}' is not in the lineage source`);
+    }
+
+    graph.get(name).forEach((nodeRun, run) => {
+      nodeRun.outputs.forEach((items, output) => {
+        (items || []).forEach((_item, itemIndex) => {
+          checked++;
+          // Direct issues of this item; issues further up are reported when their own node is checked
+          issues.push(...resolveParents(graph, name, run, output, itemIndex).issues);
+
+          const { ancestors } = collectAncestors(graph, name, run, output, itemIndex, cache);
+          for (const [ancestor, indexSet] of ancestors) {
+            if (indexSet.size > 1) {
+              const indexes = Array.from(indexSet).sort((a, b) => a - b);
+              issues.push({
+                node: name,
+                run,
+                output,
+                itemIndex,
+                type: 'ambiguous',
+                ancestor,
+                candidates: indexes,
+                message: `${name} item ${itemIndex} traces back to ${indexes.length} items of ${ancestor} (${indexes.join(', ')})`
+              });
+            }
+          }
+        });
+      });
+    });
+  }
+
+  const reported = issues.filter(issue => !ignore.includes(issue.type));
+  return { valid: reported.length === 0, issues: reported, checked };
+}
+
+/**
+ * Check Code-node output pairing before returning it
+ * Every result must reference existing input items. Throws with a list of the bad items,
+ * otherwise returns the result items: return assertPairing(result, $input.all());
+ * @param {Array|Object} results - Output items, or a processItemsWithPairing result
+ * @param {Array|number} inputs - Input items ($input.all()) or their count
+ * @param {Object} options - Check options
+ * @param {number} options.inputCount - Number of node inputs (default: 1)
+ * @param {boolean} options.allowMissing - Accept results without pairedItem (default: false)
+ * @param {boolean} options.allowMultiple - Accept results paired with several inputs (default: true)
+ * @param {boolean} options.requireAll - Every item of the first input must be referenced by a result (default: false)
+ * @returns {Array} The result items
+ */
+function assertPairing(results, inputs, options = {}) {
+  const {
+    inputCount = 1,
+    allowMissing = false,
+    allowMultiple = true,
+    requireAll = false
+  } = options;
+
+  const items = Array.isArray(results) ? results : results?.results;
+  if (!Array.isArray(items)) {
+    throw new Error('Results must be an array of items or a processItemsWithPairing result');
+  }
+
+  const total = Array.isArray(inputs) ? inputs.length : inputs;
+  if (!Number.isInteger(total) || total < 0) {
+    throw new Error('Inputs must be an array of items or an item count');
+  }
+
+  const problems = [];
+  const referenced = new Set();
+
+  items.forEach((item, index) => {
+    let refs;
+    try {
+      refs = normalizePairedItem(item?.pairedItem);
+    } catch (error) {
+      problems.push(`Item ${index}: ${error.message}`);
+      return;
+    }
+
+    if (refs.length === 0) {
+      if (!allowMissing) {
+        problems.push(`Item ${index}: pairedItem is missing`);
+      }
+      return;
+    }
+
+    if (refs.length > 1 && !allowMultiple) {
+      problems.push(`Item ${index}: paired with ${refs.length} input items`);
+    }
+
+    for (const ref of refs) {
+      if (ref.input >= inputCount) {
+        problems.push(`Item ${index}: pairedItem input ${ref.input} does not exist (${inputCount} input(s))`);
+      } else if (ref.item >= total) {
+        problems.push(`Item ${index}: pairedItem ${ref.item} is out of range (${total} input items)`);
+      } else if (ref.input === 0) {
+        referenced.add(ref.item);
+      }
+    }
+  });
+
+  if (requireAll) {
+    for (let index = 0; index < total; index++) {
+      if (!referenced.has(index)) {
+        problems.push(`Input item ${index}: no result is paired with it`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Pairing check failed for ${problems.length} item(s):\n${problems.join('\n')}`);
+  }
+
+  return items;
+}
+
+module.exports = {
+  normalizePairedItem,
+  traceLineage,
+  checkLineage,
+  assertPairing
+};
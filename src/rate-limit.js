@@ -0,0 +1,132 @@
+// src/rate-limit.js
+// Token-bucket rate limiting for calls to external APIs (feed hosts, LLM providers, Slack)
+// Bucket state can live in n8n workflow static data so consecutive executions share one budget
+
+/**
+ * Create a token-bucket rate limiter
+ * The bucket holds up to requestsPerInterval tokens and refills continuously at
+ * requestsPerInterval per intervalMs. Each request takes one token, waiting for a refill when empty.
+ * Waiting callers are served in FIFO order.
+ *
+ * Pass staticData ($getWorkflowStaticData('global')) to persist the bucket between executions.
+ * n8n saves static data when a production (trigger or webhook) execution ends, whether it succeeded
+ * or failed. Manual runs from the editor never save it, so each one starts with a full bucket.
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerInterval - Requests allowed per interval (bucket capacity)
+ * @param {number} options.intervalMs - Interval length in milliseconds
+ * @param {Object} options.staticData - n8n workflow static data to persist the bucket in (optional)
+ * @param {string} options.key - Name of this bucket in static data (default: 'default')
+ * @returns {Object} Limiter with acquire, tryAcquire, getState and reset
+ */
+function createRateLimiter(options = {}) {
+  const {
+    requestsPerInterval,
+    intervalMs,
+    staticData = null,
+    key = 'default'
+  } = options;
+
+  if (!Number.isInteger(requestsPerInterval) || requestsPerInterval < 1) {
+    throw new Error('requestsPerInterval must be a positive integer');
+  }
+
+  if (typeof intervalMs !== 'number' || !(intervalMs > 0)) {
+    throw new Error('intervalMs must be a positive number');
+  }
+
+  if (staticData !== null && typeof staticData !== 'object') {
+    throw new Error('staticData must be the object returned by $getWorkflowStaticData()');
+  }
+
+  const capacity = requestsPerInterval;
+  const refillPerMs = requestsPerInterval / intervalMs;
+
+  // Bucket state is a plain { tokens, updatedAt } object so it serializes into static data
+  let localState = null;
+
+  function loadState() {
+    if (staticData) {
+      staticData.rateLimiters = staticData.rateLimiters || {};
+      const stored = staticData.rateLimiters[key];
+      if (!stored || typeof stored.tokens !== 'number' || typeof stored.updatedAt !== 'number') {
+        staticData.rateLimiters[key] = { tokens: capacity, updatedAt: Date.now() };
+      }
+      return staticData.rateLimiters[key];
+    }
+
+    if (!localState) {
+      localState = { tokens: capacity, updatedAt: Date.now() };
+    }
+    return localState;
+  }
+
+  function refill(state) {
+    const now = Date.now();
+    const elapsed = Math.max(0, now - state.updatedAt);
+    state.tokens = Math.min(capacity, state.tokens + elapsed * refillPerMs);
+    state.updatedAt = now;
+    return state;
+  }
+
+  /**
+   * Take a token if one is available right now
+   * @returns {boolean} True if a token was taken
+   */
+  function tryAcquire() {
+    const state = refill(loadState());
+    if (state.tokens >= 1) {
+      state.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  async function takeToken() {
+    let waitedMs = 0;
+
+    while (!tryAcquire()) {
+      const state = loadState();
+      const waitMs = Math.max(1, Math.ceil((1 - state.tokens) / refillPerMs));
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      waitedMs += waitMs;
+    }
+
+    return waitedMs;
+  }
+
+  let queue = Promise.resolve();
+
+  /**
+   * Wait until a token is available and take it
+   * @returns {Promise<number>} Milliseconds spent waiting
+   */
+  function acquire() {
+    const next = queue.then(takeToken);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Current bucket state
+   * @returns {Object} { tokens, capacity, intervalMs }
+   */
+  function getState() {
+    const state = refill(loadState());
+    return { tokens: state.tokens, capacity, intervalMs };
+  }
+
+  /**
+   * Refill the bucket to capacity
+   */
+  function reset() {
+    const state = loadState();
+    state.tokens = capacity;
+    state.updatedAt = Date.now();
+  }
+
+  return { acquire, tryAcquire, getState, reset };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,392 @@
+// src/schema.js
+// Table/column registry built from the RiN8N CREATE TABLE scripts
+// Turns SQL Server DDL into normalizeData schemas so lengths and defaults live in one place
+
+const { truncateWithSeparator } = require('./text');
+const registryData = require('./schema-registry.json');
+
+/**
+ * SQL Server column types grouped by the normalizeField type they map to
+ */
+const SQL_TYPE_MAP = {
+  char: 'string',
+  varchar: 'string',
+  nchar: 'string',
+  nvarchar: 'string',
+  text: 'string',
+  ntext: 'string',
+  uniqueidentifier: 'string',
+  xml: 'string',
+  tinyint: 'integer',
+  smallint: 'integer',
+  int: 'integer',
+  bigint: 'bigint',
+  bit: 'boolean',
+  date: 'date',
+  datetime: 'date',
+  datetime2: 'date',
+  smalldatetime: 'date',
+  datetimeoffset: 'date',
+  decimal: 'decimal',
+  numeric: 'decimal',
+  money: 'decimal',
+  smallmoney: 'decimal',
+  float: 'decimal',
+  real: 'decimal'
+};
+
+// Types whose single size argument is a character length rather than a precision
+const LENGTH_TYPES = ['char', 'varchar', 'nchar', 'nvarchar', 'binary', 'varbinary'];
+
+// Non-Unicode types stored in the database code page (Windows-1252 under the default Latin1 collation)
+const CODE_PAGE_TYPES = ['char', 'varchar', 'text'];
+
+// Characters Windows-1252 maps into 0x80-0x9F; everything else it stores is Latin-1 (U+0000-U+00FF)
+const CP1252_EXTRA_CHARACTERS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+
+const CREATE_TABLE_PATTERN = /CREATE\s+TABLE\s+(?:\[?(\w+)\]?\.)?\[?(\w+)\]?\s*\(/gi;
+const COLUMN_PATTERN = /^\s*\[(\w+)\]\s+\[?(\w+)\]?(?:\s*\(\s*(max|\d+)(?:\s*,\s*(\d+))?\s*\))?(\s+IDENTITY\s*\(\s*\d+\s*,\s*\d+\s*\))?(?:\s+(NOT\s+NULL|NULL))?/i;
+const PRIMARY_KEY_PATTERN = /CONSTRAINT\s+\[?\w+\]?\s+PRIMARY\s+KEY[^(]*\(([^)]*)\)/i;
+const DEFAULT_PATTERN = /ALTER\s+TABLE\s+(?:\[?\w+\]?\.)?\[?(\w+)\]?\s+ADD\s+(?:CONSTRAINT\s+\[?\w+\]?\s+)?DEFAULT\s+(.+?)\s+FOR\s+\[?(\w+)\]?/gi;
+const FOREIGN_KEY_PATTERN = /ALTER\s+TABLE\s+(?:\[?\w+\]?\.)?\[?(\w+)\]?\s+WITH\s+(?:NO)?CHECK\s+ADD\s+CONSTRAINT\s+\[?(\w+)\]?\s+FOREIGN\s+KEY\s*\(([^)]*)\)\s*REFERENCES\s+(?:\[?\w+\]?\.)?\[?(\w+)\]?\s*\(([^)]*)\)/gi;
+
+/**
+ * Split a bracketed column list such as "[KnowledgeSourceId] ASC" into names
+ * @param {string} list - Column list from a constraint definition
+ * @returns {Array<string>} Column names
+ */
+function parseColumnList(list) {
+  return list
+    .split(',')
+    .map(part => part.trim().replace(/\s+(ASC|DESC)$/i, '').replace(/[[\]]/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Extract the body of a CREATE TABLE statement (text between its outer parentheses)
+ * @param {string} sql - Full DDL text
+ * @param {number} start - Index just after the opening parenthesis
+ * @returns {string} Statement body
+ */
+function extractTableBody(sql, start) {
+  let depth = 1;
+  let index = start;
+
+  while (index < sql.length && depth > 0) {
+    if (sql[index] === '(') depth++;
+    if (sql[index] === ')') depth--;
+    index++;
+  }
+
+  return sql.slice(start, index - 1);
+}
+
+/**
+ * Parse a column DEFAULT expression into a JavaScript value
+ * Literal defaults such as ((0)), ((0.7)) or ('pending') become values; function
+ * defaults such as (newid()) or (getutcdate()) are kept as expressions only.
+ * @param {string} expression - Default expression as written in the DDL
+ * @param {string} sqlType - Column SQL type
+ * @returns {Object} Default info { expression, value, isLiteral }
+ */
+function parseDefaultExpression(expression, sqlType) {
+  let inner = expression.trim();
+  while (/^\(.*\)$/.test(inner) && !/^\(\s*\w+\s*\(/.test(inner)) {
+    inner = inner.slice(1, -1).trim();
+  }
+
+  const stringMatch = inner.match(/^N?'((?:[^']|'')*)'$/);
+  if (stringMatch) {
+    return { expression: inner, value: stringMatch[1].replace(/''/g, "'"), isLiteral: true };
+  }
+
+  if (/^-?\d+(\.\d+)?$/.test(inner)) {
+    const number = Number(inner);
+    const value = SQL_TYPE_MAP[sqlType] === 'boolean' ? number !== 0 : number;
+    return { expression: inner, value, isLiteral: true };
+  }
+
+  return { expression: inner.replace(/^\((.*)\)$/, '$1'), value: null, isLiteral: false };
+}
+
+/**
+ * Parse SQL Server CREATE TABLE / ALTER TABLE scripts into table definitions
+ * Understands the scripts SSMS generates: bracketed identifiers, IDENTITY, PRIMARY KEY
+ * constraints, and DEFAULT / FOREIGN KEY constraints added with ALTER TABLE.
+ * @param {string} sql - DDL script text (may contain several tables and GO separators)
+ * @returns {Object} Table definitions keyed by table name
+ */
+function parseDdl(sql) {
+  if (typeof sql !== 'string') {
+    throw new Error('DDL must be a string');
+  }
+
+  const text = sql.replace(/\r\n/g, '\n');
+  const tables = {};
+
+  for (const match of text.matchAll(CREATE_TABLE_PATTERN)) {
+    const [, schemaName, tableName] = match;
+    const body = extractTableBody(text, match.index + match[0].length);
+    const table = {
+      name: tableName,
+      schema: schemaName || 'dbo',
+      primaryKey: [],
+      columns: [],
+      foreignKeys: []
+    };
+
+    for (const line of body.split('\n')) {
+      if (/^\s*CONSTRAINT\b/i.test(line)) {
+        break;
+      }
+
+      const column = line.match(COLUMN_PATTERN);
+      if (!column) continue;
+
+      const [, name, rawType, size, scale, identity, nullability] = column;
+      const sqlType = rawType.toLowerCase();
+      const definition = {
+        name,
+        sqlType,
+        maxLength: null,
+        precision: null,
+        scale: null,
+        nullable: !nullability || !/NOT/i.test(nullability),
+        identity: Boolean(identity),
+        default: null
+      };
+
+      if (size && LENGTH_TYPES.includes(sqlType)) {
+        definition.maxLength = size.toLowerCase() === 'max' ? null : parseInt(size, 10);
+      } else if (size && ['decimal', 'numeric'].includes(sqlType)) {
+        definition.precision = parseInt(size, 10);
+        definition.scale = scale ? parseInt(scale, 10) : 0;
+      }
+
+      table.columns.push(definition);
+    }
+
+    const primaryKey = body.match(PRIMARY_KEY_PATTERN);
+    if (primaryKey) {
+      table.primaryKey = parseColumnList(primaryKey[1]);
+    }
+
+    tables[tableName] = table;
+  }
+
+  for (const [, tableName, expression, columnName] of text.matchAll(DEFAULT_PATTERN)) {
+    const column = tables[tableName] && tables[tableName].columns.find(c => c.name === columnName);
+    if (column) {
+      column.default = parseDefaultExpression(expression, column.sqlType);
+    }
+  }
+
+  for (const [, tableName, constraint, columns, referencedTable, referencedColumns] of text.matchAll(FOREIGN_KEY_PATTERN)) {
+    if (!tables[tableName]) continue;
+    tables[tableName].foreignKeys.push({
+      name: constraint,
+      columns: parseColumnList(columns),
+      references: { table: referencedTable, columns: parseColumnList(referencedColumns) }
+    });
+  }
+
+  return tables;
+}
+
+/**
+ * Convert a parsed column definition into a normalizeField config
+ * NOT NULL columns are required unless the database supplies a value (IDENTITY or DEFAULT).
+ * Literal defaults become defaultValue; function defaults are left to the database.
+ * @param {Object} column - Column definition from parseDdl
+ * @returns {Object} Field config for normalizeData
+ */
+function columnToFieldConfig(column) {
+  const config = {
+    type: SQL_TYPE_MAP[column.sqlType] || 'string',
+    required: !column.nullable && !column.identity && !column.default
+  };
+
+  if (config.type === 'string') {
+    config.maxLength = column.maxLength;
+    config.trimWhitespace = true;
+  }
+
+  if (column.default && column.default.isLiteral) {
+    config.defaultValue = column.default.value;
+  }
+
+  return config;
+}
+
+/**
+ * Find characters a Windows-1252 varchar column cannot store (SQL Server silently turns them into '?')
+ * @param {string} value - String to check
+ * @returns {Array<string>} Distinct unsupported characters
+ */
+function findUnsupportedCharacters(value) {
+  const unsupported = new Set();
+
+  for (const char of value) {
+    const code = char.codePointAt(0);
+    const isLatin1 = code <= 0xFF && (code < 0x80 || code > 0x9F);
+    if (!isLatin1 && !CP1252_EXTRA_CHARACTERS.has(char)) {
+      unsupported.add(char);
+    }
+  }
+
+  return Array.from(unsupported);
+}
+
+/**
+ * Create a registry over parsed table definitions
+ * Table and column lookups are case-insensitive, matching SQL Server's default collation.
+ * @param {Object} tables - Table definitions keyed by name (output of parseDdl)
+ * @returns {Object} Registry with getTable, getColumn, listTables and schemaFor
+ */
+function createSchemaRegistry(tables = {}) {
+  const byName = new Map(
+    Object.values(tables).map(table => [table.name.toLowerCase(), table])
+  );
+
+  function getTable(tableName) {
+    return byName.get(String(tableName).replace(/^(\[?\w+\]?\.)?\[?|\]$/g, '').toLowerCase()) || null;
+  }
+
+  function getColumn(tableName, columnName) {
+    const table = getTable(tableName);
+    if (!table) return null;
+    const lower = String(columnName).toLowerCase();
+    return table.columns.find(column => column.name.toLowerCase() === lower) || null;
+  }
+
+  function listTables() {
+    return Array.from(byName.values()).map(table => table.name);
+  }
+
+  /**
+   * Build a normalizeData schema for a table
+   * @param {string} tableName - Table name (optionally schema-qualified)
+   * @param {Object} options - Schema options
+   * @param {Array<string>} options.include - Only include these columns
+   * @param {Array<string>} options.exclude - Leave out these columns
+   * @param {Object} options.overrides - Field config overrides keyed by column name
+   * @returns {Object} Schema keyed by column name
+   */
+  function schemaFor(tableName, options = {}) {
+    const { include = null, exclude = [], overrides = {} } = options;
+    const table = getTable(tableName);
+
+    if (!table) {
+      throw new Error(`Unknown table '${tableName}'`);
+    }
+
+    const schema = {};
+    for (const column of table.columns) {
+      if (include && !include.includes(column.name)) continue;
+      if (exclude.includes(column.name)) continue;
+      schema[column.name] = { ...columnToFieldConfig(column), ...(overrides[column.name] || {}) };
+    }
+
+    return schema;
+  }
+
+  /**
+   * Check a row against a table's column metadata before it is sent to SQL Server
+   * Reports unknown columns, NULLs in NOT NULL columns, NOT NULL columns missing from an
+   * insert that have no default, values longer than the column, and characters a varchar
+   * column's code page cannot store. Over-length values are truncated when onOverflow is 'truncate'.
+   * @param {string} tableName - Table name (optionally schema-qualified)
+   * @param {Object} row - Column/value map
+   * @param {Object} options - Validation options
+   * @param {string} options.operation - 'insert' (checks missing columns) or 'update' (default: 'insert')
+   * @param {string} options.onOverflow - 'error' or 'truncate' (default: 'error')
+   * @param {Object} options.rawValues - Raw SQL values to skip (e.g., { Id: raw('NEWID()') })
+   * @returns {Object} { valid, row, issues } where row has any truncations applied and each issue is
+   *   { column, code, severity, message }
+   */
+  function validateRow(tableName, row, options = {}) {
+    const { operation = 'insert', onOverflow = 'error', rawValues = {} } = options;
+    const table = getTable(tableName);
+
+    if (!table) {
+      throw new Error(`Unknown table '${tableName}'`);
+    }
+
+    const issues = [];
+    const result = { ...row };
+    const addIssue = (column, code, message, severity = 'error') => {
+      issues.push({ column, code, severity, message });
+    };
+
+    for (const [columnName, value] of Object.entries(row)) {
+      const column = getColumn(table.name, columnName);
+
+      if (!column) {
+        addIssue(columnName, 'unknown_column', `Column '${columnName}' does not exist in ${table.name}`);
+        continue;
+      }
+
+      if (rawValues[columnName]) continue;
+
+      if (value === null || value === undefined) {
+        if (!column.nullable) {
+          addIssue(columnName, 'null_not_allowed', `Column '${columnName}' does not allow NULL`);
+        }
+        continue;
+      }
+
+      if (SQL_TYPE_MAP[column.sqlType] !== 'string' || typeof value === 'object') continue;
+
+      const text = String(value);
+
+      if (CODE_PAGE_TYPES.includes(column.sqlType)) {
+        const unsupported = findUnsupportedCharacters(text);
+        if (unsupported.length > 0) {
+          addIssue(columnName, 'unsupported_characters',
+            `Column '${columnName}' is ${column.sqlType} and cannot store: ${unsupported.join(' ')}`);
+        }
+      }
+
+      if (column.maxLength && text.length > column.maxLength) {
+        if (onOverflow === 'truncate') {
+          result[columnName] = truncateWithSeparator(text, column.maxLength, { separator: ' ' });
+          addIssue(columnName, 'truncated',
+            `Column '${columnName}' was truncated from ${text.length} to ${column.maxLength} characters`, 'warning');
+        } else {
+          addIssue(columnName, 'length_exceeded',
+            `Column '${columnName}' is ${column.sqlType}(${column.maxLength}) but the value has ${text.length} characters`);
+        }
+      }
+    }
+
+    if (operation === 'insert') {
+      const provided = new Set(Object.keys(row).map(name => name.toLowerCase()));
+      for (const column of table.columns) {
+        if (!column.nullable && !column.identity && !column.default && !provided.has(column.name.toLowerCase())) {
+          addIssue(column.name, 'missing_required', `Column '${column.name}' is NOT NULL and has no default`);
+        }
+      }
+    }
+
+    return {
+      valid: !issues.some(issue => issue.severity === 'error'),
+      row: result,
+      issues
+    };
+  }
+
+  return { getTable, getColumn, listTables, schemaFor, validateRow };
+}
+
+// Registry generated from documentation/schema_scripts (npm run schema:generate)
+const schemaRegistry = createSchemaRegistry(registryData);
+
+module.exports = {
+  SQL_TYPE_MAP,
+  parseDdl,
+  columnToFieldConfig,
+  createSchemaRegistry,
+  schemaRegistry,
+  schemaFor: schemaRegistry.schemaFor,
+  validateTableRow: schemaRegistry.validateRow
+};
@@ -0,0 +1,160 @@
+// src/sql-dialects.js
+// SQL dialect definitions used by the generators in src/sql.js
+// SQL Server goes through tsqlstring; PostgreSQL, MySQL and SQLite use the escaping rules below
+
+const SqlString = require('tsqlstring');
+
+/**
+ * Quote a possibly qualified identifier ('schema.table') with the given quote character
+ * Wildcards ('*', 't.*') are left unquoted.
+ * @private
+ */
+function quoteIdentifier(identifier, quote, forbidQualified = false) {
+  if (Array.isArray(identifier)) {
+    return identifier.map(id => quoteIdentifier(id, quote, forbidQualified)).join(', ');
+  }
+
+  const parts = forbidQualified ? [String(identifier)] : String(identifier).split('.');
+  return parts
+    .map(part => (part === '*' ? part : quote + part.split(quote).join(quote + quote) + quote))
+    .join('.');
+}
+
+/**
+ * Format a Date as the UTC 'YYYY-MM-DD HH:MM:SS.mmm' literal MySQL DATETIME columns accept
+ * @private
+ */
+function mysqlDateTime(date) {
+  return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+/**
+ * Build a value escaper for dialects without tsqlstring support
+ * @private
+ * @param {Object} rules - Dialect-specific literal rules
+ * @param {Function} rules.string - Quote a string
+ * @param {Function} rules.boolean - Render a boolean
+ * @param {Function} rules.date - Render a Date
+ * @param {Function} rules.buffer - Render a Buffer
+ */
+function createEscaper(rules) {
+  const escapeValue = (value) => {
+    if (value === undefined || value === null) return 'NULL';
+    if (typeof value === 'object' && typeof value.toSqlString === 'function') return String(value.toSqlString());
+    if (typeof value === 'boolean') return rules.boolean(value);
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        throw new Error(`Cannot escape non-finite number ${value}`);
+      }
+      return String(value);
+    }
+    if (value instanceof Date) return rules.string(rules.date(value));
+    if (Buffer.isBuffer(value)) return rules.buffer(value);
+    if (Array.isArray(value)) {
+      return value.map(v => (Array.isArray(v) ? `(${escapeValue(v)})` : escapeValue(v))).join(', ');
+    }
+    if (typeof value === 'object') return rules.string(JSON.stringify(value));
+    return rules.string(String(value));
+  };
+  return escapeValue;
+}
+
+const quoteStandardString = (value) => `'${value.replace(/'/g, "''")}'`;
+
+const MYSQL_ESCAPES = { '\0': '\\0', '\b': '\\b', '\t': '\\t', '\n': '\\n', '\r': '\\r', '\x1a': '\\Z', '"': '\\"', '\'': '\\\'', '\\': '\\\\' };
+
+/**
+ * Supported SQL dialects
+ * Each dialect provides identifier quoting, value escaping, bind placeholders, row limits,
+ * transaction keywords and the limits that drive multi-row INSERT chunking.
+ */
+const SQL_DIALECTS = {
+  mssql: {
+    name: 'mssql',
+    escapeId: (identifier, forbidQualified = false) => SqlString.escapeId(identifier, forbidQualified),
+    escape: (value) => SqlString.escape(value),
+    placeholder: (index) => `@p${index}`,
+    // sp_executesql's own @stmt and @params arguments count toward SQL Server's 2100-parameter limit
+    limits: { maxRowsPerInsert: 1000, bindableParameters: 2100 - 2 },
+    transaction: { begin: 'BEGIN TRANSACTION', commit: 'COMMIT TRANSACTION' }
+  },
+
+  postgres: {
+    name: 'postgres',
+    escapeId: (identifier, forbidQualified = false) => quoteIdentifier(identifier, '"', forbidQualified),
+    escape: createEscaper({
+      string: quoteStandardString,
+      boolean: value => (value ? 'TRUE' : 'FALSE'),
+      date: date => date.toISOString(),
+      buffer: buffer => `'\\x${buffer.toString('hex')}'`
+    }),
+    placeholder: (index) => `$${index + 1}`,
+    limits: { maxRowsPerInsert: Infinity, bindableParameters: 65535 },
+    transaction: { begin: 'BEGIN', commit: 'COMMIT' }
+  },
+
+  mysql: {
+    name: 'mysql',
+    escapeId: (identifier, forbidQualified = false) => quoteIdentifier(identifier, '`', forbidQualified),
+    escape: createEscaper({
+      // MySQL treats backslash as an escape character unless NO_BACKSLASH_ESCAPES is set
+      string: value => `'${value.replace(/[\0\b\t\n\r\x1a"'\\]/g, char => MYSQL_ESCAPES[char])}'`,
+      boolean: value => (value ? 'TRUE' : 'FALSE'),
+      date: mysqlDateTime,
+      buffer: buffer => `X'${buffer.toString('hex')}'`
+    }),
+    placeholder: () => '?',
+    limits: { maxRowsPerInsert: Infinity, bindableParameters: 65535 },
+    transaction: { begin: 'START TRANSACTION', commit: 'COMMIT' }
+  },
+
+  sqlite: {
+    name: 'sqlite',
+    escapeId: (identifier, forbidQualified = false) => quoteIdentifier(identifier, '"', forbidQualified),
+    escape: createEscaper({
+      string: quoteStandardString,
+      boolean: value => (value ? '1' : '0'),
+      date: date => date.toISOString(),
+      buffer: buffer => `X'${buffer.toString('hex')}'`
+    }),
+    placeholder: () => '?',
+    limits: { maxRowsPerInsert: Infinity, bindableParameters: 32766 },
+    transaction: { begin: 'BEGIN TRANSACTION', commit: 'COMMIT' }
+  }
+};
+
+// Common alternative names
+const DIALECT_ALIASES = {
+  sqlserver: 'mssql',
+  tsql: 'mssql',
+  postgresql: 'postgres',
+  pg: 'postgres',
+  mariadb: 'mysql',
+  sqlite3: 'sqlite'
+};
+
+/**
+ * Resolve a dialect by name (default: mssql)
+ * @param {string|Object} dialect - Dialect name ('mssql', 'postgres', 'mysql', 'sqlite') or dialect object
+ * @returns {Object} Dialect definition
+ */
+function getDialect(dialect = 'mssql') {
+  if (dialect && typeof dialect === 'object') {
+    return dialect;
+  }
+
+  const name = String(dialect).toLowerCase();
+  const resolved = SQL_DIALECTS[DIALECT_ALIASES[name] || name];
+
+  if (!resolved) {
+    throw new Error(`Unsupported SQL dialect '${dialect}'. Supported: ${Object.keys(SQL_DIALECTS).join(', ')}`);
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  SQL_DIALECTS,
+  getDialect
+};
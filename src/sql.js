@@ -1,8 +1,24 @@
 // src/sql.js
 // Pure SQL utilities using tsqlstring
 // Focused on SQL safety and generation, no business logic
+// Generators emit T-SQL by default; pass { dialect: 'postgres' | 'mysql' | 'sqlite' } for other databases
 
 const SqlString = require('tsqlstring');
+const { schemaRegistry } = require('./schema');
+const { SQL_DIALECTS, getDialect } = require('./sql-dialects');
+
+/**
+ * SQL Server limits that constrain statement generation
+ */
+const SQL_SERVER_LIMITS = {
+  // Maximum row value expressions in a single INSERT ... VALUES list
+  maxRowsPerInsert: 1000,
+  // Maximum parameters in a single parameterized request
+  maxParameters: 2100
+};
+
+// sp_executesql's own @stmt and @params arguments count toward the parameter limit
+const BINDABLE_PARAMETERS = SQL_SERVER_LIMITS.maxParameters - 2;
 
 /**
  * Safely escape a SQL value using tsqlstring
@@ -33,6 +49,179 @@ function format(sql, values = []) {
   return SqlString.format(sql, values);
 }
 
+/**
+ * Infer the SQL Server parameter type for a JavaScript value
+ * @param {*} value - Value to bind
+ * @returns {string} SQL type name (nvarchar, uniqueidentifier, datetimeoffset, bit, int, bigint, float, varbinary)
+ */
+function inferSqlType(value) {
+  if (typeof value === 'boolean') return 'bit';
+  if (typeof value === 'bigint') return 'bigint';
+
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) return 'float';
+    return value >= -2147483648 && value <= 2147483647 ? 'int' : 'bigint';
+  }
+
+  if (value instanceof Date) return 'datetimeoffset';
+  if (Buffer.isBuffer(value)) return 'varbinary';
+
+  if (typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+    return 'uniqueidentifier';
+  }
+
+  return 'nvarchar';
+}
+
+/**
+ * Format a SQL query with placeholders into a parameterized query object
+ * Identifiers (??) are escaped inline; values (?) become @p0..@pN parameters for the driver to bind.
+ * NULLs and raw() values stay inline, arrays expand to one parameter per element.
+ * @param {string} sql - SQL query with ? placeholders for values and ?? for identifiers
+ * @param {Array} values - Values to substitute into placeholders
+ * @returns {Object} Query object { text, params: [{ name, type, value }] }
+ */
+function formatParameterized(sql, values = []) {
+  const params = [];
+
+  const bind = (value) => {
+    if (value === undefined || value === null) return 'NULL';
+    if (Array.isArray(value)) {
+      return value.map(v => (Array.isArray(v) ? `(${bind(v)})` : bind(v))).join(', ');
+    }
+    if (typeof value === 'object' && typeof value.toSqlString === 'function') {
+      return String(value.toSqlString());
+    }
+
+    const isPlainObject = typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value);
+    const name = `p${params.length}`;
+    params.push({
+      name,
+      type: inferSqlType(value),
+      value: isPlainObject ? JSON.stringify(value) : value
+    });
+    return `@${name}`;
+  };
+
+  let valuesIndex = 0;
+  const text = sql.replace(/\?+/g, (match) => {
+    if (match.length > 2 || valuesIndex >= values.length) return match;
+    const value = values[valuesIndex++];
+    return match.length === 2 ? escapeId(value) : bind(value);
+  });
+
+  if (params.length > BINDABLE_PARAMETERS) {
+    throw new Error(`Query uses ${params.length} parameters, exceeding the limit of ${BINDABLE_PARAMETERS}`);
+  }
+
+  return { text, params };
+}
+
+/**
+ * Format a placeholder template for a non-SQL Server dialect
+ * Mirrors format/formatParameterized: ?? become quoted identifiers, ? become escaped literals or
+ * bind placeholders ($1.. for postgres, ? for mysql/sqlite) with the values collected in order.
+ * @private
+ */
+function formatForDialect(sql, values, dialect, parameterized = false) {
+  const params = [];
+
+  const bind = (value) => {
+    if (value === undefined || value === null) return 'NULL';
+    if (Array.isArray(value)) {
+      return value.map(v => (Array.isArray(v) ? `(${bind(v)})` : bind(v))).join(', ');
+    }
+    if (typeof value === 'object' && typeof value.toSqlString === 'function') {
+      return String(value.toSqlString());
+    }
+    if (!parameterized) {
+      return dialect.escape(value);
+    }
+
+    const isPlainObject = typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value);
+    params.push(isPlainObject ? JSON.stringify(value) : value);
+    return dialect.placeholder(params.length - 1);
+  };
+
+  let valuesIndex = 0;
+  const text = sql.replace(/\?+/g, (match) => {
+    if (match.length > 2 || valuesIndex >= values.length) return match;
+    const value = values[valuesIndex++];
+    return match.length === 2 ? dialect.escapeId(value) : bind(value);
+  });
+
+  if (params.length > dialect.limits.bindableParameters) {
+    throw new Error(`Query uses ${params.length} parameters, exceeding the limit of ${dialect.limits.bindableParameters}`);
+  }
+
+  return parameterized ? { text, params } : text;
+}
+
+/**
+ * Compile a placeholder template to an inline SQL string or a parameterized query object
+ * @private
+ */
+function compile(sql, values, options = {}) {
+  const dialect = getDialect(options.dialect);
+  if (dialect.name !== 'mssql') {
+    return formatForDialect(sql, values, dialect, options.parameterized);
+  }
+  return options.parameterized ? formatParameterized(sql, values) : format(sql, values);
+}
+
+/**
+ * Build the template for a returning clause: OUTPUT INSERTED/DELETED.* on SQL Server,
+ * RETURNING on postgres and sqlite
+ * @private
+ * @param {Array|string} columns - Columns to return ('*' for all)
+ * @param {Object} dialect - Resolved dialect
+ * @param {string} pseudoTable - SQL Server pseudo table (INSERTED or DELETED)
+ * @returns {Object|null} Template { sql, values }, or null when nothing is returned
+ */
+function returningClause(columns, dialect, pseudoTable = 'INSERTED') {
+  if (!columns || (Array.isArray(columns) && columns.length === 0)) return null;
+
+  const list = Array.isArray(columns) ? columns : [columns];
+  const values = list.filter(column => column !== '*');
+  const refs = list.map(column => (column === '*' ? '*' : '??'));
+
+  if (dialect.name === 'mssql') {
+    return { sql: `OUTPUT ${refs.map(ref => `${pseudoTable}.${ref}`).join(', ')}`, values };
+  }
+  if (dialect.name === 'mysql') {
+    throw new Error('RETURNING is not supported by mysql');
+  }
+  return { sql: `RETURNING ${refs.join(', ')}`, values };
+}
+
+/**
+ * Validate rows against table metadata for strict mode, throwing when any row has errors
+ * @private
+ * @returns {Array} Rows with over-length values truncated (when onOverflow is 'truncate')
+ */
+function validateStrictRows(tableName, rows, options, operation) {
+  const { registry = schemaRegistry, onOverflow = 'error', rawValues = {} } = options;
+  const issues = [];
+
+  const validated = rows.map((row, index) => {
+    const result = registry.validateRow(tableName, row, { operation, onOverflow, rawValues });
+    result.issues.forEach(issue => issues.push(rows.length > 1 ? { ...issue, row: index } : issue));
+    return result.row;
+  });
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  if (errors.length > 0) {
+    const details = errors
+      .map(issue => (issue.row !== undefined ? `row ${issue.row}: ` : '') + issue.message)
+      .join('; ');
+    const error = new Error(`Strict validation failed for ${tableName}: ${details}`);
+    error.issues = issues;
+    throw error;
+  }
+
+  return validated;
+}
+
 /**
  * Create a raw SQL fragment that won't be escaped
  * @param {string} sql - Raw SQL string (use with caution!)
@@ -46,23 +235,46 @@ function raw(sql) {
  * Build a parameterized SQL query safely
  * @param {string} template - SQL template with placeholders
  * @param {Array|Object} params - Parameters to substitute
- * @returns {string} Safe SQL query
+ * @param {Object} options - Build options
+ * @param {boolean} options.parameterized - Return { text, params } instead of inlining values (named parameters keep their names, e.g. @name)
+ * @param {string} options.dialect - SQL dialect: 'mssql' (default), 'postgres', 'mysql' or 'sqlite'
+ * @returns {string|Object} Safe SQL query, or query object in parameterized mode
  */
-function buildQuery(template, params = []) {
+function buildQuery(template, params = [], options = {}) {
   if (Array.isArray(params)) {
-    return format(template, params);
+    return compile(template, params, options);
+  }
+
+  if (getDialect(options.dialect).name !== 'mssql') {
+    // Other drivers bind positionally, so turn :name into ? in order of appearance ('::' casts are left alone)
+    const values = [];
+    const positional = template.replace(/(?<!:):(\w+)\b/g, (match, key) => {
+      if (!Object.prototype.hasOwnProperty.call(params, key)) return match;
+      values.push(params[key]);
+      return '?';
+    });
+    return compile(positional, values, options);
   }
   
   // Handle named parameters (simple replacement)
   let sql = template;
+  const boundParams = [];
   for (const [key, value] of Object.entries(params)) {
     const placeholder = `:${key}`;
     if (sql.includes(placeholder)) {
-      sql = sql.replace(new RegExp(`:${key}\\b`, 'g'), escape(value));
+      if (options.parameterized) {
+        if (!/^\w+$/.test(key)) {
+          throw new Error(`Invalid parameter name '${key}'`);
+        }
+        sql = sql.replace(new RegExp(`:${key}\\b`, 'g'), `@${key}`);
+        boundParams.push({ name: key, type: inferSqlType(value), value });
+      } else {
+        sql = sql.replace(new RegExp(`:${key}\\b`, 'g'), escape(value));
+      }
     }
   }
   
-  return sql;
+  return options.parameterized ? { text: sql, params: boundParams } : sql;
 }
 
 /**
@@ -72,18 +284,46 @@ function buildQuery(template, params = []) {
  * @param {Object} options - Generation options
  * @param {string} options.outputClause - OUTPUT clause to add (e.g., "OUTPUT INSERTED.*")
  * @param {Object} options.rawValues - Values that should not be escaped (e.g., { id: raw('NEWID()') })
- * @returns {string} Generated INSERT statement
+ * @param {boolean} options.multiRow - For arrays, emit multi-row INSERT ... VALUES (...), (...) chunks (default: false)
+ * @param {number} options.maxRowsPerStatement - Rows per multi-row chunk (default/cap: 1000)
+ * @param {boolean} options.parameterized - Return { text, params } query objects instead of inlined SQL strings
+ * @param {boolean} options.strict - Validate rows against the table registry before generating SQL
+ * @param {string} options.onOverflow - In strict mode, 'error' or 'truncate' over-length values (default: 'error')
+ * @param {Object} options.registry - Registry used by strict mode (default: bundled schemaRegistry)
+ * @param {Array|string} options.returning - Columns to return from inserted rows (OUTPUT INSERTED / RETURNING)
+ * @param {string} options.dialect - SQL dialect: 'mssql' (default), 'postgres', 'mysql' or 'sqlite'
+ * @returns {string|Object|Array} Generated INSERT statement (query object in parameterized mode),
+ *   or an array of statements in multiRow mode or for parameterized arrays
  */
 function generateInsert(tableName, data, options = {}) {
   if (!tableName || !data) {
     throw new Error('Table name and data are required');
   }
 
-  const { outputClause = null, rawValues = {} } = options;
+  const { outputClause = null, rawValues = {}, multiRow = false, strict = false } = options;
+
+  if (strict) {
+    let rows = Array.isArray(data) ? data : [data];
+
+    if (Array.isArray(data) && multiRow) {
+      // Multi-row chunks send missing columns as explicit NULLs, so validate them that way
+      const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+      rows = rows.map(row => Object.fromEntries(columns.map(col => [col, row[col] === undefined ? null : row[col]])));
+    }
+
+    const validated = validateStrictRows(tableName, rows, options, 'insert');
+    return generateInsert(tableName, Array.isArray(data) ? validated : validated[0], { ...options, strict: false });
+  }
 
   if (Array.isArray(data)) {
+    if (multiRow) {
+      return generateMultiRowInsert(tableName, data, options);
+    }
+
     // Bulk insert - generate multiple INSERT statements
-    return data.map(row => generateInsert(tableName, row, options)).join(';\n');
+    const statements = data.map(row => generateInsert(tableName, row, options));
+    // Query objects can't be concatenated without renumbering parameters
+    return options.parameterized ? statements : statements.join(';\n');
   }
 
   // Single row insert
@@ -103,33 +343,330 @@ function generateInsert(tableName, data, options = {}) {
   });
 
   // Build the query with placeholders
+  return compile(
+    ...insertTemplate([tableName, columns], `(${placeholders.join(', ')})`, values, outputClause, options)
+  );
+}
+
+/**
+ * Assemble an INSERT template, placing OUTPUT/RETURNING where the dialect expects it
+ * @private
+ * @returns {Array} [sql, values, options] arguments for compile
+ */
+function insertTemplate(target, rowsSql, rowValues, outputClause, options, suffix = null) {
+  const dialect = getDialect(options.dialect);
+  const returning = returningClause(options.returning, dialect, 'INSERTED');
+  const values = [...target];
+
   let sql = 'INSERT INTO ?? (??)';
   
-  if (outputClause) {
-    sql += ` ${outputClause}`;
+  if (dialect.name === 'mssql') {
+    if (outputClause) sql += ` ${outputClause}`;
+    if (returning) {
+      sql += ` ${returning.sql}`;
+      values.push(...returning.values);
+    }
   }
   
-  sql += ` VALUES (${placeholders.join(', ')})`;
+  sql += ` VALUES ${rowsSql}`;
+  values.push(...rowValues);
+
+  if (suffix) {
+    sql += ` ${suffix.sql}`;
+    values.push(...suffix.values);
+  }
+
+  if (dialect.name !== 'mssql') {
+    if (returning) {
+      sql += ` ${returning.sql}`;
+      values.push(...returning.values);
+    }
+    if (outputClause) sql += ` ${outputClause}`;
+  }
+
+  return [sql, values, options];
+}
+
+/**
+ * Calculate how many rows fit in one multi-row INSERT chunk
+ * @param {number} paramsPerRow - Bound parameters each row consumes
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxRowsPerStatement - Requested rows per chunk (default: 1000, capped at SQL Server's 1000)
+ * @param {number} options.maxParameters - Parameter budget per statement (default: unlimited for inlined values)
+ * @param {string} options.dialect - SQL dialect; only SQL Server caps rows per VALUES list
+ * @returns {number} Rows per chunk
+ */
+function getInsertChunkSize(paramsPerRow, options = {}) {
+  const {
+    maxRowsPerStatement = SQL_SERVER_LIMITS.maxRowsPerInsert,
+    maxParameters = Infinity
+  } = options;
+
+  let chunkSize = Math.min(maxRowsPerStatement, getDialect(options.dialect).limits.maxRowsPerInsert);
 
-  // Use SqlString.format to safely substitute values
-  return format(sql, [tableName, columns, ...values]);
+  if (paramsPerRow > 0 && Number.isFinite(maxParameters)) {
+    if (paramsPerRow > maxParameters) {
+      throw new Error(`A single row needs ${paramsPerRow} parameters, exceeding the limit of ${maxParameters}`);
+    }
+    chunkSize = Math.min(chunkSize, Math.floor(maxParameters / paramsPerRow));
+  }
+
+  return Math.max(1, chunkSize);
+}
+
+/**
+ * Generate multi-row INSERT statements split into chunks SQL Server will accept
+ * @private
+ */
+function generateMultiRowInsert(tableName, rows, options = {}) {
+  const { outputClause = null, rawValues = {}, parameterized = false } = options;
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  // Union of columns across rows so sparse rows still line up (missing values become NULL)
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const paramsPerRow = columns.filter(col => !rawValues[col]).length;
+  const chunkSize = getInsertChunkSize(paramsPerRow, {
+    maxParameters: parameterized ? getDialect(options.dialect).limits.bindableParameters : Infinity,
+    ...options
+  });
+
+  const statements = [];
+
+  for (let start = 0; start < rows.length; start += chunkSize) {
+    const chunk = rows.slice(start, start + chunkSize);
+    const values = [];
+
+    const rowPlaceholders = chunk.map(row => {
+      const placeholders = columns.map(col => {
+        if (rawValues[col]) {
+          return rawValues[col].toSqlString ? rawValues[col].toSqlString() : String(rawValues[col]);
+        }
+        values.push(row[col] === undefined ? null : row[col]);
+        return '?';
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    statements.push(compile(
+      ...insertTemplate([tableName, columns], rowPlaceholders.join(', '), values, outputClause, options)
+    ));
+  }
+
+  return statements;
+}
+
+/**
+ * Comparison operators supported in structured WHERE conditions
+ */
+const COMPARISON_OPERATORS = {
+  $eq: '=',
+  $ne: '<>',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $like: 'LIKE'
+};
+
+/**
+ * Aggregate functions allowed in column references (e.g. 'COUNT(*)', 'MAX(ksi.SourceDate)')
+ */
+const AGGREGATE_PATTERN = /^(COUNT|COUNT_BIG|SUM|AVG|MIN|MAX)\(\s*(DISTINCT\s+)?(\*|[^()]+?)\s*\)$/i;
+
+/**
+ * Build the template for a column reference
+ * Supports plain and qualified columns ('ks.Name'), wildcards ('*', 'ks.*'),
+ * simple aggregates ('COUNT(*)', 'SUM(ksi.Duration)') and raw() expressions.
+ * @private
+ */
+function columnReference(ref) {
+  if (ref && typeof ref === 'object' && typeof ref.toSqlString === 'function') {
+    return { sql: String(ref.toSqlString()), values: [] };
+  }
+
+  const column = String(ref).trim();
+
+  if (column === '*') {
+    return { sql: '*', values: [] };
+  }
+
+  if (column.endsWith('.*')) {
+    return { sql: '??.*', values: [column.slice(0, -2)] };
+  }
+
+  const aggregate = column.match(AGGREGATE_PATTERN);
+  if (aggregate) {
+    const [, fn, distinct, argument] = aggregate;
+    const prefix = `${fn.toUpperCase()}(${distinct ? 'DISTINCT ' : ''}`;
+    return argument === '*'
+      ? { sql: `${prefix}*)`, values: [] }
+      : { sql: `${prefix}??)`, values: [argument] };
+  }
+
+  return { sql: '??', values: [column] };
+}
+
+/**
+ * Check whether a condition value is an operator object like { $gt: 5, $lt: 10 }
+ * @private
+ */
+function isOperatorObject(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+  if (value instanceof Date || Buffer.isBuffer(value) || typeof value.toSqlString === 'function') return false;
+
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+/**
+ * Build an IN / NOT IN condition template
+ * @private
+ */
+function inCondition(column, values, negate = false) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error('IN clause requires non-empty array of values');
+  }
+  const target = columnReference(column);
+  return {
+    sql: `${target.sql} ${negate ? 'NOT IN' : 'IN'} (${values.map(() => '?').join(', ')})`,
+    values: [...target.values, ...values]
+  };
+}
+
+/**
+ * Build a BETWEEN condition template
+ * @private
+ */
+function betweenCondition(column, start, end) {
+  const target = columnReference(column);
+  return { sql: `${target.sql} BETWEEN ? AND ?`, values: [...target.values, start, end] };
+}
+
+/**
+ * Build the condition template for a single column operator
+ * @private
+ */
+function columnCondition(column, operator, operand) {
+  const target = columnReference(column);
+  const compare = (sqlOperator) => ({ sql: `${target.sql} ${sqlOperator} ?`, values: [...target.values, operand] });
+  const nullCheck = (sqlCheck) => ({ sql: `${target.sql} ${sqlCheck}`, values: target.values });
+
+  switch (operator) {
+    case '$eq':
+      if (operand === null || operand === undefined) return nullCheck('IS NULL');
+      if (Array.isArray(operand)) return inCondition(column, operand);
+      return compare('=');
+
+    case '$ne':
+      if (operand === null || operand === undefined) return nullCheck('IS NOT NULL');
+      return compare('<>');
+
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte':
+    case '$like':
+      return compare(COMPARISON_OPERATORS[operator]);
+
+    case '$in':
+      return inCondition(column, operand);
+
+    case '$nin':
+      return inCondition(column, operand, true);
+
+    case '$between':
+      if (!Array.isArray(operand) || operand.length !== 2) {
+        throw new Error(`$between for '${column}' requires a [start, end] array`);
+      }
+      return betweenCondition(column, operand[0], operand[1]);
+
+    case '$isNull':
+      return nullCheck(operand ? 'IS NULL' : 'IS NOT NULL');
+
+    default:
+      throw new Error(`Unsupported operator '${operator}' for column '${column}'`);
+  }
+}
+
+/**
+ * Join condition templates with AND/OR, parenthesizing nested groups
+ * @private
+ */
+function joinConditions(parts, connector) {
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+
+  return {
+    sql: parts.map(part => (part.compound ? `(${part.sql})` : part.sql)).join(` ${connector} `),
+    values: parts.flatMap(part => part.values),
+    compound: true
+  };
+}
+
+/**
+ * Build a WHERE condition template from a structured condition object
+ * Plain values compare with =, null with IS NULL, arrays with IN.
+ * Operator objects support $eq, $ne, $gt, $gte, $lt, $lte, $like, $in, $nin, $between and $isNull;
+ * $or / $and take arrays of nested condition objects.
+ * @private
+ * @param {Object} conditions - Condition object, e.g. { Active: true, SourceDate: { $gt: date }, $or: [...] }
+ * @returns {Object|null} Template { sql, values } with ?? / ? placeholders, or null when empty
+ */
+function buildConditions(conditions) {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw new Error('WHERE conditions must be an object');
+  }
+
+  const parts = [];
+
+  for (const [key, value] of Object.entries(conditions)) {
+    if (key === '$or' || key === '$and') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${key} requires a non-empty array of conditions`);
+      }
+      const group = joinConditions(value.map(buildConditions).filter(Boolean), key === '$or' ? 'OR' : 'AND');
+      if (group) parts.push(group);
+    } else if (key.startsWith('$')) {
+      throw new Error(`Unsupported logical operator '${key}'`);
+    } else if (isOperatorObject(value)) {
+      const columnParts = Object.entries(value).map(([operator, operand]) => columnCondition(key, operator, operand));
+      parts.push(joinConditions(columnParts, 'AND'));
+    } else {
+      parts.push(columnCondition(key, '$eq', value));
+    }
+  }
+
+  return joinConditions(parts, 'AND');
 }
 
 /**
  * Generate UPDATE statement using tsqlstring
  * @param {string} tableName - Table name
  * @param {Object} data - Data to update
- * @param {Object} whereClause - WHERE clause conditions
+ * @param {Object} whereClause - WHERE clause conditions (equality map or structured conditions, see fragments.where)
  * @param {Object} options - Generation options
  * @param {Object} options.rawValues - Values that should not be escaped
- * @returns {string} Generated UPDATE statement
+ * @param {boolean} options.parameterized - Return { text, params } instead of an inlined SQL string
+ * @param {boolean} options.strict - Validate the SET values against the table registry before generating SQL
+ * @param {string} options.onOverflow - In strict mode, 'error' or 'truncate' over-length values (default: 'error')
+ * @param {Object} options.registry - Registry used by strict mode (default: bundled schemaRegistry)
+ * @param {Array|string} options.returning - Columns to return from updated rows (OUTPUT INSERTED / RETURNING)
+ * @param {string} options.dialect - SQL dialect: 'mssql' (default), 'postgres', 'mysql' or 'sqlite'
+ * @returns {string|Object} Generated UPDATE statement, or query object in parameterized mode
  */
 function generateUpdate(tableName, data, whereClause, options = {}) {
   if (!tableName || !data || !whereClause) {
     throw new Error('Table name, data, and where clause are required');
   }
 
-  const { rawValues = {} } = options;
+  const { rawValues = {}, strict = false } = options;
+
+  if (strict) {
+    data = validateStrictRows(tableName, [data], options, 'update')[0];
+  }
   
   // Build SET clause
   const setValues = [];
@@ -146,17 +683,31 @@ function generateUpdate(tableName, data, whereClause, options = {}) {
   });
   
   // Build WHERE clause
-  const whereValues = [];
-  const whereParts = [];
-  
-  Object.keys(whereClause).forEach(key => {
-    whereParts.push('?? = ?');
-    whereValues.push(key, whereClause[key]);
-  });
+  const where = buildConditions(whereClause);
+  if (!where) {
+    throw new Error('Table name, data, and where clause are required');
+  }
+
+  const dialect = getDialect(options.dialect);
+  const returning = returningClause(options.returning, dialect, 'INSERTED');
+  const values = [tableName, ...setValues];
 
-  const sql = `UPDATE ?? SET ${setParts.join(', ')} WHERE ${whereParts.join(' AND ')}`;
+  let sql = `UPDATE ?? SET ${setParts.join(', ')}`;
+
+  if (returning && dialect.name === 'mssql') {
+    sql += ` ${returning.sql}`;
+    values.push(...returning.values);
+  }
+
+  sql += ` WHERE ${where.sql}`;
+  values.push(...where.values);
+
+  if (returning && dialect.name !== 'mssql') {
+    sql += ` ${returning.sql}`;
+    values.push(...returning.values);
+  }
   
-  return format(sql, [tableName, ...setValues, ...whereValues]);
+  return compile(sql, values, options);
 }
 
 /**
@@ -164,11 +715,13 @@ function generateUpdate(tableName, data, whereClause, options = {}) {
  * @param {Object} options - Query options
  * @param {Array|string} options.columns - Columns to select (default: ['*'])
  * @param {string} options.from - Table name or FROM clause
- * @param {Object} options.where - WHERE conditions as key-value pairs
+ * @param {Object} options.where - WHERE conditions (equality map or structured conditions, see fragments.where)
  * @param {string} options.orderBy - ORDER BY clause
  * @param {number} options.limit - LIMIT/TOP clause
  * @param {string} options.customWhere - Custom WHERE clause (use with caution)
- * @returns {string} Generated SELECT statement
+ * @param {boolean} options.parameterized - Return { text, params } instead of an inlined SQL string
+ * @param {string} options.dialect - SQL dialect: 'mssql' (default), 'postgres', 'mysql' or 'sqlite'
+ * @returns {string|Object} Generated SELECT statement, or query object in parameterized mode
  */
 function generateSelect(options = {}) {
   const {
@@ -184,8 +737,10 @@ function generateSelect(options = {}) {
     throw new Error('FROM table/clause is required');
   }
 
+  const dialect = getDialect(options.dialect);
+
   // Build columns
-  const columnList = Array.isArray(columns) ? columns.map(col => escapeId(col)).join(', ') : escapeId(columns);
+  const columnList = Array.isArray(columns) ? columns.map(col => dialect.escapeId(col)).join(', ') : dialect.escapeId(columns);
   
   let sql = `SELECT ${columnList} FROM ??`;
   const values = [from];
@@ -193,11 +748,12 @@ function generateSelect(options = {}) {
   // Build WHERE clause
   const whereConditions = [];
   
-  // Add key-value WHERE conditions
-  Object.keys(where).forEach(key => {
-    whereConditions.push('?? = ?');
-    values.push(key, where[key]);
-  });
+  // Add structured WHERE conditions
+  const conditions = buildConditions(where);
+  if (conditions) {
+    whereConditions.push(conditions.compound && customWhere ? `(${conditions.sql})` : conditions.sql);
+    values.push(...conditions.values);
+  }
   
   // Add custom WHERE clause if provided
   if (customWhere) {
@@ -215,19 +771,26 @@ function generateSelect(options = {}) {
 
   // Add LIMIT/TOP
   if (limit && typeof limit === 'number' && limit > 0) {
-    sql = sql.replace('SELECT', `SELECT TOP ${limit}`);
+    if (dialect.name === 'mssql') {
+      sql = sql.replace('SELECT', `SELECT TOP ${limit}`);
+    } else {
+      sql += ` LIMIT ${limit}`;
+    }
   }
 
-  return format(sql, values);
+  return compile(sql, values, options);
 }
 
 /**
  * Generate DELETE statement using tsqlstring
  * @param {string} tableName - Table name
- * @param {Object} whereClause - WHERE clause conditions
+ * @param {Object} whereClause - WHERE clause conditions (equality map or structured conditions, see fragments.where)
  * @param {Object} options - Generation options
  * @param {number} options.limit - Limit number of rows to delete
- * @returns {string} Generated DELETE statement
+ * @param {boolean} options.parameterized - Return { text, params } instead of an inlined SQL string
+ * @param {Array|string} options.returning - Columns to return from deleted rows (OUTPUT DELETED / RETURNING)
+ * @param {string} options.dialect - SQL dialect: 'mssql' (default), 'postgres', 'mysql' or 'sqlite'
+ * @returns {string|Object} Generated DELETE statement, or query object in parameterized mode
  */
 function generateDelete(tableName, whereClause, options = {}) {
   if (!tableName || !whereClause || Object.keys(whereClause).length === 0) {
@@ -237,23 +800,558 @@ function generateDelete(tableName, whereClause, options = {}) {
   const { limit = null } = options;
   
   // Build WHERE clause
-  const whereValues = [];
-  const whereParts = [];
-  
-  Object.keys(whereClause).forEach(key => {
-    whereParts.push('?? = ?');
-    whereValues.push(key, whereClause[key]);
-  });
+  const where = buildConditions(whereClause);
+  if (!where) {
+    throw new Error('Table name and non-empty where clause are required for DELETE');
+  }
+
+  const dialect = getDialect(options.dialect);
+  const returning = returningClause(options.returning, dialect, 'DELETED');
+  const hasLimit = limit && typeof limit === 'number' && limit > 0;
+  const values = [tableName];
 
   let sql = 'DELETE';
   
-  if (limit && typeof limit === 'number' && limit > 0) {
+  if (hasLimit && dialect.name === 'mssql') {
     sql += ` TOP (${limit})`;
   }
   
-  sql += ` FROM ?? WHERE ${whereParts.join(' AND ')}`;
+  sql += ' FROM ??';
+
+  if (returning && dialect.name === 'mssql') {
+    sql += ` ${returning.sql}`;
+    values.push(...returning.values);
+  }
+
+  if (hasLimit && (dialect.name === 'postgres' || dialect.name === 'sqlite')) {
+    // Neither supports DELETE ... LIMIT, so limit a subquery on the physical row id instead
+    const rowId = dialect.name === 'postgres' ? 'ctid' : 'rowid';
+    sql += ` WHERE ${rowId} IN (SELECT ${rowId} FROM ?? WHERE ${where.sql} LIMIT ${limit})`;
+    values.push(tableName, ...where.values);
+  } else {
+    sql += ` WHERE ${where.sql}`;
+    values.push(...where.values);
+    if (hasLimit && dialect.name === 'mysql') {
+      sql += ` LIMIT ${limit}`;
+    }
+  }
+
+  if (returning && dialect.name !== 'mssql') {
+    sql += ` ${returning.sql}`;
+    values.push(...returning.values);
+  }
   
-  return format(sql, [tableName, ...whereValues]);
+  return compile(sql, values, options);
+}
+
+/**
+ * Generate MERGE (upsert) statement using tsqlstring
+ * Matches source rows to existing rows on the key columns, updating matches and inserting the rest.
+ * Uses HOLDLOCK so concurrent upserts of the same key can't both take the insert branch.
+ * Other dialects get INSERT ... ON CONFLICT (postgres, sqlite) or ON DUPLICATE KEY UPDATE (mysql),
+ * which need a unique constraint on the key columns.
+ * @param {string} tableName - Target table name
+ * @param {Object|Array} rows - Row to upsert, or array of rows (sent as one VALUES source)
+ * @param {Object} options - Generation options
+ * @param {Array|string} options.keyColumns - Column(s) identifying an existing row (e.g. ['SourceId', 'KnowledgeSourceId'])
+ * @param {Array} options.updateColumns - Columns to update when matched (default: all non-key columns)
+ * @param {boolean} options.insertOnly - Skip the WHEN MATCHED branch and only insert new rows (default: false)
+ * @param {string} options.duplicateKeys - Rows sharing key values: 'error' (default) or 'last' to keep the last row per key
+ * @param {string} options.outputClause - OUTPUT clause to add (e.g., "OUTPUT $action, INSERTED.Id")
+ * @param {Object} options.rawValues - Values that should not be escaped (e.g., { id: raw('NEWID()') })
+ * @param {boolean} options.parameterized - Return { text, params } instead of an inlined SQL string
+ * @param {Array|string} options.returning - Columns to return from upserted rows (OUTPUT INSERTED / RETURNING)
+ * @param {string} options.dialect - SQL dialect: 'mssql' (default), 'postgres', 'mysql' or 'sqlite'
+ * @returns {string|Object} Generated MERGE statement, or query object in parameterized mode
+ */
+function generateMerge(tableName, rows, options = {}) {
+  if (!tableName || !rows) {
+    throw new Error('Table name and rows are required');
+  }
+
+  const {
+    keyColumns = [],
+    updateColumns = null,
+    insertOnly = false,
+    duplicateKeys = 'error',
+    outputClause = null,
+    rawValues = {}
+  } = options;
+
+  let rowList = Array.isArray(rows) ? rows : [rows];
+  if (rowList.length === 0) {
+    return options.parameterized ? { text: '', params: [] } : '';
+  }
+
+  const keys = Array.isArray(keyColumns) ? keyColumns : [keyColumns];
+  if (keys.length === 0) {
+    throw new Error('At least one key column is required for MERGE');
+  }
+
+  rowList = dedupeMergeRows(rowList, keys.filter(key => !rawValues[key]), duplicateKeys);
+
+  // Union of columns across rows so sparse rows still line up (missing values become NULL)
+  const columns = [...new Set([
+    ...rowList.flatMap(row => Object.keys(row)),
+    ...Object.keys(rawValues)
+  ])];
+
+  const missingKeys = keys.filter(key => !columns.includes(key));
+  if (missingKeys.length > 0) {
+    throw new Error(`Key columns missing from rows: ${missingKeys.join(', ')}`);
+  }
+
+  const updates = (updateColumns || columns.filter(col => !keys.includes(col)))
+    .filter(col => !keys.includes(col));
+
+  const dialect = getDialect(options.dialect);
+  if (dialect.name !== 'mssql') {
+    return generateUpsert(tableName, rowList, columns, keys, insertOnly ? [] : updates, options);
+  }
+
+  const values = [tableName];
+
+  // Build the VALUES source rows
+  const sourceRows = rowList.map(row => {
+    const placeholders = columns.map(col => {
+      if (rawValues[col]) {
+        return rawValues[col].toSqlString ? rawValues[col].toSqlString() : String(rawValues[col]);
+      }
+      values.push(row[col] === undefined ? null : row[col]);
+      return '?';
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+
+  let sql = `MERGE INTO ?? WITH (HOLDLOCK) AS [target] USING (VALUES ${sourceRows.join(', ')}) AS [source] (??)`;
+  values.push(columns);
+
+  // Match on key columns
+  sql += ` ON ${keys.map(() => '[target].?? = [source].??').join(' AND ')}`;
+  keys.forEach(key => values.push(key, key));
+
+  if (!insertOnly && updates.length > 0) {
+    sql += ` WHEN MATCHED THEN UPDATE SET ${updates.map(() => '[target].?? = [source].??').join(', ')}`;
+    updates.forEach(col => values.push(col, col));
+  }
+
+  sql += ` WHEN NOT MATCHED BY TARGET THEN INSERT (??) VALUES (${columns.map(() => '[source].??').join(', ')})`;
+  values.push(columns, ...columns);
+
+  if (outputClause) {
+    sql += ` ${outputClause}`;
+  }
+
+  const returning = returningClause(options.returning, dialect, 'INSERTED');
+  if (returning) {
+    sql += ` ${returning.sql}`;
+    values.push(...returning.values);
+  }
+
+  // MERGE must be terminated with a semicolon
+  return compile(`${sql};`, values, options);
+}
+
+/**
+ * Check source rows for repeated key values
+ * MERGE (and ON CONFLICT DO UPDATE) fails at runtime when two source rows match the same target row.
+ * @private
+ */
+function dedupeMergeRows(rows, keys, duplicateKeys) {
+  if (!['error', 'last'].includes(duplicateKeys)) {
+    throw new Error(`Invalid duplicateKeys '${duplicateKeys}': expected 'error' or 'last'`);
+  }
+
+  const byKey = new Map();
+  rows.forEach((row, index) => {
+    // A NULL key never matches a target row, so such rows can't collide
+    if (keys.some(key => row[key] === undefined || row[key] === null)) {
+      byKey.set(Symbol('null key'), index);
+      return;
+    }
+    const id = JSON.stringify(keys.map(key => row[key] instanceof Date ? row[key].toISOString() : row[key]));
+
+    if (byKey.has(id) && duplicateKeys === 'error') {
+      throw new Error(`Rows ${byKey.get(id)} and ${index} have the same key (${keys.join(', ')}) = ${id}. ` +
+        "MERGE can't update a row twice; remove duplicates or pass duplicateKeys: 'last'");
+    }
+    // Re-inserting moves the key to the position of its last row
+    byKey.delete(id);
+    byKey.set(id, index);
+  });
+
+  return byKey.size === rows.length ? rows : [...byKey.values()].sort((a, b) => a - b).map(index => rows[index]);
+}
+
+/**
+ * Generate an INSERT ... ON CONFLICT / ON DUPLICATE KEY upsert for dialects without MERGE
+ * @private
+ */
+function generateUpsert(tableName, rows, columns, keys, updates, options) {
+  const { outputClause = null, rawValues = {} } = options;
+  const values = [];
+
+  const rowsSql = rows.map(row => {
+    const placeholders = columns.map(col => {
+      if (rawValues[col]) {
+        return rawValues[col].toSqlString ? rawValues[col].toSqlString() : String(rawValues[col]);
+      }
+      values.push(row[col] === undefined ? null : row[col]);
+      return '?';
+    });
+    return `(${placeholders.join(', ')})`;
+  }).join(', ');
+
+  let conflict;
+  if (getDialect(options.dialect).name === 'mysql') {
+    // With nothing to update, assign a key to itself: duplicates are skipped without INSERT IGNORE hiding other errors
+    conflict = updates.length > 0
+      ? { sql: `ON DUPLICATE KEY UPDATE ${updates.map(() => '?? = VALUES(??)').join(', ')}`, values: updates.flatMap(col => [col, col]) }
+      : { sql: 'ON DUPLICATE KEY UPDATE ?? = ??', values: [keys[0], keys[0]] };
+  } else {
+    conflict = updates.length > 0
+      ? { sql: `ON CONFLICT (??) DO UPDATE SET ${updates.map(() => '?? = EXCLUDED.??').join(', ')}`, values: [keys, ...updates.flatMap(col => [col, col])] }
+      : { sql: 'ON CONFLICT (??) DO NOTHING', values: [keys] };
+  }
+
+  return compile(...insertTemplate([tableName, columns], rowsSql, values, outputClause, options, conflict));
+}
+
+// Procedure parameter names become T-SQL variables, so they can't be bracket-escaped
+const PARAMETER_NAME_PATTERN = /^@?[A-Za-z_][A-Za-z0-9_]*$/;
+const OUTPUT_TYPE_PATTERN = /^(bigint|int|smallint|tinyint|bit|decimal|numeric|money|smallmoney|float|real|date|time|datetime|datetime2|smalldatetime|datetimeoffset|char|varchar|nchar|nvarchar|binary|varbinary|uniqueidentifier|xml)(\s*\(\s*(max|\d+)(\s*,\s*\d+)?\s*\))?$/i;
+
+/**
+ * Normalize a procedure parameter name, rejecting anything that isn't a plain identifier
+ * @private
+ */
+function parameterName(name) {
+  if (!PARAMETER_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid parameter name '${name}'`);
+  }
+  return name.replace(/^@/, '');
+}
+
+/**
+ * Generate an EXEC call for a stored procedure, capturing OUTPUT parameters
+ * Output parameters are declared as variables, passed with OUTPUT and selected back as one row.
+ * A name present in both params and outputParams is an input/output parameter: its variable
+ * is initialised with the input value.
+ * @param {string} procName - Procedure name (e.g. 'dbo.CreateText')
+ * @param {Object} params - Input parameter values keyed by name (leading @ optional)
+ * @param {Object} options - Generation options
+ * @param {Object} options.outputParams - OUTPUT parameter SQL types keyed by name (e.g. { TextId: 'uniqueidentifier' })
+ * @param {boolean} options.parameterized - Return { text, params } instead of an inlined SQL string
+ * @returns {string|Object} Generated batch, or query object in parameterized mode
+ *
+ * @example
+ * generateExec('dbo.CreateText', { Text: 'Hello', Type: 'summary' }, { outputParams: { TextId: 'uniqueidentifier' } });
+ * // DECLARE @TextId uniqueidentifier;
+ * // EXEC [dbo].[CreateText] @Text = 'Hello', @Type = 'summary', @TextId = @TextId OUTPUT;
+ * // SELECT @TextId AS [TextId];
+ */
+function generateExec(procName, params = {}, options = {}) {
+  if (!procName) {
+    throw new Error('Procedure name is required');
+  }
+  if (getDialect(options.dialect).name !== 'mssql') {
+    throw new Error('generateExec is only supported for mssql');
+  }
+
+  const { outputParams = {} } = options;
+
+  const inputs = new Map(Object.entries(params || {}).map(([name, value]) => [parameterName(name), value]));
+  const outputs = Object.entries(outputParams).map(([name, type]) => {
+    if (typeof type !== 'string' || !OUTPUT_TYPE_PATTERN.test(type.trim())) {
+      throw new Error(`Invalid SQL type '${type}' for output parameter '${name}'`);
+    }
+    return { name: parameterName(name), type: type.trim() };
+  });
+
+  if (options.parameterized) {
+    // sp_executesql binds values as @p0..@pN, which would collide with a procedure or OUTPUT variable of that name
+    const clash = [...inputs.keys(), ...outputs.map(output => output.name)].find(name => /^p\d+$/i.test(name));
+    if (clash) {
+      throw new Error(`Parameter name '${clash}' clashes with the @p0..@pN placeholders of parameterized mode`);
+    }
+  }
+
+  const statements = [];
+  const values = [];
+
+  outputs.forEach(({ name, type }) => {
+    if (inputs.has(name)) {
+      statements.push(`DECLARE @${name} ${type} = ?;`);
+      values.push(inputs.get(name));
+    } else {
+      statements.push(`DECLARE @${name} ${type};`);
+    }
+  });
+
+  const outputNames = new Set(outputs.map(output => output.name));
+  const args = [];
+
+  values.push(procName);
+  inputs.forEach((value, name) => {
+    if (!outputNames.has(name)) {
+      args.push(`@${name} = ?`);
+      values.push(value);
+    }
+  });
+  outputs.forEach(({ name }) => args.push(`@${name} = @${name} OUTPUT`));
+
+  statements.push(`EXEC ??${args.length > 0 ? ` ${args.join(', ')}` : ''};`);
+
+  if (outputs.length > 0) {
+    statements.push(`SELECT ${outputs.map(({ name }) => `@${name} AS ??`).join(', ')};`);
+    values.push(...outputs.map(({ name }) => name));
+  }
+
+  return compile(statements.join('\n'), values, options);
+}
+
+/**
+ * Build a LIMIT/OFFSET clause for dialects without TOP
+ * @private
+ */
+function limitClause(dialect, limit, offset) {
+  let sql = '';
+
+  if (limit !== null) {
+    sql += ` LIMIT ${limit}`;
+  } else if (offset !== null && dialect.name !== 'postgres') {
+    // MySQL and SQLite only accept OFFSET after a LIMIT, so use their "no limit" values
+    sql += dialect.name === 'mysql' ? ' LIMIT 18446744073709551615' : ' LIMIT -1';
+  }
+
+  if (offset !== null) {
+    sql += ` OFFSET ${offset}`;
+  }
+
+  return sql;
+}
+
+/**
+ * Create a chainable SELECT query builder
+ * Supports joins, structured WHERE/HAVING conditions, grouping, TOP and OFFSET/FETCH paging.
+ * Column references may be qualified ('ks.Name'), wildcards ('ks.*'), aggregates ('COUNT(*)') or raw().
+ * @returns {Object} Builder with select, distinct, from, join, leftJoin, rightJoin, where, groupBy,
+ *   having, orderBy, top, offset, fetch and build methods
+ * @example
+ * createSelectBuilder()
+ *   .select(['ks.Name', { 'COUNT(ksi.KnowledgeSourceInstanceId)': 'InstanceCount' }])
+ *   .from('KnowledgeSources', 'ks')
+ *   .leftJoin('KnowledgeSourceInstances', 'ksi', { 'ksi.KnowledgeSourceId': 'ks.KnowledgeSourceId' })
+ *   .where({ 'ks.Active': true })
+ *   .groupBy('ks.Name')
+ *   .orderBy('ks.Name')
+ *   .build();
+ */
+function createSelectBuilder() {
+  const state = {
+    columns: [],
+    distinct: false,
+    from: null,
+    joins: [],
+    where: [],
+    groupBy: [],
+    having: [],
+    orderBy: [],
+    top: null,
+    offset: null,
+    fetch: null
+  };
+
+  const toRowCount = (value, name) => {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+    return value;
+  };
+
+  const addJoin = (type, table, alias, on) => {
+    if (on === undefined && alias && typeof alias === 'object') {
+      on = alias;
+      alias = null;
+    }
+    if (!table || !on) {
+      throw new Error(`${type} requires a table and an ON condition`);
+    }
+    state.joins.push({ type, table, alias, on });
+    return builder;
+  };
+
+  const builder = {
+    /**
+     * Add columns to the select list
+     * @param {Array|string|Object} columns - Column refs, or { ref: alias } objects
+     */
+    select(columns) {
+      state.columns.push(...(Array.isArray(columns) ? columns : [columns]));
+      return builder;
+    },
+
+    distinct() {
+      state.distinct = true;
+      return builder;
+    },
+
+    from(table, alias = null) {
+      state.from = { table, alias };
+      return builder;
+    },
+
+    /**
+     * Add an INNER JOIN
+     * @param {string} table - Table name
+     * @param {string} alias - Table alias (optional)
+     * @param {Object} on - Column pairs joined with AND, e.g. { 'kso.KnowledgeSourceId': 'ks.KnowledgeSourceId' }, or raw()
+     */
+    join: (table, alias, on) => addJoin('INNER JOIN', table, alias, on),
+    leftJoin: (table, alias, on) => addJoin('LEFT JOIN', table, alias, on),
+    rightJoin: (table, alias, on) => addJoin('RIGHT JOIN', table, alias, on),
+
+    /**
+     * Add WHERE conditions (structured syntax, see fragments.where); repeated calls are combined with AND
+     */
+    where(conditions) {
+      state.where.push(conditions);
+      return builder;
+    },
+
+    groupBy(...columns) {
+      state.groupBy.push(...columns.flat());
+      return builder;
+    },
+
+    /**
+     * Add HAVING conditions; keys may be aggregates, e.g. { 'COUNT(*)': { $gt: 1 } }
+     */
+    having(conditions) {
+      state.having.push(conditions);
+      return builder;
+    },
+
+    orderBy(column, direction = 'ASC') {
+      const dir = String(direction).toUpperCase();
+      if (dir !== 'ASC' && dir !== 'DESC') {
+        throw new Error(`Invalid sort direction '${direction}'`);
+      }
+      state.orderBy.push({ column, direction: dir });
+      return builder;
+    },
+
+    top(count) {
+      state.top = toRowCount(count, 'TOP');
+      return builder;
+    },
+
+    offset(count) {
+      state.offset = toRowCount(count, 'OFFSET');
+      return builder;
+    },
+
+    fetch(count) {
+      state.fetch = toRowCount(count, 'FETCH');
+      return builder;
+    },
+
+    /**
+     * Compile the query
+     * @param {Object} options - Build options
+     * @param {boolean} options.parameterized - Return { text, params } instead of an inlined SQL string
+     * @param {string} options.dialect - SQL dialect; TOP and OFFSET/FETCH become LIMIT/OFFSET outside SQL Server
+     * @returns {string|Object} SELECT statement, or query object in parameterized mode
+     */
+    build(options = {}) {
+      if (!state.from) {
+        throw new Error('FROM table is required');
+      }
+
+      const dialect = getDialect(options.dialect);
+      const paging = state.offset !== null || state.fetch !== null;
+      if (paging && state.top !== null) {
+        throw new Error('TOP cannot be combined with OFFSET/FETCH');
+      }
+      if (paging && state.orderBy.length === 0 && dialect.name === 'mssql') {
+        throw new Error('OFFSET/FETCH requires ORDER BY');
+      }
+
+      const values = [];
+      const append = (part) => {
+        values.push(...part.values);
+        return part.sql;
+      };
+      const tableReference = ({ table, alias }) => {
+        values.push(table);
+        if (!alias) return '??';
+        values.push(alias);
+        return '?? AS ??';
+      };
+
+      // SELECT list
+      const selectList = (state.columns.length > 0 ? state.columns : ['*']).flatMap(column => {
+        if (column && typeof column === 'object' && typeof column.toSqlString !== 'function') {
+          return Object.entries(column).map(([ref, alias]) => {
+            const sql = append(columnReference(ref));
+            values.push(alias);
+            return `${sql} AS ??`;
+          });
+        }
+        return [append(columnReference(column))];
+      });
+
+      let sql = 'SELECT';
+      if (state.distinct) sql += ' DISTINCT';
+      if (state.top !== null && dialect.name === 'mssql') sql += ` TOP (${state.top})`;
+      sql += ` ${selectList.join(', ')}`;
+
+      sql += ` FROM ${tableReference(state.from)}`;
+
+      state.joins.forEach(join => {
+        sql += ` ${join.type} ${tableReference(join)} ON `;
+        if (typeof join.on.toSqlString === 'function') {
+          sql += String(join.on.toSqlString());
+        } else {
+          sql += Object.entries(join.on)
+            .map(([left, right]) => `${append(columnReference(left))} = ${append(columnReference(right))}`)
+            .join(' AND ');
+        }
+      });
+
+      const conditionGroup = (groups) => {
+        const parts = groups.map(buildConditions).filter(Boolean);
+        return joinConditions(parts, 'AND');
+      };
+
+      const where = conditionGroup(state.where);
+      if (where) sql += ` WHERE ${append(where)}`;
+
+      if (state.groupBy.length > 0) {
+        sql += ` GROUP BY ${state.groupBy.map(column => append(columnReference(column))).join(', ')}`;
+      }
+
+      const having = conditionGroup(state.having);
+      if (having) sql += ` HAVING ${append(having)}`;
+
+      if (state.orderBy.length > 0) {
+        sql += ` ORDER BY ${state.orderBy.map(({ column, direction }) => `${append(columnReference(column))} ${direction}`).join(', ')}`;
+      }
+
+      if (dialect.name === 'mssql') {
+        if (paging) {
+          sql += ` OFFSET ${state.offset || 0} ROWS`;
+          if (state.fetch !== null) sql += ` FETCH NEXT ${state.fetch} ROWS ONLY`;
+        }
+      } else {
+        sql += limitClause(dialect, state.top !== null ? state.top : state.fetch, state.offset);
+      }
+
+      return compile(sql, values, options);
+    }
+  };
+
+  return builder;
 }
 
 /**
@@ -264,17 +1362,20 @@ const fragments = {
    * Create a CASE statement
    * @param {Array} conditions - Array of {when, then} objects
    * @param {*} elseValue - ELSE value
+   * @param {Object} options - Fragment options
+   * @param {string} options.dialect - SQL dialect used to escape the THEN/ELSE values (default: 'mssql')
    * @returns {string} CASE statement
    */
-  case: (conditions, elseValue = null) => {
+  case: (conditions, elseValue = null, options = {}) => {
+    const { escape: escapeValue } = getDialect(options.dialect);
     let sql = 'CASE';
     
     conditions.forEach(({ when, then }) => {
-      sql += ` WHEN ${when} THEN ${escape(then)}`;
+      sql += ` WHEN ${when} THEN ${escapeValue(then)}`;
     });
     
     if (elseValue !== null) {
-      sql += ` ELSE ${escape(elseValue)}`;
+      sql += ` ELSE ${escapeValue(elseValue)}`;
     }
     
     sql += ' END';
@@ -292,13 +1393,13 @@ const fragments = {
    * Create an IN clause
    * @param {string} column - Column name
    * @param {Array} values - Values for IN clause
+   * @param {Object} options - Fragment options
+   * @param {string} options.dialect - SQL dialect (default: 'mssql')
    * @returns {string} IN clause
    */
-  in: (column, values) => {
-    if (!Array.isArray(values) || values.length === 0) {
-      throw new Error('IN clause requires non-empty array of values');
-    }
-    return format(`?? IN (${values.map(() => '?').join(', ')})`, [column, ...values]);
+  in: (column, values, options = {}) => {
+    const condition = inCondition(column, values);
+    return compile(condition.sql, condition.values, { dialect: options.dialect });
   },
 
   /**
@@ -306,11 +1407,165 @@ const fragments = {
    * @param {string} column - Column name
    * @param {*} start - Start value
    * @param {*} end - End value
+   * @param {Object} options - Fragment options
+   * @param {string} options.dialect - SQL dialect (default: 'mssql')
    * @returns {string} BETWEEN clause
    */
-  between: (column, start, end) => format('?? BETWEEN ? AND ?', [column, start, end])
+  between: (column, start, end, options = {}) => {
+    const condition = betweenCondition(column, start, end);
+    return compile(condition.sql, condition.values, { dialect: options.dialect });
+  },
+
+  /**
+   * Create a WHERE condition from a structured condition object
+   * @param {Object} conditions - Conditions, e.g. { Active: true, SourceDate: { $gt: date }, $or: [{ A: 1 }, { B: 2 }] }
+   * @param {Object} options - Build options
+   * @param {boolean} options.parameterized - Return { text, params } instead of an inlined SQL string
+   * @param {string} options.dialect - SQL dialect (default: 'mssql')
+   * @returns {string|Object} Condition SQL without the WHERE keyword ('' when there are no conditions)
+   */
+  where: (conditions, options = {}) => {
+    const condition = buildConditions(conditions);
+    if (!condition) {
+      return options.parameterized ? { text: '', params: [] } : '';
+    }
+    return compile(condition.sql, condition.values, options);
+  }
 };
 
+// ErrorLogs columns filled from the errorLog option of batch.combine
+const ERROR_LOG_COLUMNS = {
+  workflowName: 'WorkflowName',
+  nodeName: 'NodeName',
+  workflowId: 'WorkflowId',
+  executionId: 'ExecutionId',
+  mode: 'Mode',
+  relatedEntityId: 'RelatedEntityId',
+  relatedEntityType: 'RelatedEntityType'
+};
+
+/**
+ * Indent every line of a statement for readability inside TRY/CATCH blocks
+ * @private
+ */
+function indent(sql, depth = 1) {
+  const padding = '  '.repeat(depth);
+  return sql.split('\n').map(line => padding + line).join('\n');
+}
+
+/**
+ * Build the ErrorLogs INSERT run from a CATCH block
+ * @private
+ */
+function errorLogInsert(errorLog, vars, partialCommit) {
+  const { tableName = 'ErrorLogs', ...context } = errorLog === true ? {} : errorLog;
+
+  if (!context.workflowName) {
+    throw new Error('errorLog.workflowName is required');
+  }
+
+  const row = {};
+  Object.entries(ERROR_LOG_COLUMNS).forEach(([key, column]) => {
+    if (context[key] !== undefined && context[key] !== null) {
+      row[column] = context[key];
+    }
+  });
+  row.ErrorMessage = null;
+  row.ErrorDetails = null;
+
+  const committed = partialCommit ? `, N', committed steps ', ${vars.committed}` : '';
+  return generateInsert(tableName, row, {
+    rawValues: {
+      ErrorMessage: raw('ERROR_MESSAGE()'),
+      ErrorDetails: raw(`CONCAT(N'Error ', ERROR_NUMBER(), N', severity ', ERROR_SEVERITY(), N', state ', ERROR_STATE(), N', line ', ERROR_LINE(), N', batch step ', ${vars.step}${committed})`)
+    }
+  });
+}
+
+/**
+ * Wrap statements in TRY/CATCH with a transaction that can't be left open
+ * @private
+ */
+function combineSafely(statements, options) {
+  const { partialCommit = false, onError = 'throw', errorLog = null, variablePrefix = 'batch' } = options;
+  const xactAbort = options.xactAbort === undefined ? !partialCommit : options.xactAbort;
+
+  if (partialCommit && xactAbort) {
+    // With XACT_ABORT ON every error dooms the whole transaction, so there is nothing to roll back to
+    throw new Error('partialCommit requires xactAbort: false');
+  }
+  if (!['throw', 'select'].includes(onError)) {
+    throw new Error(`Invalid onError '${onError}': expected 'throw' or 'select'`);
+  }
+  if (typeof variablePrefix !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]{0,100}$/.test(variablePrefix)) {
+    throw new Error(`Invalid variablePrefix '${variablePrefix}': use letters, digits and underscores`);
+  }
+
+  const vars = {
+    step: `@${variablePrefix}Step`,
+    savepoint: `@${variablePrefix}Savepoint`,
+    committed: `@${variablePrefix}Committed`,
+    message: `@${variablePrefix}Error`
+  };
+
+  const tryBody = ['BEGIN TRANSACTION;'];
+  statements.forEach((statement, index) => {
+    tryBody.push(`SET ${vars.step} = ${index + 1};`);
+    if (partialCommit) {
+      tryBody.push(`SET ${vars.savepoint} = 'step_${index + 1}';`, `SAVE TRANSACTION ${vars.savepoint};`);
+    }
+    tryBody.push(`${statement.trim().replace(/;+$/, '')};`);
+  });
+  tryBody.push('COMMIT TRANSACTION;');
+
+  // Partial commit keeps the statements before the failing one, so the error must say how many
+  const catchBody = partialCommit
+    ? [
+      'IF XACT_STATE() = 1',
+      'BEGIN',
+      `  ROLLBACK TRANSACTION ${vars.savepoint};`,
+      '  COMMIT TRANSACTION;',
+      `  SET ${vars.committed} = ${vars.step} - 1;`,
+      'END',
+      'ELSE IF XACT_STATE() = -1',
+      '  ROLLBACK TRANSACTION;'
+    ]
+    : ['IF XACT_STATE() <> 0', '  ROLLBACK TRANSACTION;'];
+
+  if (errorLog) {
+    catchBody.push(`${errorLogInsert(errorLog, vars, partialCommit)};`);
+  }
+
+  if (onError === 'select') {
+    const committedColumn = partialCommit ? `${vars.committed}` : '0';
+    catchBody.push(`SELECT ERROR_NUMBER() AS [ErrorNumber], ERROR_MESSAGE() AS [ErrorMessage], ERROR_LINE() AS [ErrorLine], ${vars.step} AS [FailedStep], ${committedColumn} AS [CommittedSteps];`);
+  } else if (partialCommit) {
+    // A plain THROW would hide that earlier statements were committed
+    catchBody.push(
+      `SET ${vars.message} = LEFT(CONCAT(N'Batch step ', ${vars.step}, N' failed after committing ', ${vars.committed}, N' step(s): error ', ERROR_NUMBER(), N', ', ERROR_MESSAGE()), 2048);`,
+      `THROW 50000, ${vars.message}, 1;`
+    );
+  } else {
+    catchBody.push('THROW;');
+  }
+
+  return [
+    `SET XACT_ABORT ${xactAbort ? 'ON' : 'OFF'};`,
+    `DECLARE ${vars.step} int = 0;`,
+    ...(partialCommit ? [
+      `DECLARE ${vars.savepoint} nvarchar(32);`,
+      `DECLARE ${vars.committed} int = 0;`,
+      ...(onError === 'throw' ? [`DECLARE ${vars.message} nvarchar(2048);`] : [])
+    ] : []),
+    'BEGIN TRY',
+    indent(tryBody.join('\n')),
+    'END TRY',
+    'BEGIN CATCH',
+    indent(catchBody.join('\n')),
+    'END CATCH;'
+  ].join('\n');
+}
+
 /**
  * Batch operations for multiple queries
  */
@@ -319,20 +1574,40 @@ const batch = {
    * Combine multiple SQL statements into a batch
    * @param {Array} statements - Array of SQL statements
    * @param {Object} options - Batch options
-   * @param {boolean} options.useTransaction - Wrap in transaction
+   * @param {boolean} options.useTransaction - Wrap in a bare BEGIN/COMMIT transaction
+   * @param {boolean} options.safeTransaction - Wrap in a transaction inside TRY/CATCH that rolls back on error
+   * @param {boolean} options.xactAbort - SET XACT_ABORT ON in safe mode (default: true, or false with partialCommit)
+   * @param {boolean} options.partialCommit - Save a savepoint before each statement; on error, roll back only the
+   *   failing statement and COMMIT the ones before it. The error reports how many steps were committed
+   *   (requires xactAbort: false; default: false, which rolls back everything)
+   * @param {string} options.onError - 'throw' to re-raise the error, or 'select' to return it as a result row (default: 'throw')
+   * @param {string} options.variablePrefix - Prefix for the generated T-SQL variables (default: 'batch' → @batchStep);
+   *   give each batch its own prefix when several combined batches run in one request
+   * @param {Object} options.errorLog - Insert the caught error into ErrorLogs ({ workflowName, nodeName, workflowId,
+   *   executionId, mode, relatedEntityId, relatedEntityType, tableName })
+   * @param {string} options.dialect - SQL dialect for the useTransaction keywords; safe mode is SQL Server only
    * @returns {string} Combined SQL batch
    */
   combine: (statements, options = {}) => {
-    const { useTransaction = false } = options;
+    const { useTransaction = false, safeTransaction = false, partialCommit = false, errorLog = null } = options;
     
     if (!Array.isArray(statements) || statements.length === 0) {
       return '';
     }
     
+    const dialect = getDialect(options.dialect);
+    
+    if (safeTransaction || partialCommit || errorLog) {
+      if (dialect.name !== 'mssql') {
+        throw new Error('safeTransaction is only supported for mssql');
+      }
+      return combineSafely(statements, options);
+    }
+    
     let sql = statements.join(';\n');
     
     if (useTransaction) {
-      sql = `BEGIN TRANSACTION;\n${sql};\nCOMMIT TRANSACTION;`;
+      sql = `${dialect.transaction.begin};\n${sql};\n${dialect.transaction.commit};`;
     }
     
     return sql;
@@ -342,23 +1617,34 @@ const batch = {
    * Generate multiple INSERT statements for bulk insert
    * @param {string} tableName - Table name
    * @param {Array} rows - Array of data objects
-   * @param {Object} options - Insert options
-   * @returns {string} Bulk INSERT statements
+   * @param {Object} options - Insert options (see generateInsert)
+   * @param {boolean} options.multiRow - Return multi-row INSERT chunks instead of one INSERT per row
+   * @param {boolean} options.parameterized - Return an array of { text, params } query objects
+   * @returns {string|Array} Bulk INSERT statements, or an array of statements in multiRow or parameterized mode
    */
   bulkInsert: (tableName, rows, options = {}) => {
     if (!Array.isArray(rows) || rows.length === 0) {
-      return '';
+      return options.multiRow || options.parameterized ? [] : '';
     }
     
-    return rows.map(row => generateInsert(tableName, row, options)).join(';\n');
+    return generateInsert(tableName, rows, options);
   }
 };
 
 module.exports = {
+  // SQL Server limits
+  SQL_SERVER_LIMITS,
+
+  // Dialects
+  SQL_DIALECTS,
+  getDialect,
+
   // Core tsqlstring functions
   escape,
   escapeId,
   format,
+  formatParameterized,
+  inferSqlType,
   raw,
   buildQuery,
   
@@ -367,6 +1653,12 @@ module.exports = {
   generateUpdate,
   generateSelect,
   generateDelete,
+  generateMerge,
+  generateExec,
+  getInsertChunkSize,
+  
+  // Query builders
+  createSelectBuilder,
   
   // SQL fragments
   fragments,
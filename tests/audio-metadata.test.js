@@ -0,0 +1,204 @@
+// tests/audio-metadata.test.js
+const {
+  parseAudioMetadata,
+  backfillDuration,
+  createBinaryData,
+  audioMetadata
+} = require('../index');
+
+// ---- Synthetic file builders ----
+
+const syncsafe = (size) => Buffer.from([(size >> 21) & 0x7F, (size >> 14) & 0x7F, (size >> 7) & 0x7F, size & 0x7F]);
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+function id3Frame(id, data, major = 3) {
+  return Buffer.concat([Buffer.from(id), major === 4 ? syncsafe(data.length) : uint32(data.length), Buffer.alloc(2), data]);
+}
+
+const textFrame = (id, text, major = 3) => id3Frame(id, Buffer.concat([Buffer.from([3]), Buffer.from(text, 'utf8')]), major);
+
+function id3Tag(frames, major = 3) {
+  const body = Buffer.concat([...frames, Buffer.alloc(16)]);
+  return Buffer.concat([Buffer.from('ID3'), Buffer.from([major, 0, 0]), syncsafe(body.length), body]);
+}
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo: 417-byte frames
+function mp3Frames(count, firstFrame = null) {
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const frame = Buffer.alloc(417);
+    Buffer.from([0xFF, 0xFB, 0x90, 0x00]).copy(frame);
+    if (i === 0 && firstFrame) firstFrame.copy(frame, 36);
+    frames.push(frame);
+  }
+  return Buffer.concat(frames);
+}
+
+function atom(type, ...children) {
+  const body = Buffer.concat(children);
+  return Buffer.concat([uint32(body.length + 8), Buffer.from(type, 'latin1'), body]);
+}
+
+function buildM4a() {
+  const mvhd = atom('mvhd', Buffer.from([0, 0, 0, 0]), uint32(0), uint32(0), uint32(1000), uint32(1830500), Buffer.alloc(80));
+  const stsdEntry = atom('mp4a', Buffer.alloc(6), Buffer.from([0, 1]), Buffer.alloc(8), Buffer.from([0, 2, 0, 16]), Buffer.alloc(4), uint32(44100 * 65536));
+  const trak = atom('trak', atom('mdia',
+    atom('hdlr', Buffer.alloc(8), Buffer.from('soun'), Buffer.alloc(12)),
+    atom('minf', atom('stbl', atom('stsd', Buffer.alloc(4), uint32(1), stsdEntry)))
+  ));
+  const data = (type, value) => atom('data', uint32(type), uint32(0), value);
+  const ilst = atom('ilst',
+    atom('\xA9nam', data(1, Buffer.from('Episode 101: Getting Started'))),
+    atom('\xA9ART', data(1, Buffer.from('Example Host'))),
+    atom('covr', data(14, Buffer.from([0x89, 0x50, 0x4E, 0x47])))
+  );
+  const udta = atom('udta', atom('meta', Buffer.alloc(4), atom('hdlr', Buffer.alloc(8), Buffer.from('mdir'), Buffer.alloc(12)), ilst));
+
+  return Buffer.concat([
+    atom('ftyp', Buffer.from('M4A '), uint32(0), Buffer.from('M4A isom')),
+    atom('moov', mvhd, trak, udta),
+    // mdat header of a 29.3 MB file; only its first bytes were downloaded
+    uint32(29289008), Buffer.from('mdat'), Buffer.alloc(16)
+  ]);
+}
+
+// ---- Tests ----
+
+describe('parseAudioMetadata', () => {
+  const cover = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 1, 2, 3]);
+  const apic = id3Frame('APIC', Buffer.concat([Buffer.from([0]), Buffer.from('image/jpeg\0'), Buffer.from([3]), Buffer.from('Cover\0'), cover]));
+  const tag = id3Tag([
+    textFrame('TIT2', 'Episode 101: Getting Started'),
+    textFrame('TPE1', 'Example Host'),
+    textFrame('TALB', 'Example Podcast'),
+    id3Frame('COMM', Buffer.concat([Buffer.from([0]), Buffer.from('eng'), Buffer.from('\0Recorded live')])),
+    apic
+  ]);
+
+  test('reads ID3v2 tags and constant-bitrate duration', () => {
+    const metadata = parseAudioMetadata(Buffer.concat([tag, mp3Frames(100)]));
+
+    expect(metadata).toMatchObject({
+      format: 'mp3',
+      title: 'Episode 101: Getting Started',
+      artist: 'Example Host',
+      album: 'Example Podcast',
+      comment: 'Recorded live',
+      bitrate: 128,
+      sampleRate: 44100,
+      channels: 2,
+      durationSeconds: 2.606,
+      durationSource: 'bitrate',
+      tags: ['ID3v2.3']
+    });
+    expect(metadata.artwork).toMatchObject({ mimeType: 'image/jpeg', pictureType: 3, description: 'Cover' });
+    expect(metadata.artwork.data.equals(cover)).toBe(true);
+  });
+
+  test('uses the Xing header for VBR files', () => {
+    const xing = Buffer.concat([Buffer.from('Xing'), uint32(3), uint32(1000), uint32(209000)]);
+    const metadata = parseAudioMetadata(mp3Frames(3, xing));
+
+    expect(metadata.durationSeconds).toBe(26.122);
+    expect(metadata.durationSource).toBe('xing');
+    expect(metadata.bitrate).toBe(64);
+  });
+
+  test('uses the VBRI header', () => {
+    const vbri = Buffer.concat([Buffer.from('VBRI'), Buffer.from([0, 1, 0, 0, 0, 75]), uint32(417000), uint32(2000)]);
+    const metadata = parseAudioMetadata(mp3Frames(2, vbri));
+
+    expect(metadata.durationSeconds).toBe(52.245);
+    expect(metadata.durationSource).toBe('vbri');
+  });
+
+  test('estimates the duration of a partial download from fileSize', () => {
+    const start = Buffer.concat([tag, mp3Frames(10)]);
+    const metadata = parseAudioMetadata(start, { fileSize: tag.length + 417 * 36000 });
+
+    expect(Math.round(metadata.durationSeconds)).toBe(938);
+  });
+
+  test('reads ID3v2.4 and ID3v1 tags', () => {
+    const v24 = id3Tag([textFrame('TIT2', 'Épisode ünicode', 4)], 4);
+    const v1 = Buffer.alloc(128);
+    v1.write('TAG');
+    v1.write('Old Title', 3, 'latin1');
+    v1.write('Old Artist', 33, 'latin1');
+    v1.write('2021', 93, 'latin1');
+
+    const metadata = parseAudioMetadata(Buffer.concat([v24, mp3Frames(5), v1]));
+
+    expect(metadata.title).toBe('Épisode ünicode');
+    expect(metadata.artist).toBe('Old Artist');
+    expect(metadata.year).toBe('2021');
+    expect(metadata.tags).toEqual(['ID3v2.4', 'ID3v1']);
+    expect(metadata.durationSeconds).toBe(0.13);
+  });
+
+  test('returns empty tags for a truncated tag with an extended header', () => {
+    for (const major of [3, 4]) {
+      const header = Buffer.concat([Buffer.from('ID3'), Buffer.from([major, 0, 0x40]), syncsafe(100)]);
+      const truncated = Buffer.concat([header, Buffer.from([0, 0])]);
+      const pastEnd = Buffer.concat([header, Buffer.from([0, 0, 0x7F, 0x7F]), textFrame('TIT2', 'Hidden', major)]);
+
+      expect(parseAudioMetadata(truncated)).toMatchObject({ title: null, tags: [`ID3v2.${major}`] });
+      expect(parseAudioMetadata(pastEnd)).toMatchObject({ title: null, tags: [`ID3v2.${major}`] });
+    }
+  });
+
+  test('decodes UTF-16 text frames', () => {
+    const utf16 = id3Frame('TIT2', Buffer.concat([Buffer.from([1, 0xFF, 0xFE]), Buffer.from('Hello', 'utf16le')]));
+    expect(parseAudioMetadata(Buffer.concat([id3Tag([utf16]), mp3Frames(2)])).title).toBe('Hello');
+  });
+
+  test('reads MP4 duration, audio track and iTunes tags', () => {
+    const metadata = parseAudioMetadata(buildM4a());
+
+    expect(metadata).toMatchObject({
+      format: 'm4a',
+      title: 'Episode 101: Getting Started',
+      artist: 'Example Host',
+      durationSeconds: 1830.5,
+      durationSource: 'mvhd',
+      sampleRate: 44100,
+      channels: 2,
+      bitrate: 128,
+      tags: ['iTunes']
+    });
+    expect(metadata.artwork.mimeType).toBe('image/png');
+  });
+
+  test('accepts n8n binary data and unknown formats', () => {
+    const binaryData = createBinaryData(Buffer.concat([tag, mp3Frames(4)]), { fileName: 'episode.mp3' });
+    expect(parseAudioMetadata(binaryData).title).toBe('Episode 101: Getting Started');
+
+    expect(parseAudioMetadata(Buffer.from('<html></html>'))).toMatchObject({ format: 'html', durationSeconds: null });
+    expect(() => parseAudioMetadata('ID3')).toThrow('parseAudioMetadata requires a Buffer');
+  });
+});
+
+describe('backfillDuration', () => {
+  const metadata = { durationSeconds: 1830.5 };
+
+  test('keeps a usable declared duration', () => {
+    expect(backfillDuration('00:30:30', metadata)).toEqual({ duration: 1830, durationFriendly: '30 minutes', source: 'declared' });
+  });
+
+  test('falls back to the measured duration', () => {
+    expect(backfillDuration(0, metadata)).toEqual({ duration: 1831, durationFriendly: '30 minutes', source: 'metadata' });
+    expect(backfillDuration(null, metadata, { includeSeconds: true, format: 'short' }).durationFriendly).toBe('30m 31s');
+  });
+
+  test('returns no duration when neither is known', () => {
+    expect(backfillDuration(undefined, { durationSeconds: null })).toEqual({ duration: null, durationFriendly: null, source: null });
+  });
+
+  test('is available on the audioMetadata namespace', () => {
+    expect(audioMetadata.backfillDuration).toBe(backfillDuration);
+  });
+});
@@ -5,6 +5,10 @@ const {
   processItemsParallel,
   aggregateResults,
   retryFailedItems,
+  classifyError,
+  splitResults,
+  routeResults,
+  processInChunks,
   batch // Namespace import
 } = require('../index');
 
@@ -272,4 +276,417 @@ describe('Batch Processing Utilities', () => {
       expect(result[0].json._error).toBeDefined();
     });
   });
-}); 
\ No newline at end of file
+
+  describe('processItemsWithPairing async processors', () => {
+    const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+    const items = [{ json: { id: 1 } }, { json: { id: 2 } }, { json: { id: 3 } }, { json: { id: 4 } }];
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('awaits async processors', async () => {
+      const { results, stats } = await processItemsWithPairing(
+        items,
+        async (_$item, $json) => delay(5, { id: $json.id, done: true })
+      );
+
+      expect(results[0]).toEqual({ json: { id: 1, done: true }, pairedItem: 0 });
+      expect(stats.successful).toBe(4);
+    });
+
+    test('limits concurrency and keeps results in input order', async () => {
+      let active = 0;
+      let peak = 0;
+
+      const { results } = await processItemsWithPairing(
+        items,
+        async (_$item, $json) => {
+          active++;
+          peak = Math.max(peak, active);
+          // Earlier items take longer, so they finish last
+          await delay(40 - $json.id * 10);
+          active--;
+          return { id: $json.id };
+        },
+        {},
+        { concurrency: 2 }
+      );
+
+      expect(peak).toBe(2);
+      expect(results.map(result => result.json.id)).toEqual([1, 2, 3, 4]);
+      expect(results.map(result => result.pairedItem)).toEqual([0, 1, 2, 3]);
+    });
+
+    test('fails items that exceed timeoutMs', async () => {
+      const { results, errors } = await processItemsWithPairing(
+        items.slice(0, 2),
+        ($item, $json) => ($json.id === 1 ? delay(200, { id: 1 }) : { id: 2 }),
+        {},
+        { timeoutMs: 20, logErrors: false }
+      );
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].itemIndex).toBe(0);
+      expect(errors[0].error.message).toBe('Item 0 timed out after 20ms');
+      expect(results[1]).toEqual({ json: { id: 2 }, pairedItem: 1 });
+    });
+
+    test('records async rejections as item errors', async () => {
+      const { results, errors, stats } = await processItemsWithPairing(
+        items.slice(0, 2),
+        async (_$item, $json) => {
+          if ($json.id === 2) throw new Error('HEAD request failed');
+          return { id: $json.id };
+        },
+        {},
+        { logErrors: false }
+      );
+
+      expect(results).toHaveLength(2);
+      expect(errors[0].error.message).toBe('HEAD request failed');
+      expect(stats.failed).toBe(1);
+    });
+
+    test('stops scheduling new items after an error when stopOnError is true', async () => {
+      const seen = [];
+      const { results } = await processItemsWithPairing(
+        items,
+        async (_$item, $json) => {
+          seen.push($json.id);
+          if ($json.id === 2) throw new Error('boom');
+          return { id: $json.id };
+        },
+        {},
+        { stopOnError: true, logErrors: false }
+      );
+
+      expect(seen).toEqual([1, 2]);
+      expect(results).toHaveLength(2);
+    });
+
+    test('validates concurrency and timeoutMs', async () => {
+      await expect(processItemsWithPairing(items, () => ({}), {}, { concurrency: 0 }))
+        .rejects.toThrow('Concurrency must be a positive integer');
+      await expect(processItemsWithPairing(items, () => ({}), {}, { timeoutMs: -1 }))
+        .rejects.toThrow('timeoutMs must be a positive number');
+    });
+  });
+
+  describe('processItemsWithPairing retry', () => {
+    const items = [{ json: { id: 1 } }, { json: { id: 2 } }];
+    const transientError = () => Object.assign(new Error('socket reset'), { code: 'ECONNRESET' });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('retries transient errors until the processor succeeds', async () => {
+      const calls = {};
+      const { results, errors, stats } = await processItemsWithPairing(
+        items,
+        async (_$item, $json) => {
+          calls[$json.id] = (calls[$json.id] || 0) + 1;
+          if ($json.id === 1 && calls[1] < 3) throw transientError();
+          return { id: $json.id };
+        },
+        {},
+        { retry: { attempts: 3, baseMs: 1, jitter: false } }
+      );
+
+      expect(calls).toEqual({ 1: 3, 2: 1 });
+      expect(errors).toHaveLength(0);
+      expect(results[0]).toEqual({ json: { id: 1 }, pairedItem: 0 });
+      expect(stats.retries).toEqual({ retriedItems: 1, retries: 2, recovered: 1 });
+    });
+
+    test('does not retry permanent errors', async () => {
+      let calls = 0;
+      const { errors, stats } = await processItemsWithPairing(
+        items.slice(0, 1),
+        () => {
+          calls++;
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        },
+        {},
+        { retry: { attempts: 5, baseMs: 1 }, logErrors: false }
+      );
+
+      expect(calls).toBe(1);
+      expect(errors[0].attempts).toBe(1);
+      expect(errors[0].classification).toMatchObject({ category: 'permanent', reason: 'http_error', status: 404 });
+      expect(stats.retries).toEqual({ retriedItems: 0, retries: 0, recovered: 0 });
+    });
+
+    test('records every attempt in the item error info', async () => {
+      const { errors, stats } = await processItemsWithPairing(
+        items.slice(0, 1),
+        () => { throw Object.assign(new Error('Service Unavailable'), { statusCode: 503 }); },
+        {},
+        { retry: { attempts: 3, backoff: 'linear', baseMs: 2, jitter: false }, logErrors: false }
+      );
+
+      expect(errors[0].attempts).toBe(3);
+      expect(errors[0].retryHistory.map(entry => [entry.attempt, entry.reason, entry.delayMs])).toEqual([
+        [1, 'server_error', 2],
+        [2, 'server_error', 4],
+        [3, 'server_error', null]
+      ]);
+      expect(stats.failed).toBe(1);
+      expect(stats.retries).toEqual({ retriedItems: 1, retries: 2, recovered: 0 });
+    });
+
+    test('retryOn overrides the classification', async () => {
+      let calls = 0;
+      await processItemsWithPairing(
+        items.slice(0, 1),
+        () => {
+          calls++;
+          throw Object.assign(new Error('conflict'), { status: 409 });
+        },
+        {},
+        { retry: { attempts: 2, baseMs: 1, retryOn: [409] }, logErrors: false }
+      );
+      expect(calls).toBe(2);
+
+      calls = 0;
+      await processItemsWithPairing(
+        items.slice(0, 1),
+        () => {
+          calls++;
+          throw transientError();
+        },
+        {},
+        { retry: { attempts: 3, baseMs: 1, retryOn: () => false }, logErrors: false }
+      );
+      expect(calls).toBe(1);
+    });
+
+    test('does not retry timed out attempts by default', async () => {
+      let calls = 0;
+      const { errors } = await processItemsWithPairing(
+        items.slice(0, 1),
+        () => {
+          calls++;
+          return calls === 1 ? new Promise(() => {}) : { ok: true };
+        },
+        {},
+        { timeoutMs: 10, retry: { attempts: 2, baseMs: 1 }, logErrors: false }
+      );
+
+      expect(calls).toBe(1);
+      expect(errors[0]).toMatchObject({ attempts: 1, classification: { retryable: false, reason: 'processor_timeout', code: 'PROCESSOR_TIMEOUT' } });
+    });
+
+    test('retries timed out attempts with retryTimeouts', async () => {
+      let calls = 0;
+      const { errors } = await processItemsWithPairing(
+        items.slice(0, 1),
+        () => {
+          calls++;
+          return calls === 1 ? new Promise(() => {}) : { ok: true };
+        },
+        {},
+        { timeoutMs: 10, retry: { attempts: 2, baseMs: 1, retryTimeouts: true } }
+      );
+
+      expect(calls).toBe(2);
+      expect(errors).toHaveLength(0);
+    });
+
+    test('validates retry options', async () => {
+      await expect(processItemsWithPairing(items, () => ({}), {}, { retry: { attempts: 0 } }))
+        .rejects.toThrow('retry.attempts must be a positive integer');
+      await expect(processItemsWithPairing(items, () => ({}), {}, { retry: { backoff: 'random' } }))
+        .rejects.toThrow("Invalid retry.backoff 'random'");
+    });
+  });
+
+  describe('classifyError', () => {
+    test('treats network codes, 429, 5xx and SQL deadlocks as transient', () => {
+      expect(classifyError(Object.assign(new Error('x'), { code: 'ETIMEDOUT' }))).toMatchObject({ retryable: true, reason: 'network' });
+      expect(classifyError({ response: { status: 429, headers: { 'retry-after': '2' } } }))
+        .toMatchObject({ category: 'transient', reason: 'rate_limited', retryAfterMs: 2000 });
+      expect(classifyError({ statusCode: 502 })).toMatchObject({ retryable: true, reason: 'server_error' });
+      expect(classifyError({ number: 1205 })).toMatchObject({ retryable: true, reason: 'sql_deadlock' });
+      expect(classifyError(new Error('Transaction was deadlocked and has been chosen as the deadlock victim')).reason).toBe('sql_deadlock');
+    });
+
+    test('treats other errors as permanent', () => {
+      expect(classifyError({ status: 400 })).toMatchObject({ category: 'permanent', retryable: false, reason: 'http_error' });
+      expect(classifyError({ status: 501 }).retryable).toBe(false);
+      expect(classifyError({ originalError: { info: { number: 2627 } } })).toMatchObject({ retryable: false, reason: 'sql_error', sqlErrorNumber: 2627 });
+      expect(classifyError(new Error('Invalid input')).reason).toBe('unrecognized');
+      expect(classifyError(Object.assign(new Error('Item 0 timed out after 10ms'), { code: 'PROCESSOR_TIMEOUT' })))
+        .toMatchObject({ retryable: false, reason: 'processor_timeout' });
+      expect(classifyError(null).retryable).toBe(false);
+    });
+  });
+
+  describe('splitResults and routeResults', () => {
+    const items = [
+      { json: { id: 1, existingId: null } },
+      { json: { id: 2, existingId: 20, changed: true } },
+      { json: { id: 3, existingId: 30, changed: false } },
+      { json: { id: 4, fail: true } }
+    ];
+
+    let result;
+
+    beforeAll(async () => {
+      result = await processItemsWithPairing(
+        items,
+        (_$item, $json) => {
+          if ($json.fail) throw new Error('bad item');
+          return $json;
+        },
+        {},
+        { logErrors: false }
+      );
+    });
+
+    test('splitResults returns [successItems, errorItems] with pairing', () => {
+      const [success, failed] = splitResults(result);
+
+      expect(success.map(item => item.pairedItem)).toEqual([0, 1, 2]);
+      expect(failed).toHaveLength(1);
+      expect(failed[0].pairedItem).toBe(3);
+      expect(failed[0].json._error.message).toBe('bad item');
+    });
+
+    test('splitResults detects error items in a plain results array', () => {
+      const [success, failed] = splitResults(result.results);
+      expect([success.length, failed.length]).toEqual([3, 1]);
+    });
+
+    test('routeResults sends items to named branches in route order', () => {
+      const [created, updated, skipped, failed] = routeResults(result, {
+        new: $json => !$json.existingId,
+        updated: $json => $json.changed,
+        skipped: () => true,
+        failed: 'error'
+      });
+
+      expect(created.map(item => item.json.id)).toEqual([1]);
+      expect(updated.map(item => item.json.id)).toEqual([2]);
+      expect(skipped.map(item => item.json.id)).toEqual([3]);
+      expect(failed.map(item => item.pairedItem)).toEqual([3]);
+    });
+
+    test('routeResults uses the fallback route or throws for unmatched items', () => {
+      const routes = { new: $json => !$json.existingId, failed: 'error', other: () => false };
+
+      const outputs = routeResults(result, routes, { fallback: 'other' });
+      expect(outputs.map(output => output.length)).toEqual([1, 1, 2]);
+
+      expect(() => routeResults(result, routes)).toThrow('Item 1 matched no route');
+    });
+
+    test('routeResults validates routes', () => {
+      expect(() => routeResults(result, {})).toThrow('Routes must be an object');
+      expect(() => routeResults(result, { a: 'x' })).toThrow("Route 'a' must be a predicate function or 'error'");
+      expect(() => routeResults(result, { a: 'error', b: 'error' })).toThrow('Only one error route is allowed');
+      expect(() => routeResults(result, { a: () => true }, { fallback: 'b' })).toThrow("Fallback route 'b' is not defined");
+    });
+  });
+
+  describe('processInChunks', () => {
+    const items = Array.from({ length: 5 }, (_v, i) => ({ json: { id: i + 1 } }));
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('hands the processor whole chunks and pairs output with every input index', async () => {
+      const calls = [];
+      const { results, stats } = await processInChunks(items, 2, async (chunk, chunkIndex, { startIndex, itemIndexes }) => {
+        calls.push({ chunkIndex, startIndex, itemIndexes, ids: chunk.map(item => item.json.id) });
+        return { statement: `INSERT ${chunk.length}` };
+      });
+
+      expect(calls).toEqual([
+        { chunkIndex: 0, startIndex: 0, itemIndexes: [0, 1], ids: [1, 2] },
+        { chunkIndex: 1, startIndex: 2, itemIndexes: [2, 3], ids: [3, 4] },
+        { chunkIndex: 2, startIndex: 4, itemIndexes: [4], ids: [5] }
+      ]);
+      expect(results[1]).toEqual({ json: { statement: 'INSERT 2' }, pairedItem: [{ item: 2 }, { item: 3 }] });
+      expect(stats).toMatchObject({ totalItems: 5, totalChunks: 3, successfulChunks: 3, failedChunks: 0, outputItems: 3 });
+      expect(stats.chunks.map(chunk => [chunk.chunkIndex, chunk.size, chunk.outputCount, chunk.success])).toEqual([
+        [0, 2, 1, true],
+        [1, 2, 1, true],
+        [2, 1, 1, true]
+      ]);
+    });
+
+    test('accepts arrays, n8n items and empty output', async () => {
+      const { results } = await processInChunks(items.slice(0, 4), 2, (chunk, chunkIndex) => {
+        if (chunkIndex === 1) return null;
+        return [{ a: 1 }, { json: { b: 2 }, pairedItem: { item: 1 } }];
+      });
+
+      expect(results).toEqual([
+        { json: { a: 1 }, pairedItem: [{ item: 0 }, { item: 1 }] },
+        { json: { b: 2 }, pairedItem: [{ item: 0 }, { item: 1 }] }
+      ]);
+    });
+
+    test('replaces the upstream pairing of returned input items', async () => {
+      const upstream = [{ json: { id: 1 }, pairedItem: { item: 7 } }, { json: { id: 2 }, pairedItem: { item: 3 } }, { json: { id: 3 }, pairedItem: 0 }];
+      const { results } = await processInChunks(upstream, 2, chunk => chunk.map(item => ({ ...item, json: { ...item.json, saved: true } })));
+
+      expect(results.map(item => item.pairedItem)).toEqual([
+        [{ item: 0 }, { item: 1 }],
+        [{ item: 0 }, { item: 1 }],
+        [{ item: 2 }]
+      ]);
+
+      const kept = await processInChunks(upstream, 2, (chunk, _chunkIndex, { itemIndexes }) =>
+        chunk.map((item, offset) => ({ json: item.json, pairedItem: { item: itemIndexes[offset] } })), { keepPairedItem: true });
+      expect(kept.results.map(item => item.pairedItem)).toEqual([{ item: 0 }, { item: 1 }, { item: 2 }]);
+    });
+
+    test('turns a failed chunk into one error item paired with the whole chunk', async () => {
+      const { results, errors, stats } = await processInChunks(items, 2, (_chunk, chunkIndex) => {
+        if (chunkIndex === 1) throw new Error('bulk insert failed');
+        return { ok: true };
+      });
+
+      expect(results).toHaveLength(3);
+      expect(results[1].json._error).toMatchObject({ type: 'chunk_processing_error', message: 'bulk insert failed', itemIndexes: [2, 3] });
+      expect(results[1].pairedItem).toEqual([{ item: 2 }, { item: 3 }]);
+      expect(errors).toEqual([expect.objectContaining({ chunkIndex: 1, itemIndexes: [2, 3] })]);
+      expect(stats).toMatchObject({ successfulChunks: 2, failedChunks: 1, failedItems: 2, outputItems: 2 });
+      expect(stats.chunks[1]).toMatchObject({ success: false, error: 'bulk insert failed' });
+
+      const [success, failed] = splitResults(results);
+      expect([success.length, failed.length]).toEqual([2, 1]);
+    });
+
+    test('stops after a failed chunk and applies timeoutMs', async () => {
+      const stopped = await processInChunks(items, 2, () => { throw new Error('x'); }, { stopOnError: true, logErrors: false });
+      expect(stopped.stats.processedChunks).toBe(1);
+
+      const timedOut = await processInChunks(items.slice(0, 1), 1, () => new Promise(() => {}), { timeoutMs: 10, logErrors: false });
+      expect(timedOut.errors[0].error.message).toBe('Chunk 0 timed out after 10ms');
+    });
+
+    test('validates arguments', async () => {
+      await expect(processInChunks('x', 2, () => {})).rejects.toThrow('Items must be an array');
+      await expect(processInChunks(items, 0, () => {})).rejects.toThrow('Chunk size must be a positive integer');
+      await expect(processInChunks(items, 2, null)).rejects.toThrow('Chunk processor must be a function');
+    });
+  });
+}); 
@@ -0,0 +1,132 @@
+// tests/binary.test.js
+const {
+  createBinaryData,
+  getBinaryData,
+  getBinaryBuffer,
+  getBinaryText,
+  attachBinary,
+  moveBinaryProperty,
+  renameBinary,
+  retypeBinary,
+  binary
+} = require('../index');
+
+const transcript = 'Welcome to the show.\nToday we talk about n8n.';
+
+describe('createBinaryData', () => {
+  test('builds n8n binary metadata from the file name', () => {
+    const audio = createBinaryData(Buffer.alloc(2048), { fileName: 'Episode 101.mp3' });
+
+    expect(audio).toEqual({
+      data: Buffer.alloc(2048).toString('base64'),
+      mimeType: 'audio/mpeg',
+      fileType: 'audio',
+      fileName: 'Episode 101.mp3',
+      fileExtension: 'mp3',
+      fileSize: '2 KB'
+    });
+  });
+
+  test('reads text and base64 strings', () => {
+    const text = createBinaryData(transcript, { fileName: 'transcript.txt', mimeType: 'text/plain' });
+    expect(Buffer.from(text.data, 'base64').toString()).toBe(transcript);
+    expect(text).toMatchObject({ fileType: 'text', fileExtension: 'txt' });
+
+    const fromBase64 = createBinaryData(text.data, { encoding: 'base64', mimeType: 'audio/mp4' });
+    expect(fromBase64.data).toBe(text.data);
+    expect(fromBase64).toMatchObject({ fileExtension: 'm4a', fileType: 'audio' });
+    expect(fromBase64.fileName).toBeUndefined();
+  });
+
+  test('falls back to application/octet-stream', () => {
+    expect(createBinaryData('', { fileName: 'notes.xyz' })).toMatchObject({
+      mimeType: 'application/octet-stream',
+      fileExtension: 'xyz',
+      fileSize: '0 B'
+    });
+    expect(() => createBinaryData(42)).toThrow('Binary content must be a Buffer');
+    expect(() => createBinaryData('x', { encoding: 'utf9' })).toThrow("Unknown encoding 'utf9'");
+  });
+});
+
+describe('reading binary properties', () => {
+  const item = attachBinary({ json: { id: 1 }, pairedItem: 0 }, 'transcript', transcript, {
+    fileName: 'transcript.txt',
+    mimeType: 'text/plain'
+  });
+
+  test('returns the buffer and text', () => {
+    expect(getBinaryBuffer(item, 'transcript').equals(Buffer.from(transcript))).toBe(true);
+    expect(getBinaryText(item, 'transcript')).toBe(transcript);
+  });
+
+  test('names the available properties when one is missing', () => {
+    expect(() => getBinaryData(item)).toThrow("Item has no binary property 'data'. Available: transcript");
+    expect(() => getBinaryData({ json: {} })).toThrow("Item has no binary property 'data'");
+  });
+
+  test('explains binary data stored outside memory', () => {
+    const stored = { json: {}, binary: { data: { data: 'filesystem-v2', id: 'filesystem-v2:abc', mimeType: 'audio/mpeg' } } };
+
+    expect(() => getBinaryBuffer(stored)).toThrow('this.helpers.getBinaryDataBuffer(itemIndex, \'data\')');
+  });
+
+  test('recognises the legacy filesystem marker, which is valid base64', () => {
+    const legacy = { json: {}, binary: { data: { data: 'filesystem', id: 'filesystem:5e1c2c1b', mimeType: 'audio/mpeg' } } };
+    const markerOnly = { json: {}, binary: { data: { data: 's3', mimeType: 'audio/mpeg' } } };
+
+    expect(() => getBinaryBuffer(legacy)).toThrow("Binary property 'data' is stored externally (filesystem:5e1c2c1b)");
+    expect(() => getBinaryBuffer(markerOnly)).toThrow('is stored externally (s3)');
+  });
+});
+
+describe('changing binary properties', () => {
+  const item = attachBinary({ json: { id: 1 }, pairedItem: 3 }, 'data', Buffer.from('audio'), { fileName: 'episode.mp3' });
+
+  test('attachBinary keeps json, pairing and other properties', () => {
+    const withCover = attachBinary(item, 'cover', createBinaryData('img', { fileName: 'cover.png', mimeType: 'image/png' }));
+
+    expect(withCover.json).toEqual({ id: 1 });
+    expect(withCover.pairedItem).toBe(3);
+    expect(Object.keys(withCover.binary)).toEqual(['data', 'cover']);
+    expect(withCover.binary.cover.fileType).toBe('image');
+    expect(item.binary.cover).toBeUndefined();
+  });
+
+  test('moveBinaryProperty renames the property', () => {
+    const moved = moveBinaryProperty(item, 'data', 'audio');
+
+    expect(Object.keys(moved.binary)).toEqual(['audio']);
+    expect(moved.binary.audio).toBe(item.binary.data);
+  });
+
+  test('renameBinary updates the extension and MIME type', () => {
+    const renamed = renameBinary(item, 'Episode 101.m4a');
+    expect(renamed.binary.data).toMatchObject({
+      fileName: 'Episode 101.m4a',
+      fileExtension: 'm4a',
+      mimeType: 'audio/mp4',
+      data: item.binary.data.data
+    });
+
+    expect(renameBinary(item, 'episode.bin', { keepMimeType: true }).binary.data)
+      .toMatchObject({ fileExtension: 'bin', mimeType: 'audio/mpeg' });
+  });
+
+  test('retypeBinary updates the MIME type, extension and file name', () => {
+    expect(retypeBinary(item, 'audio/wav').binary.data).toMatchObject({
+      mimeType: 'audio/wav',
+      fileExtension: 'wav',
+      fileName: 'episode.wav',
+      fileType: 'audio'
+    });
+
+    expect(retypeBinary(item, 'application/json', { fileExtension: 'json' }).binary.data)
+      .toMatchObject({ fileName: 'episode.json', fileType: 'json' });
+    expect(() => retypeBinary(item, '')).toThrow('MIME type is required');
+  });
+
+  test('is available on the binary namespace', () => {
+    expect(binary.attachBinary).toBe(attachBinary);
+  });
+});
@@ -0,0 +1,181 @@
+// tests/checkpoint.test.js
+const {
+  createCheckpointStore,
+  createStaticDataAdapter,
+  resumeFrom,
+  resetCheckpoint,
+  processItemsWithPairing,
+  checkpoint
+} = require('../index');
+
+const episodes = ['a', 'b', 'c', 'd'].map(episodeGuid => ({ json: { episodeGuid } }));
+
+describe('createCheckpointStore', () => {
+  test('records completions in workflow static data', async () => {
+    const staticData = {};
+    const store = createCheckpointStore({ staticData, key: 'backfill' });
+    await store.load();
+
+    await store.markComplete('a');
+    await store.markComplete('b');
+
+    expect(store.isComplete('a')).toBe(true);
+    expect(store.isComplete('c')).toBe(false);
+    expect(staticData.checkpoints.backfill.completed).toEqual(['a', 'b']);
+
+    const next = createCheckpointStore({ staticData, key: 'backfill' });
+    await next.load();
+    expect(next.getCompleted()).toEqual(['a', 'b']);
+  });
+
+  test('supports async adapters and batched flushes', async () => {
+    const saved = [];
+    const adapter = {
+      load: async () => ['x'],
+      save: async (key, ids) => { saved.push([key, ids]); },
+      clear: async () => {}
+    };
+    const store = createCheckpointStore({ adapter, key: 'job', flushEvery: 2 });
+    await store.load();
+
+    await store.markComplete('y');
+    expect(saved).toHaveLength(0);
+
+    await store.markComplete('z');
+    expect(saved).toEqual([['job', ['x', 'y', 'z']]]);
+  });
+
+  test('identify resolves the configured identity', async () => {
+    const store = createCheckpointStore({ staticData: {}, identity: 'episodeGuid' });
+    expect(store.identify(episodes[1], 1)).toBe('b');
+    expect(() => createCheckpointStore({ staticData: {} }).identify(episodes[0], 0))
+      .toThrow('Checkpoint store was created without an identity');
+  });
+
+  test('requires storage and a loaded store', () => {
+    expect(() => createCheckpointStore({})).toThrow('Checkpoint requires staticData or an adapter');
+    expect(() => createCheckpointStore({ adapter: { load() {} } })).toThrow('Checkpoint adapter must implement save(key)');
+    expect(() => createCheckpointStore({ staticData: {} }).isComplete('a')).toThrow('Checkpoint not loaded');
+    expect(() => createStaticDataAdapter(null)).toThrow('staticData must be the object');
+  });
+});
+
+describe('resumeFrom and resetCheckpoint', () => {
+  test('filters out completed items', async () => {
+    const staticData = { checkpoints: { backfill: { completed: ['a', 'c'] } } };
+
+    const pending = await resumeFrom(episodes, { staticData, key: 'backfill', identity: 'episodeGuid' });
+    expect(pending.map(item => item.json.episodeGuid)).toEqual(['b', 'd']);
+
+    const byFunction = await resumeFrom(episodes, { staticData, key: 'backfill', identity: $json => $json.episodeGuid.toUpperCase() });
+    expect(byFunction).toHaveLength(4);
+  });
+
+  test('pairs remaining items to their original index', async () => {
+    const staticData = { checkpoints: { backfill: { completed: ['b'] } } };
+    const input = episodes.map((item, index) => ({ ...item, pairedItem: { item: index + 10 } }));
+
+    const pending = await resumeFrom(input, { staticData, key: 'backfill', identity: 'episodeGuid' });
+
+    expect(pending.map(item => item.json.episodeGuid)).toEqual(['a', 'c', 'd']);
+    expect(pending.map(item => item.pairedItem)).toEqual([{ item: 0 }, { item: 2 }, { item: 3 }]);
+    expect(input[2].pairedItem).toEqual({ item: 12 });
+  });
+
+  test('resetCheckpoint clears only the named checkpoint', async () => {
+    const staticData = { checkpoints: { backfill: { completed: ['a'] }, other: { completed: ['b'] } } };
+
+    await resetCheckpoint({ staticData, key: 'backfill' });
+
+    expect(staticData.checkpoints.backfill).toBeUndefined();
+    expect(staticData.checkpoints.other.completed).toEqual(['b']);
+  });
+
+  test('is available on the checkpoint namespace', () => {
+    expect(checkpoint.resumeFrom).toBe(resumeFrom);
+  });
+});
+
+describe('processItemsWithPairing checkpoint', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resumes after a failed run without repeating completed items', async () => {
+    const staticData = {};
+    const options = { checkpoint: { staticData, key: 'backfill', identity: 'episodeGuid' } };
+    const processed = [];
+
+    const first = await processItemsWithPairing(
+      episodes,
+      (_$item, $json) => {
+        if ($json.episodeGuid === 'c') throw new Error('download failed');
+        processed.push($json.episodeGuid);
+        return $json;
+      },
+      {},
+      options
+    );
+
+    expect(first.stats.checkpoint).toEqual({ key: 'backfill', skipped: 0, completed: 3, saveErrors: 0 });
+    expect(staticData.checkpoints.backfill.completed).toEqual(['a', 'b', 'd']);
+
+    const second = await processItemsWithPairing(
+      episodes,
+      (_$item, $json) => {
+        processed.push($json.episodeGuid);
+        return $json;
+      },
+      {},
+      options
+    );
+
+    expect(processed).toEqual(['a', 'b', 'd', 'c']);
+    expect(second.results).toEqual([{ json: { episodeGuid: 'c' }, pairedItem: 2 }]);
+    expect(second.stats.checkpoint).toEqual({ key: 'backfill', skipped: 3, completed: 1, saveErrors: 0 });
+  });
+
+  test('keeps successful items when the checkpoint cannot be saved', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const saved = [];
+    let calls = 0;
+    const adapter = {
+      load: () => [],
+      save: (_key, ids) => {
+        if (++calls === 1) throw new Error('storage unavailable');
+        saved.push(ids);
+      },
+      clear: () => {}
+    };
+    let attempts = 0;
+
+    const { results, errors, stats } = await processItemsWithPairing(
+      episodes.slice(0, 2),
+      (_$item, $json) => { attempts++; return $json; },
+      {},
+      { checkpoint: { adapter, identity: 'episodeGuid' }, retry: { attempts: 3, baseMs: 1 } }
+    );
+
+    expect(attempts).toBe(2);
+    expect(errors).toEqual([]);
+    expect(results).toEqual([{ json: { episodeGuid: 'a' }, pairedItem: 0 }, { json: { episodeGuid: 'b' }, pairedItem: 1 }]);
+    expect(stats.checkpoint).toMatchObject({ completed: 1, saveErrors: 1 });
+    expect(saved[saved.length - 1]).toEqual(['a', 'b']);
+    expect(console.warn).toHaveBeenCalledWith('Checkpoint save for item 0 failed: storage unavailable');
+  });
+
+  test('fails items without an identity', async () => {
+    const { errors } = await processItemsWithPairing(
+      [{ json: {} }],
+      $json => $json,
+      {},
+      { checkpoint: { staticData: {}, identity: 'episodeGuid' }, logErrors: false }
+    );
+
+    expect(errors[0].error.message).toBe('Item 0 has no checkpoint identity');
+  });
+});
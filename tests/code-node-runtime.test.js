@@ -0,0 +1,85 @@
+// tests/code-node-runtime.test.js
+const path = require('path');
+const { runCodeNode, loadFixture } = require('./helpers/code-node-runtime');
+
+const eachItemScript = path.join(__dirname, 'fixtures', 'code-nodes', 'each-item.js');
+const allItemsScript = path.join(__dirname, 'fixtures', 'code-nodes', 'all-items.js');
+const legacyItemScript = path.join(__dirname, 'fixtures', 'code-nodes', 'legacy-item.js');
+
+const fixture = {
+  input: [{ json: { name: 'first episode' } }, { name: 'second episode' }, { json: {} }],
+  nodes: {
+    Sources: {
+      items: [{ json: { label: 'Feed A' } }, { json: { label: 'Feed B' } }],
+      pairing: [1, 0, 0]
+    }
+  },
+  execution: { id: '42' }
+};
+
+describe('runCodeNode', () => {
+  test("runs once for each item with $json, .item and $itemIndex", async () => {
+    const { items, logs, staticData } = await runCodeNode(
+      eachItemScript,
+      { ...fixture, input: fixture.input.slice(0, 2) },
+      { mode: 'runOnceForEachItem' }
+    );
+
+    expect(items).toEqual([
+      { json: { name: 'FIRST EPISODE', source: 'Feed B', executionId: '42', seen: 1 }, pairedItem: { item: 0 } },
+      { json: { name: 'SECOND EPISODE', source: 'Feed A', executionId: '42', seen: 2 }, pairedItem: { item: 1 } }
+    ]);
+    expect(logs.map(log => log.message)).toEqual(['Item 0: first episode', 'Item 1: second episode']);
+    expect(staticData.global.seen).toBe(2);
+  });
+
+  test('carries static data over from a previous run', async () => {
+    const input = fixture.input.slice(0, 1);
+    const first = await runCodeNode(eachItemScript, { ...fixture, input }, { mode: 'runOnceForEachItem' });
+    const second = await runCodeNode(eachItemScript, { ...fixture, input }, {
+      mode: 'runOnceForEachItem',
+      staticData: first.staticData
+    });
+
+    expect(second.items[0].json.seen).toBe(2);
+  });
+
+  test('runs once for all items with require() and multiple outputs', async () => {
+    const { items, customData } = await runCodeNode(allItemsScript, fixture);
+
+    expect(items).toHaveLength(2);
+    expect(items[0].map(item => item.json.name)).toEqual(['First Episode', 'Second Episode']);
+    expect(items[1]).toHaveLength(1);
+    expect(items[1][0].json._error.message).toBe('name is required');
+    expect(customData).toEqual({ count: '3' });
+  });
+
+  test('provides $item(index) as an accessor for any input item', async () => {
+    const { items } = await runCodeNode(legacyItemScript, { ...fixture, input: fixture.input.slice(0, 2) });
+
+    expect(items.map(item => item.json)).toEqual([
+      { name: 'first episode', source: 'Feed B' },
+      { name: 'second episode', source: 'Feed A' }
+    ]);
+  });
+
+  test('rejects .item in all-items mode and unknown nodes', async () => {
+    await expect(runCodeNode(eachItemScript, fixture)).rejects.toThrow("Can't use .item here");
+    await expect(runCodeNode(eachItemScript, { input: fixture.input }, { mode: 'runOnceForEachItem' }))
+      .rejects.toThrow("Referenced node doesn't exist: 'Sources'");
+    await expect(runCodeNode(eachItemScript, fixture, { mode: 'everyItem' })).rejects.toThrow("Invalid mode 'everyItem'");
+  });
+
+  test('module overrides replace real modules', async () => {
+    const { items } = await runCodeNode(allItemsScript, fixture, {
+      modules: { lodash: { startCase: value => `<${value}>` } }
+    });
+
+    expect(items[0][0].json.name).toBe('<first episode>');
+  });
+
+  test('loadFixture reads JSON under tests/fixtures', () => {
+    expect(loadFixture('podcast/knowledge-operations.json').input).toHaveLength(2);
+    expect(loadFixture(fixture)).toBe(fixture);
+  });
+});
@@ -0,0 +1,278 @@
+// tests/data-transform.test.js
+const { normalizeResultRow, normalizeResultSet, groupRows, dedupeItems, dataTransform } = require('../index');
+
+describe('normalizeResultRow', () => {
+  test('converts PascalCase keys to camelCase by default', () => {
+    const row = normalizeResultRow({ KnowledgeSourceId: 1, KnowledgeSourceURL: 'https://x', Name: 'a' });
+    expect(row).toEqual({ knowledgeSourceId: 1, knowledgeSourceUrl: 'https://x', name: 'a' });
+  });
+
+  test('supports pascal and preserve key cases', () => {
+    expect(normalizeResultRow({ knowledgeSourceId: 1 }, { keyCase: 'pascal' })).toEqual({ KnowledgeSourceId: 1 });
+    expect(normalizeResultRow({ Mixed_Name: 1 }, { keyCase: 'preserve' })).toEqual({ Mixed_Name: 1 });
+    expect(() => normalizeResultRow({}, { keyCase: 'snake' })).toThrow("Invalid keyCase 'snake'");
+  });
+
+  test('converts Date objects and SQL Server datetime strings to ISO strings', () => {
+    const row = normalizeResultRow({
+      Created: new Date('2025-01-02T03:04:05.678Z'),
+      Offset: '2025-07-25 04:54:11.1234567 +02:00',
+      Datetime2: '2025-07-25 04:54:11.1234567',
+      Iso: '2025-07-25T04:54:11Z',
+      DateOnly: '2025-07-25',
+      Text: 'not a date'
+    });
+
+    expect(row.created).toBe('2025-01-02T03:04:05.678Z');
+    expect(row.offset).toBe('2025-07-25T02:54:11.123Z');
+    expect(row.datetime2).toBe('2025-07-25T04:54:11.123Z');
+    expect(row.iso).toBe('2025-07-25T04:54:11.000Z');
+    // Untyped date-only strings are left alone
+    expect(row.dateOnly).toBe('2025-07-25');
+    expect(row.text).toBe('not a date');
+  });
+
+  test('lowercases GUIDs', () => {
+    const row = normalizeResultRow({ Id: 'A1B2C3D4-1111-2222-3333-444455556666', Code: 'ABC' });
+    expect(row).toEqual({ id: 'a1b2c3d4-1111-2222-3333-444455556666', code: 'ABC' });
+  });
+
+  test('applies explicit column types', () => {
+    const row = normalizeResultRow(
+      { Active: 1, Deleted: 'false', Price: '12.50', Total: '9007199254740993', Day: '2025-07-25' },
+      { types: { Active: 'boolean', deleted: 'boolean', Price: 'decimal', Total: 'bigint', Day: 'date' } }
+    );
+
+    expect(row).toEqual({
+      active: true,
+      deleted: false,
+      price: 12.5,
+      total: '9007199254740993',
+      day: '2025-07-25T00:00:00.000Z'
+    });
+  });
+
+  test('looks up column types from registry tables', () => {
+    const row = normalizeResultRow(
+      { KnowledgeSourceId: 'ABCDEF00-1111-2222-3333-444455556666', Active: 0, Detect: '1', DetectInterval: '30' },
+      { table: 'KnowledgeSources' }
+    );
+
+    expect(row).toEqual({
+      knowledgeSourceId: 'abcdef00-1111-2222-3333-444455556666',
+      active: false,
+      detect: true,
+      detectInterval: 30
+    });
+  });
+
+  test('nests flattened prefixed columns into objects', () => {
+    const row = normalizeResultRow(
+      { Prompt2: 'Summarize', Prompt2Model: 'gpt-4o', Prompt2MaxTokens: 500, Prompt20Model: 'other', Name: 'x' },
+      { nest: [{ prefix: 'Prompt2', self: 'template' }] }
+    );
+
+    expect(row).toEqual({
+      prompt2: { template: 'Summarize', model: 'gpt-4o', maxTokens: 500 },
+      prompt20Model: 'other',
+      name: 'x'
+    });
+  });
+
+  test('nest rules accept plain prefixes and custom keys', () => {
+    expect(normalizeResultRow({ Source: 'a', SourceUrl: 'b' }, { nest: ['Source'] }))
+      .toEqual({ source: { value: 'a', url: 'b' } });
+    expect(normalizeResultRow({ SourceUrl: 'b' }, { nest: [{ prefix: 'Source', key: 'src' }], keyCase: 'pascal' }))
+      .toEqual({ src: { Url: 'b' } });
+  });
+
+  test('rejects non-object rows', () => {
+    expect(() => normalizeResultRow(null)).toThrow('Row must be an object');
+  });
+});
+
+describe('normalizeResultSet', () => {
+  test('normalizes plain rows', () => {
+    expect(normalizeResultSet([{ A: 1 }, { A: 2 }])).toEqual([{ a: 1 }, { a: 2 }]);
+  });
+
+  test('normalizes n8n items and pairs them with their input index', () => {
+    const result = normalizeResultSet([
+      { json: { Name: 'a' } },
+      { json: { Name: 'b' }, pairedItem: { item: 7 } }
+    ]);
+
+    expect(result).toEqual([
+      { json: { name: 'a' }, pairedItem: { item: 0 } },
+      { json: { name: 'b' }, pairedItem: { item: 1 } }
+    ]);
+  });
+
+  test('replaces pairing that points at the upstream node', () => {
+    const items = [2, 0, 1].map(upstream => ({ json: { Id: upstream }, pairedItem: { item: upstream } }));
+
+    expect(normalizeResultSet(items).map(item => item.pairedItem)).toEqual([{ item: 0 }, { item: 1 }, { item: 2 }]);
+  });
+
+  test('is available on the dataTransform namespace', () => {
+    expect(dataTransform.normalizeResultSet).toBe(normalizeResultSet);
+    expect(() => normalizeResultSet('rows')).toThrow('Rows must be an array');
+  });
+});
+
+describe('groupRows', () => {
+  const joinedRows = [
+    { SourceId: 1, SourceName: 'Feed A', OperationId: 10, OperationName: 'Summarize', PromptId: 100, Prompt: 'p1' },
+    { SourceId: 1, SourceName: 'Feed A', OperationId: 10, OperationName: 'Summarize', PromptId: 101, Prompt: 'p2' },
+    { SourceId: 1, SourceName: 'Feed A', OperationId: 11, OperationName: 'Tag', PromptId: 100, Prompt: 'p1' },
+    { SourceId: 2, SourceName: 'Feed B', OperationId: null, OperationName: null, PromptId: null, Prompt: null }
+  ];
+
+  const options = {
+    key: 'SourceId',
+    parentFields: { id: 'SourceId', name: 'SourceName' },
+    children: {
+      operations: {
+        key: 'OperationId',
+        fields: { id: 'OperationId', name: 'OperationName' },
+        children: {
+          prompts: { key: 'PromptId', fields: { id: 'PromptId', text: 'Prompt' } }
+        }
+      }
+    }
+  };
+
+  test('folds joined rows into nested documents', () => {
+    const result = groupRows(joinedRows, options);
+
+    expect(result.map(item => item.json)).toEqual([
+      {
+        id: 1,
+        name: 'Feed A',
+        operations: [
+          { id: 10, name: 'Summarize', prompts: [{ id: 100, text: 'p1' }, { id: 101, text: 'p2' }] },
+          { id: 11, name: 'Tag', prompts: [{ id: 100, text: 'p1' }] }
+        ]
+      },
+      // LEFT JOIN rows with a null child key produce an empty collection
+      { id: 2, name: 'Feed B', operations: [] }
+    ]);
+  });
+
+  test('references every contributing row in pairedItem', () => {
+    const result = groupRows(joinedRows.map(json => ({ json })), options);
+
+    expect(result[0].pairedItem).toEqual([{ item: 0 }, { item: 1 }, { item: 2 }]);
+    expect(result[1].pairedItem).toEqual([{ item: 3 }]);
+  });
+
+  test('deduplicates keyless children by their field values', () => {
+    const result = groupRows(
+      [{ Id: 1, Tag: 'a' }, { Id: 1, Tag: 'a' }, { Id: 1, Tag: 'b' }, { Id: 1, Tag: null }],
+      { key: 'Id', children: { tags: { fields: ['Tag'] } } }
+    );
+
+    expect(result[0].json).toEqual({ Id: 1, tags: [{ Tag: 'a' }, { Tag: 'b' }] });
+  });
+
+  test('supports composite keys, function fields and default parent fields', () => {
+    const result = groupRows(
+      [
+        { Tenant: 't1', Id: 1, Label: 'x', ChildId: 5, ChildName: 'c' },
+        { Tenant: 't2', Id: 1, Label: 'y', ChildId: 6, ChildName: 'd' }
+      ],
+      { key: ['Tenant', 'Id'], children: { items: { key: 'ChildId', fields: row => ({ name: row.ChildName.toUpperCase() }) } } }
+    );
+
+    expect(result.map(item => item.json)).toEqual([
+      { Tenant: 't1', Id: 1, Label: 'x', ChildId: 5, ChildName: 'c', items: [{ name: 'C' }] },
+      { Tenant: 't2', Id: 1, Label: 'y', ChildId: 6, ChildName: 'd', items: [{ name: 'D' }] }
+    ]);
+  });
+
+  test('excludes child columns from default parent fields', () => {
+    const result = groupRows(joinedRows, { key: 'SourceId', children: options.children });
+    expect(Object.keys(result[0].json)).toEqual(['SourceId', 'SourceName', 'operations']);
+  });
+
+  test('validates input', () => {
+    expect(() => groupRows('rows', { key: 'Id' })).toThrow('Rows must be an array');
+    expect(() => groupRows([], {})).toThrow('Group key is required');
+    expect(() => groupRows([{ Id: null }], { key: 'Id' })).toThrow('Row 0 has no value for the group key');
+  });
+});
+
+describe('dedupeItems', () => {
+  const episodes = [
+    { guid: 'EP-1', title: 'Pilot', publicationDate: '2025-01-01', audioUrl: null },
+    { guid: 'ep-1 ', title: 'Pilot (re-upload)', publicationDate: '2025-01-02' },
+    { guid: 'EP-9', title: ' pilot', publicationDate: '2025-01-01', audioUrl: 'https://x/1.mp3' },
+    { guid: 'EP-2', title: 'Second', publicationDate: '2025-01-08' },
+    { guid: null, title: 'Third', publicationDate: '2025-01-15' }
+  ].map(json => ({ json }));
+  const keys = [['guid'], ['title', 'publicationDate']];
+
+  test('keeps the first item of each duplicate group and reports dropped items', () => {
+    const { items, dropped, stats } = dedupeItems(episodes, { keys });
+
+    expect(items.map(item => item.json.title)).toEqual(['Pilot', 'Second', 'Third']);
+    expect(items[0].pairedItem).toEqual([{ item: 0 }, { item: 1 }, { item: 2 }]);
+    expect(items[1].pairedItem).toEqual([{ item: 3 }]);
+    expect(dropped).toEqual([
+      {
+        itemIndex: 1,
+        keptIndex: 0,
+        key: ['guid'],
+        value: { guid: 'ep-1 ' },
+        reason: 'Duplicate of item 0 (matched item 0 on guid="ep-1 ")'
+      },
+      {
+        itemIndex: 2,
+        keptIndex: 0,
+        key: ['title', 'publicationDate'],
+        value: { title: ' pilot', publicationDate: '2025-01-01' },
+        reason: 'Duplicate of item 0 (matched item 0 on title=" pilot", publicationDate="2025-01-01")'
+      }
+    ]);
+    expect(stats).toEqual({ input: 5, output: 3, dropped: 2, duplicateGroups: 1 });
+  });
+
+  test('last strategy keeps the final duplicate', () => {
+    const { items, dropped } = dedupeItems(episodes, { keys, strategy: 'last' });
+
+    expect(items[0].json.guid).toBe('EP-9');
+    expect(items[0].pairedItem).toEqual([{ item: 0 }, { item: 1 }, { item: 2 }]);
+    expect(dropped.map(entry => [entry.itemIndex, entry.keptIndex])).toEqual([[0, 2], [1, 2]]);
+  });
+
+  test('merge strategy fills empty fields and pairs with every duplicate', () => {
+    const { items, dropped } = dedupeItems(episodes, { keys, strategy: 'merge' });
+
+    expect(items[0].json).toEqual({ guid: 'EP-1', title: 'Pilot', publicationDate: '2025-01-01', audioUrl: 'https://x/1.mp3' });
+    expect(items[0].pairedItem).toEqual([{ item: 0 }, { item: 1 }, { item: 2 }]);
+    expect(dropped[0].reason).toMatch(/^Merged into item 0/);
+  });
+
+  test('supports custom merge functions and key normalization', () => {
+    const { items } = dedupeItems(
+      [{ url: 'https://x.com/a?utm=1' }, { url: 'https://x.com/a' }, { url: 'https://x.com/b' }],
+      {
+        keys: ['url'],
+        normalizeKey: value => value.split('?')[0],
+        strategy: rows => ({ url: rows[rows.length - 1].url, copies: rows.length })
+      }
+    );
+
+    expect(items.map(item => item.json)).toEqual([
+      { url: 'https://x.com/a', copies: 2 },
+      { url: 'https://x.com/b', copies: 1 }
+    ]);
+    expect(items[0].pairedItem).toEqual([{ item: 0 }, { item: 1 }]);
+  });
+
+  test('validates options', () => {
+    expect(() => dedupeItems('x', { keys })).toThrow('Items must be an array');
+    expect(() => dedupeItems([], {})).toThrow('At least one non-empty key set is required');
+    expect(() => dedupeItems([], { keys, strategy: 'random' })).toThrow("Invalid strategy 'random'");
+  });
+});
@@ -4,9 +4,18 @@ const {
   extractFileExtension,
   generateSafeFileName,
   validateAudioUrl,
+  validateMediaUrl,
   getMimeTypeFromExtension,
+  getExtensionFromMimeType,
+  lookupMimeType,
+  getFileCategory,
+  MIME_TYPES,
+  FILE_CATEGORIES,
   parseContentLength,
   validateFileSize,
+  detectFileType,
+  verifyDownloadedAudio,
+  createBinaryData,
   file
 } = require('../index');
 
@@ -176,7 +185,14 @@ describe('File Utilities', () => {
 
     test('should return null for unknown extensions', () => {
       expect(getMimeTypeFromExtension('unknown')).toBe(null);
-      expect(getMimeTypeFromExtension('txt')).toBe(null);
+      expect(getMimeTypeFromExtension('xyz')).toBe(null);
+    });
+
+    test('should cover non-audio types', () => {
+      expect(getMimeTypeFromExtension('txt')).toBe('text/plain');
+      expect(getMimeTypeFromExtension('jpg')).toBe('image/jpeg');
+      expect(getMimeTypeFromExtension('mp4')).toBe('video/mp4');
+      expect(getMimeTypeFromExtension('webm')).toBe('audio/webm');
     });
 
     test('should handle null/undefined input', () => {
@@ -249,4 +265,188 @@ describe('File Utilities', () => {
       expect(validateFileSize(2001, limits)).toBe(false); // Just above max
     });
   });
-}); 
\ No newline at end of file
+
+  // Leading bytes of each format; the rest of the file is padding
+  const sample = (...parts) => Buffer.concat([
+    ...parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))),
+    Buffer.alloc(64)
+  ]);
+
+  const SAMPLES = {
+    id3: sample('ID3', [0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]),
+    mp3Frame: sample([0xFF, 0xFB, 0x90, 0x64]),
+    m4a: sample([0x00, 0x00, 0x00, 0x20], 'ftypM4A ', [0x00, 0x00, 0x00, 0x00]),
+    mp4: sample([0x00, 0x00, 0x00, 0x18], 'ftypisom'),
+    wav: sample('RIFF', [0x24, 0x08, 0x00, 0x00], 'WAVEfmt '),
+    ogg: sample('OggS', [0x00, 0x02]),
+    opus: sample('OggS', Buffer.alloc(24), 'OpusHead'),
+    flac: sample('fLaC', [0x00, 0x00, 0x00, 0x22]),
+    adts: sample([0xFF, 0xF1, 0x50, 0x80]),
+    webm: sample([0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x82, 0x84], 'webm'),
+    png: sample([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    jpeg: sample([0xFF, 0xD8, 0xFF, 0xE0]),
+    gif: sample('GIF89a'),
+    pdf: sample('%PDF-1.7'),
+    html: Buffer.from('\n  <!DOCTYPE html><html><head><title>404 Not Found</title></head></html>')
+  };
+
+  describe('detectFileType', () => {
+    test.each([
+      ['id3', 'mp3', 'audio/mpeg'],
+      ['mp3Frame', 'mp3', 'audio/mpeg'],
+      ['m4a', 'm4a', 'audio/mp4'],
+      ['mp4', 'mp4', 'video/mp4'],
+      ['wav', 'wav', 'audio/wav'],
+      ['ogg', 'ogg', 'audio/ogg'],
+      ['opus', 'opus', 'audio/opus'],
+      ['flac', 'flac', 'audio/flac'],
+      ['adts', 'aac', 'audio/aac'],
+      ['webm', 'webm', 'video/webm'],
+      ['png', 'png', 'image/png'],
+      ['jpeg', 'jpg', 'image/jpeg'],
+      ['gif', 'gif', 'image/gif'],
+      ['pdf', 'pdf', 'application/pdf'],
+      ['html', 'html', 'text/html']
+    ])('detects %s', (name, extension, mimeType) => {
+      expect(detectFileType(SAMPLES[name])).toMatchObject({ extension, mimeType });
+    });
+
+    test('looks past the ID3 tag for AAC streams', () => {
+      const tagged = Buffer.concat([Buffer.from('ID3'), Buffer.from([0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x02]), Buffer.alloc(2), SAMPLES.adts]);
+      expect(detectFileType(tagged).extension).toBe('aac');
+    });
+
+    test('returns null for unknown content and rejects non-buffers', () => {
+      expect(detectFileType(Buffer.from('plain text transcript'))).toBeNull();
+      expect(detectFileType(Buffer.alloc(0))).toBeNull();
+      expect(() => detectFileType('ID3')).toThrow('detectFileType requires a Buffer or Uint8Array');
+    });
+  });
+
+  describe('verifyDownloadedAudio', () => {
+    test('accepts audio matching its declared type', () => {
+      const result = verifyDownloadedAudio(SAMPLES.id3, { url: 'https://cdn.example.com/ep101.mp3?x=1', mimeType: 'audio/mpeg' });
+
+      expect(result).toMatchObject({ valid: true, mismatches: [], extension: 'mp3', mimeType: 'audio/mpeg', reason: null });
+    });
+
+    test('flags an HTML error page served from an .mp3 URL', () => {
+      const result = verifyDownloadedAudio(SAMPLES.html, { url: 'https://cdn.example.com/ep101.mp3' });
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Content is HTML, not audio');
+    });
+
+    test('flags M4A content labelled audio/mpeg', () => {
+      const result = verifyDownloadedAudio(SAMPLES.m4a, { url: 'https://cdn.example.com/ep101.mp3', mimeType: 'audio/mpeg' });
+
+      expect(result.valid).toBe(true);
+      expect(result.extension).toBe('m4a');
+      expect(result.mismatches).toEqual([
+        { field: 'extension', declared: 'mp3', detected: 'm4a' },
+        { field: 'mimeType', declared: 'audio/mpeg', detected: 'audio/mp4' }
+      ]);
+      expect(result.reason).toBe('Declared extension mp3 but content is m4a; Declared mimeType audio/mpeg but content is audio/mp4');
+    });
+
+    test('treats related types and generic MIME types as matching', () => {
+      expect(verifyDownloadedAudio(SAMPLES.mp4, { extension: 'm4a', mimeType: 'audio/x-m4a' }).mismatches).toEqual([]);
+      expect(verifyDownloadedAudio(SAMPLES.flac, { mimeType: 'application/octet-stream' }).mismatches).toEqual([]);
+    });
+
+    test('reads n8n binary data objects', () => {
+      const binaryData = createBinaryData(SAMPLES.wav, { fileName: 'episode.mp3' });
+      const result = verifyDownloadedAudio(binaryData);
+
+      expect(result.declared).toEqual({ mimeType: 'audio/mpeg', extension: 'mp3' });
+      expect(result.mismatches.map(mismatch => mismatch.field)).toEqual(['extension', 'mimeType']);
+    });
+
+    test('reports unrecognized content', () => {
+      expect(verifyDownloadedAudio(Buffer.from('nothing here'))).toMatchObject({ valid: false, reason: 'Content type not recognized' });
+    });
+
+    test('is available on the file namespace', () => {
+      expect(file.verifyDownloadedAudio).toBe(verifyDownloadedAudio);
+    });
+  });
+
+  describe('MIME type registry', () => {
+    test('categorizes every entry and keeps AUDIO_MIME_TYPES in sync', () => {
+      for (const entry of Object.values(MIME_TYPES)) {
+        expect(FILE_CATEGORIES).toContain(entry.category);
+        expect(entry.extensions.length).toBeGreaterThan(0);
+      }
+      expect(MIME_TYPES['image/svg+xml']).toEqual({ category: 'image', extensions: ['svg'], charset: 'utf-8' });
+      expect(Object.keys(AUDIO_MIME_TYPES)).toEqual(
+        Object.keys(MIME_TYPES).filter(mimeType => MIME_TYPES[mimeType].category === 'audio')
+      );
+    });
+
+    test('getExtensionFromMimeType ignores case and parameters', () => {
+      expect(getExtensionFromMimeType('Text/VTT; charset=utf-8')).toBe('vtt');
+      expect(getExtensionFromMimeType('application/pdf')).toBe('pdf');
+      expect(getExtensionFromMimeType('application/x-unknown')).toBe(null);
+      expect(getExtensionFromMimeType(null)).toBe(null);
+    });
+
+    test('lookupMimeType accepts MIME types, extensions, file names and URLs', () => {
+      const srt = { mimeType: 'application/x-subrip', extension: 'srt', category: 'text', charset: 'utf-8' };
+
+      expect(lookupMimeType('application/x-subrip')).toEqual(srt);
+      expect(lookupMimeType('.SRT')).toEqual(srt);
+      expect(lookupMimeType('Episode 101.srt')).toEqual(srt);
+      expect(lookupMimeType('https://cdn.example.com/ep101.mp3?token=abc')).toMatchObject({ mimeType: 'audio/mpeg', charset: null });
+      expect(lookupMimeType('readme')).toBe(null);
+    });
+
+    test('getFileCategory', () => {
+      expect(getFileCategory('audio/x-m4a')).toBe('audio');
+      expect(getFileCategory('cover.webp')).toBe('image');
+      expect(getFileCategory('text/html; charset=utf-8')).toBe('document');
+      expect(getFileCategory('archive.tar.gz')).toBe('archive');
+      expect(getFileCategory('video/x-flv')).toBe('video');
+      expect(getFileCategory('application/octet-stream')).toBe(null);
+      expect(getFileCategory('')).toBe(null);
+    });
+
+    test('detectFileType categories match the registry', () => {
+      expect(detectFileType(SAMPLES.html).category).toBe(getFileCategory('text/html'));
+    });
+  });
+
+  describe('validateMediaUrl', () => {
+    test('accepts audio and video by default', () => {
+      expect(validateMediaUrl('https://example.com/episode.mp3')).toBe(true);
+      expect(validateMediaUrl('https://example.com/episode.mov')).toBe(true);
+      expect(validateMediaUrl('https://example.com/cover.jpg')).toBe(false);
+      expect(validateMediaUrl('https://example.com/episode')).toBe(false);
+      expect(validateMediaUrl('not-a-url')).toBe(false);
+    });
+
+    test('filters by category', () => {
+      expect(validateMediaUrl('https://example.com/episode.mp4', { categories: ['audio'] })).toBe(false);
+      expect(validateMediaUrl('https://example.com/transcript.vtt', { categories: ['text'] })).toBe(true);
+      expect(validateMediaUrl('https://example.com/paper.pdf', { categories: ['document'] })).toBe(true);
+    });
+
+    test('uses the last known extension in redirect URLs', () => {
+      const url = 'https://dts.podtrac.com/redirect.mp3/cdn.example.com/shows/ep101';
+
+      expect(validateMediaUrl(url, { categories: ['audio'] })).toBe(true);
+      expect(validateMediaUrl('https://example.com/redirect.mp3/cdn.example.com/ep101.mp4', { categories: ['audio'] })).toBe(false);
+    });
+
+    test('treats YouTube and Vimeo pages as video', () => {
+      expect(validateMediaUrl('https://www.youtube.com/watch?v=abc123')).toBe(true);
+      expect(validateMediaUrl('https://youtu.be/abc123', { categories: ['video'] })).toBe(true);
+      expect(validateMediaUrl('https://vimeo.com/123456', { categories: ['audio'] })).toBe(false);
+    });
+
+    test('validateAudioUrl is the audio-only form', () => {
+      expect(validateAudioUrl('https://example.com/episode.mp4')).toBe(false);
+      expect(validateMediaUrl('https://example.com/audio.flac', { extensions: ['flac'] })).toBe(true);
+      expect(file.validateMediaUrl).toBe(validateMediaUrl);
+    });
+  });
+}); 
@@ -0,0 +1,12 @@
+// Fixture Code node for 'Run Once for All Items' mode
+const { splitResults, processItemsWithPairing } = require('sww-n8n-helpers');
+const _ = require('lodash');
+
+$execution.customData.set('count', $input.all().length);
+
+const result = await processItemsWithPairing($input.all(), ($item, $json) => {
+  if (!$json.name) throw new Error('name is required');
+  return { name: _.startCase($json.name) };
+}, {}, { logErrors: false });
+
+return splitResults(result);
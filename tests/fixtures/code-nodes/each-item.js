@@ -0,0 +1,13 @@
+// Fixture Code node for 'Run Once for Each Item' mode
+const staticData = $getWorkflowStaticData('global');
+staticData.seen = (staticData.seen || 0) + 1;
+
+const source = $('Sources').item.json;
+console.log(`Item ${$itemIndex}: ${$json.name}`);
+
+return {
+  name: $json.name.toUpperCase(),
+  source: source.label,
+  executionId: $execution.id,
+  seen: staticData.seen
+};
@@ -0,0 +1,7 @@
+// Fixture Code node using the legacy $item(index) accessor
+return $input.all().map((_item, index) => ({
+  json: {
+    name: $item(index).$json.name,
+    source: $item(index).$node.Sources.json.label
+  }
+}));
@@ -0,0 +1,277 @@
+// tests/helpers/code-node-runtime.js
+// Local emulator for the n8n Code node runtime
+// Loads a Code-node script and runs it against fixture data describing upstream node outputs and pairing
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const MODES = ['runOnceForAllItems', 'runOnceForEachItem'];
+
+// Globals injected into every script, in wrapper parameter order
+const GLOBAL_NAMES = [
+  '$input', '$', '$json', '$item', '$itemIndex', '$node', '$workflow', '$execution',
+  '$getWorkflowStaticData', '$now', '$today', 'require', 'console'
+];
+
+/**
+ * Deep-copy fixture data so scripts that mutate their input cannot leak into other tests
+ * @private
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Accept { json } items or bare objects, as n8n does for Code-node input and output
+ * @private
+ */
+function toItem(entry, index) {
+  if (entry && typeof entry === 'object' && !Array.isArray(entry) && 'json' in entry) {
+    return entry;
+  }
+  if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+    return { json: entry };
+  }
+  throw new Error(`Item ${index} must be an object, got ${Array.isArray(entry) ? 'array' : typeof entry}`);
+}
+
+/**
+ * Build the $('Node Name') accessor for one upstream node
+ * pairing maps each current input index to the upstream item index itemMatching() returns
+ * (default: the same index).
+ * @private
+ */
+function createNodeProxy(nodeName, fixture, context) {
+  const items = (fixture.items || []).map(toItem);
+  const pairing = fixture.pairing || null;
+  const executed = fixture.executed !== false;
+
+  const itemMatching = (itemIndex) => {
+    if (!Number.isInteger(itemIndex)) {
+      throw new Error(`itemMatching() of '${nodeName}' requires an item index`);
+    }
+    const target = pairing ? pairing[itemIndex] : itemIndex;
+    return target === undefined || target === null ? undefined : items[target];
+  };
+
+  return {
+    all: () => items,
+    first: () => items[0],
+    last: () => items[items.length - 1],
+    itemMatching,
+    get item() {
+      if (context.mode !== 'runOnceForEachItem') {
+        throw new Error(`Can't use .item here: '${nodeName}' .item is only available in 'Run Once for Each Item' mode. Use .itemMatching(index) instead`);
+      }
+      return itemMatching(context.itemIndex);
+    },
+    isExecuted: executed,
+    params: fixture.params || {}
+  };
+}
+
+/**
+ * Create a require() for the script: sww-n8n-helpers resolves to this repository,
+ * explicit module overrides come next, then normal resolution from the repository root.
+ * @private
+ */
+function createRequire(modules) {
+  const repoRequire = require('module').createRequire(path.join(REPO_ROOT, 'index.js'));
+
+  return (name) => {
+    if (Object.prototype.hasOwnProperty.call(modules, name)) {
+      return modules[name];
+    }
+    if (name === 'sww-n8n-helpers') {
+      return repoRequire('./index.js');
+    }
+    return repoRequire(name);
+  };
+}
+
+/**
+ * Console that records every call instead of printing it (unless silent is false)
+ * @private
+ */
+function createConsole(logs, silent) {
+  const record = (level) => (...args) => {
+    logs.push({ level, message: args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ') });
+    if (!silent) {
+      console[level](...args);
+    }
+  };
+  return { log: record('log'), info: record('info'), warn: record('warn'), error: record('error'), debug: record('debug') };
+}
+
+/**
+ * Compile a Code-node script into an async function taking the n8n globals
+ * Code-node scripts use top-level await and return, so they are wrapped the same way n8n does.
+ * @private
+ */
+function compileScript(code, filename) {
+  const wrapped = `(async function (${GLOBAL_NAMES.join(', ')}) {\n${code}\n})`;
+  return vm.runInThisContext(wrapped, { filename, lineOffset: -1 });
+}
+
+/**
+ * Load a fixture file (JSON) relative to tests/fixtures, or pass an object through
+ * @param {string|Object} fixture - Fixture path or object
+ * @returns {Object} Fixture object
+ */
+function loadFixture(fixture) {
+  if (typeof fixture !== 'string') {
+    return fixture || {};
+  }
+  const fixturePath = path.isAbsolute(fixture) ? fixture : path.join(__dirname, '..', 'fixtures', fixture);
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+}
+
+/**
+ * Run an n8n Code-node script against fixture data
+ * @param {string} scriptPath - Script path (absolute or relative to the repository root)
+ * @param {string|Object} fixture - Fixture object or JSON path under tests/fixtures:
+ *   { mode, input: [items], nodes: { 'Node Name': { items, pairing, executed } },
+ *     staticData: { global, node }, execution: { id, mode }, workflow: { id, name, active }, node: { name } }
+ * @param {Object} options - Runtime options
+ * @param {string} options.mode - Overrides fixture.mode ('runOnceForAllItems' default, or 'runOnceForEachItem')
+ * @param {Object} options.modules - Module overrides for require()
+ * @param {boolean} options.silent - Capture console output without printing it (default: true)
+ * @param {Object} options.staticData - Static data to start from (e.g. from a previous run)
+ * @returns {Promise<Object>} { items, logs, staticData, customData }
+ */
+async function runCodeNode(scriptPath, fixture = {}, options = {}) {
+  const data = clone(loadFixture(fixture));
+  const { modules = {}, silent = true } = options;
+  const mode = options.mode || data.mode || 'runOnceForAllItems';
+
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid mode '${mode}'. Use ${MODES.join(' or ')}`);
+  }
+
+  const filename = path.isAbsolute(scriptPath) ? scriptPath : path.join(REPO_ROOT, scriptPath);
+  const script = compileScript(fs.readFileSync(filename, 'utf8'), filename);
+
+  const inputItems = (data.input || []).map(toItem);
+  const staticData = options.staticData || { global: {}, node: {}, ...(data.staticData || {}) };
+  const customData = {};
+  const logs = [];
+  const context = { mode, itemIndex: 0 };
+
+  const nodes = new Map(
+    Object.entries(data.nodes || {}).map(([name, nodeFixture]) => [name, createNodeProxy(name, nodeFixture, context)])
+  );
+
+  const $ = (nodeName) => {
+    if (!nodes.has(nodeName)) {
+      throw new Error(`Referenced node doesn't exist: '${nodeName}'. Add it to the fixture's nodes`);
+    }
+    return nodes.get(nodeName);
+  };
+
+  const $input = {
+    all: () => inputItems,
+    first: () => inputItems[0],
+    last: () => inputItems[inputItems.length - 1],
+    get item() {
+      if (mode !== 'runOnceForEachItem') {
+        throw new Error("Can't use $input.item in 'Run Once for All Items' mode. Use $input.all()");
+      }
+      return inputItems[context.itemIndex];
+    },
+    params: data.params || {}
+  };
+
+  const $execution = {
+    id: 'test-execution',
+    mode: 'test',
+    resumeUrl: null,
+    ...(data.execution || {}),
+    customData: {
+      set: (key, value) => { customData[key] = String(value); },
+      get: (key) => customData[key],
+      setAll: (values) => Object.assign(customData, values),
+      getAll: () => ({ ...customData })
+    }
+  };
+
+  const $getWorkflowStaticData = (type) => {
+    if (type !== 'global' && type !== 'node') {
+      throw new Error("Static data type must be 'global' or 'node'");
+    }
+    staticData[type] = staticData[type] || {};
+    return staticData[type];
+  };
+
+  // Legacy $item(index): a data accessor for another input item, not the current item
+  const $item = (itemIndex) => {
+    if (!Number.isInteger(itemIndex) || itemIndex < 0) {
+      throw new Error('$item() requires an item index');
+    }
+    const item = inputItems[itemIndex];
+    const $node = {};
+    for (const [name, node] of nodes) {
+      Object.defineProperty($node, name, { enumerable: true, get: () => node.itemMatching(itemIndex) });
+    }
+    return { $json: item && item.json, $binary: item && item.binary, $node };
+  };
+
+  const baseGlobals = {
+    $input,
+    $,
+    $item,
+    $node: { name: 'Code', ...(data.node || {}) },
+    $workflow: { id: 'test-workflow', name: 'Test Workflow', active: false, ...(data.workflow || {}) },
+    $execution,
+    $getWorkflowStaticData,
+    $now: new Date(),
+    $today: new Date(new Date().toISOString().slice(0, 10)),
+    require: createRequire(modules),
+    console: createConsole(logs, silent)
+  };
+
+  const run = (itemIndex) => {
+    context.itemIndex = itemIndex;
+    const item = mode === 'runOnceForEachItem' ? inputItems[itemIndex] : undefined;
+    const globals = {
+      ...baseGlobals,
+      $json: item ? item.json : undefined,
+      $itemIndex: mode === 'runOnceForEachItem' ? itemIndex : undefined
+    };
+    return script(...GLOBAL_NAMES.map(name => globals[name]));
+  };
+
+  let items;
+  if (mode === 'runOnceForAllItems') {
+    const output = await run(0);
+    if (output === undefined || output === null) {
+      items = [];
+    } else if (!Array.isArray(output)) {
+      throw new Error("Code doesn't return items properly. Return an array of objects in 'Run Once for All Items' mode");
+    } else {
+      // A nested array means a node with several outputs ([[...], [...]])
+      items = output.length > 0 && output.every(Array.isArray)
+        ? output.map(branch => branch.map(toItem))
+        : output.map(toItem);
+    }
+  } else {
+    items = [];
+    for (let index = 0; index < inputItems.length; index++) {
+      const output = await run(index);
+      if (output === undefined || output === null) continue;
+      if (Array.isArray(output)) {
+        throw new Error(`Code doesn't return a single object for item ${index}. Return one object in 'Run Once for Each Item' mode`);
+      }
+      const item = toItem(output, index);
+      items.push({ ...item, pairedItem: item.pairedItem ?? { item: index } });
+    }
+  }
+
+  return { items, logs, staticData, customData };
+}
+
+module.exports = {
+  runCodeNode,
+  loadFixture
+};
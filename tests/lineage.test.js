@@ -0,0 +1,189 @@
+// tests/lineage.test.js
+const {
+  normalizePairedItem,
+  traceLineage,
+  checkLineage,
+  assertPairing,
+  processItemsWithPairing,
+  lineage
+} = require('../index');
+
+// Sources → Episodes → Merge (input 1 is Filter) → Insert
+const fixture = {
+  nodes: {
+    'Ingestion Sources': {
+      items: [{ json: { knowledgeSourceId: 'ks-1' } }, { json: { knowledgeSourceId: 'ks-2' } }]
+    },
+    'Podcast Episodes': {
+      source: ['Ingestion Sources'],
+      items: [
+        { json: { guid: 'a' }, pairedItem: 0 },
+        { json: { guid: 'b' }, pairedItem: { item: 1 } },
+        { json: { guid: 'c' }, pairedItem: [{ item: 1, input: 0 }] }
+      ]
+    },
+    Filter: {
+      source: ['Podcast Episodes'],
+      items: [{ json: { guid: 'a' }, pairedItem: 0 }, { json: { guid: 'c' }, pairedItem: 2 }]
+    },
+    Merge: {
+      source: ['Podcast Episodes', 'Filter'],
+      items: [
+        { json: { guid: 'a' }, pairedItem: [{ item: 0 }, { item: 0, input: 1 }] },
+        { json: { guid: 'mixed' }, pairedItem: [{ item: 0 }, { item: 1 }] }
+      ]
+    },
+    Insert: {
+      source: ['Merge'],
+      items: [
+        { json: { id: 1 }, pairedItem: 0 },
+        { json: { id: 2 } },
+        { json: { id: 3 }, pairedItem: 5 },
+        { json: { id: 4 }, pairedItem: { item: 0, input: 2 } },
+        { json: { id: 5 }, pairedItem: 'first' }
+      ]
+    }
+  }
+};
+
+describe('normalizePairedItem', () => {
+  test('accepts number, object and array forms', () => {
+    expect(normalizePairedItem(2)).toEqual([{ item: 2, input: 0 }]);
+    expect(normalizePairedItem({ item: 1, input: 1 })).toEqual([{ item: 1, input: 1 }]);
+    expect(normalizePairedItem([0, { item: 3 }])).toEqual([{ item: 0, input: 0 }, { item: 3, input: 0 }]);
+    expect(normalizePairedItem(undefined)).toEqual([]);
+  });
+
+  test('rejects values that are not item references', () => {
+    expect(() => normalizePairedItem('0')).toThrow('Invalid pairedItem "0"');
+    expect(() => normalizePairedItem({ item: -1 })).toThrow('Invalid pairedItem');
+    expect(() => normalizePairedItem({ item: 0, input: 'a' })).toThrow('input must be a non-negative integer');
+  });
+});
+
+describe('traceLineage', () => {
+  test('follows pairing back through every input', () => {
+    const { item, ancestors, issues } = traceLineage(fixture, 'Merge', 0);
+
+    expect(ancestors).toEqual({ 'Podcast Episodes': [0], Filter: [0], 'Ingestion Sources': [0] });
+    expect(issues).toEqual([]);
+    expect(item.parents.map(parent => parent.node)).toEqual(['Podcast Episodes', 'Filter']);
+    expect(item.parents[1].parents[0].json).toEqual({ guid: 'a' });
+  });
+
+  test('shows when itemMatching resolves to several upstream items', () => {
+    const { ancestors } = traceLineage(fixture, 'Merge', 1);
+
+    expect(ancestors['Ingestion Sources']).toEqual([0, 1]);
+  });
+
+  test('reads n8n execution exports', () => {
+    const execution = {
+      data: {
+        resultData: {
+          runData: {
+            Trigger: [{ source: [null], data: { main: [[{ json: { a: 1 } }, { json: { a: 2 } }]] } }],
+            Switch: [{
+              source: [{ previousNode: 'Trigger' }],
+              data: { main: [[{ json: { a: 1 }, pairedItem: { item: 0 } }], [{ json: { a: 2 }, pairedItem: { item: 1 } }]] }
+            }],
+            Code: [{
+              source: [{ previousNode: 'Switch', previousNodeOutput: 1 }],
+              data: { main: [[{ json: { b: 2 }, pairedItem: { item: 0 } }]] }
+            }]
+          }
+        }
+      }
+    };
+
+    const { item, ancestors } = traceLineage(execution, 'Code', 0);
+
+    expect(ancestors).toEqual({ Switch: [0], Trigger: [1] });
+    expect(item.parents[0]).toMatchObject({ node: 'Switch', output: 1, itemIndex: 0 });
+    expect(checkLineage(execution).valid).toBe(true);
+  });
+
+  test('validates the node and item', () => {
+    expect(() => traceLineage(fixture, 'Missing', 0)).toThrow("Node 'Missing' is not in the lineage source");
+    expect(() => traceLineage(fixture, 'Merge', 2)).toThrow("Item 2 is out of range for 'Merge' (2 items)");
+    expect(() => traceLineage({}, 'Merge', 0)).toThrow('Lineage source has no runData or nodes');
+  });
+});
+
+describe('checkLineage', () => {
+  test('reports missing, out-of-range, invalid and ambiguous pairing', () => {
+    const { valid, issues, checked } = checkLineage(fixture);
+
+    expect(valid).toBe(false);
+    expect(checked).toBe(14);
+    expect(issues.map(issue => [issue.node, issue.itemIndex, issue.type])).toEqual([
+      ['Merge', 1, 'ambiguous'],
+      ['Merge', 1, 'ambiguous'],
+      ['Insert', 1, 'missing'],
+      ['Insert', 2, 'out_of_range'],
+      ['Insert', 3, 'out_of_range'],
+      ['Insert', 4, 'invalid']
+    ]);
+    expect(issues[0]).toMatchObject({ ancestor: 'Podcast Episodes', candidates: [0, 1] });
+    expect(issues[1]).toMatchObject({ ancestor: 'Ingestion Sources', candidates: [0, 1] });
+    expect(issues[4].message).toBe('Insert item 3 references input 2, but the node has 1 input(s)');
+  });
+
+  test('filters by node and issue type', () => {
+    const { issues } = checkLineage(fixture, { nodes: ['Insert'], ignore: ['ambiguous', 'missing'] });
+
+    expect(issues.map(issue => issue.type)).toEqual(['out_of_range', 'out_of_range', 'invalid']);
+    expect(() => checkLineage(fixture, { ignore: ['broken'] })).toThrow("Unknown issue type 'broken'");
+  });
+
+  test('walks shared ancestors once on deep many-to-one graphs', () => {
+    // Every item pairs with both items of the node before: 2^40 paths without caching
+    const nodes = { 'Step 0': { items: [{ json: {} }, { json: {} }] } };
+    for (let step = 1; step <= 40; step++) {
+      const pairedItem = [{ item: 0 }, { item: 1 }];
+      nodes[`Step ${step}`] = { source: [`Step ${step - 1}`], items: [{ json: {}, pairedItem }, { json: {}, pairedItem }] };
+    }
+
+    const { issues, checked } = checkLineage({ nodes });
+
+    expect(checked).toBe(82);
+    // Both items of Step k are ambiguous for each of the k nodes before it: 2 * (1 + ... + 40)
+    expect(issues).toHaveLength(1640);
+    expect(issues[0]).toMatchObject({ node: 'Step 1', ancestor: 'Step 0', candidates: [0, 1] });
+  });
+});
+
+describe('assertPairing', () => {
+  const inputs = [{ json: {} }, { json: {} }];
+
+  test('returns valid results unchanged', async () => {
+    const result = await processItemsWithPairing(inputs, $json => $json);
+
+    expect(assertPairing(result, inputs)).toBe(result.results);
+    expect(assertPairing([{ json: {}, pairedItem: [0, 1] }], 2)).toHaveLength(1);
+  });
+
+  test('throws listing every bad item', () => {
+    expect(() => assertPairing(
+      [{ json: {} }, { json: {}, pairedItem: 2 }, { json: {}, pairedItem: { item: 0, input: 1 } }],
+      inputs
+    )).toThrow([
+      'Pairing check failed for 3 item(s):',
+      'Item 0: pairedItem is missing',
+      'Item 1: pairedItem 2 is out of range (2 input items)',
+      'Item 2: pairedItem input 1 does not exist (1 input(s))'
+    ].join('\n'));
+  });
+
+  test('supports stricter and looser checks', () => {
+    expect(() => assertPairing([{ json: {}, pairedItem: [0, 1] }], inputs, { allowMultiple: false }))
+      .toThrow('Item 0: paired with 2 input items');
+    expect(() => assertPairing([{ json: {}, pairedItem: 0 }], inputs, { requireAll: true }))
+      .toThrow('Input item 1: no result is paired with it');
+    expect(assertPairing([{ json: {} }], inputs, { allowMissing: true })).toHaveLength(1);
+  });
+
+  test('is available on the lineage namespace', () => {
+    expect(lineage.assertPairing).toBe(assertPairing);
+  });
+});
@@ -0,0 +1,58 @@
+// tests/podcast-workflow.test.js
+// Runs the podcast ingestion Code-node scripts against fixture data
+const { runCodeNode } = require('./helpers/code-node-runtime');
+
+const SCRIPTS = 'workflows/ingestion/podcast';
+
+describe('podcast workflow Code nodes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('podcast_exists_inline checks each episode against its ingestion source', async () => {
+    const { items } = await runCodeNode(`${SCRIPTS}/podcast_exists_inline.js`, 'podcast/podcast-exists.json');
+
+    expect(items).toHaveLength(3);
+    expect(items.map(item => item.pairedItem)).toEqual([0, 1, 2]);
+
+    const [byGuid, byTitle, missingSource] = items.map(item => item.json);
+    expect(byGuid.metadata.primaryCheck).toBe('guid');
+    expect(byGuid.query).toContain("KnowledgeSourceId = '0b7d1c2e-8f4a-4c3b-9d6e-2a1f5e7c9b30'");
+    expect(byGuid.query).toContain("SourceId = 'ep-101'");
+    expect(byTitle.metadata.primaryCheck).toBe('title_date');
+    expect(byTitle.query).toContain("Name = 'Bonus: Listener Questions'");
+
+    // Third episode is paired with the ingestion source row that has no id
+    expect(missingSource._error.message).toBe('Missing knowledgeSourceId from Ingestion Sources node for item 2');
+  });
+
+  test('create_podcast builds inserts from the paired episode and source', async () => {
+    const { items, logs } = await runCodeNode(`${SCRIPTS}/create_podcast.js`, 'podcast/create-podcast.json');
+
+    expect(items).toHaveLength(2);
+
+    const [inserted, missingGuid] = items.map(item => item.json);
+    expect(inserted.query).toContain('INSERT INTO [KnowledgeSourceInstances]');
+    expect(inserted.query).toContain('OUTPUT INSERTED.KnowledgeSourceInstanceId');
+    expect(inserted.parameters.original.episodeGuid).toBe('ep-101');
+    expect(inserted.parameters.processed.description).toBe('Welcome to the show');
+
+    // Input 1 pairs with the third episode, which has no GUID
+    expect(missingGuid._error.message).toContain('Missing episodeGuid from Podcast Episodes for item 1');
+    expect(logs.map(log => log.message)).toEqual(['Processed 2 episodes: 1 successful, 1 failed']);
+  });
+
+  test('knowledge_operations creates operation rows for inserted episodes', async () => {
+    const { items, logs } = await runCodeNode(`${SCRIPTS}/knowledge_operations.js`, 'podcast/knowledge-operations.json');
+
+    const [operation, notInserted] = items.map(item => item.json);
+    expect(operation.query).toMatch(/^INSERT INTO \[KnowledgeSourceInstanceOperations\]/);
+    expect(operation.query).toContain("'5f0c2a9e-3b1d-4e7f-8a6c-9d2b4e1f7a03'");
+    expect(notInserted._error.message).toBe('Missing KnowledgeSourceInstanceId from insertion result for item 1');
+    expect(logs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,95 @@
+// tests/rate-limit.test.js
+const { createRateLimiter, processItemsWithPairing, rateLimit } = require('../index');
+
+describe('createRateLimiter', () => {
+  test('allows a burst up to requestsPerInterval', () => {
+    const limiter = createRateLimiter({ requestsPerInterval: 3, intervalMs: 60000 });
+
+    expect([limiter.tryAcquire(), limiter.tryAcquire(), limiter.tryAcquire()]).toEqual([true, true, true]);
+    expect(limiter.tryAcquire()).toBe(false);
+  });
+
+  test('acquire waits for the bucket to refill', async () => {
+    const limiter = createRateLimiter({ requestsPerInterval: 2, intervalMs: 100 });
+    const started = Date.now();
+
+    const waits = await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+    expect(waits[0]).toBe(0);
+    expect(waits[1]).toBe(0);
+    expect(waits[2]).toBeGreaterThan(0);
+    // One token refills every 50ms
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+  });
+
+  test('persists the bucket in workflow static data', () => {
+    const staticData = {};
+    const first = createRateLimiter({ requestsPerInterval: 2, intervalMs: 60000, staticData, key: 'slack' });
+    first.tryAcquire();
+    first.tryAcquire();
+
+    expect(staticData.rateLimiters.slack.tokens).toBeLessThan(1);
+
+    // A later execution reading the same static data sees the spent budget
+    const next = createRateLimiter({ requestsPerInterval: 2, intervalMs: 60000, staticData, key: 'slack' });
+    expect(next.tryAcquire()).toBe(false);
+
+    const other = createRateLimiter({ requestsPerInterval: 2, intervalMs: 60000, staticData, key: 'llm' });
+    expect(other.tryAcquire()).toBe(true);
+  });
+
+  test('getState and reset report and refill the bucket', () => {
+    const limiter = createRateLimiter({ requestsPerInterval: 1, intervalMs: 60000 });
+    limiter.tryAcquire();
+
+    expect(limiter.getState()).toMatchObject({ capacity: 1, intervalMs: 60000 });
+    expect(limiter.getState().tokens).toBeLessThan(1);
+
+    limiter.reset();
+    expect(limiter.tryAcquire()).toBe(true);
+  });
+
+  test('validates options', () => {
+    expect(() => createRateLimiter({ requestsPerInterval: 0, intervalMs: 1000 }))
+      .toThrow('requestsPerInterval must be a positive integer');
+    expect(() => createRateLimiter({ requestsPerInterval: 1 }))
+      .toThrow('intervalMs must be a positive number');
+    expect(() => createRateLimiter({ requestsPerInterval: 1, intervalMs: 1000, staticData: 'x' }))
+      .toThrow('staticData must be the object');
+  });
+
+  test('is available on the rateLimit namespace', () => {
+    expect(rateLimit.createRateLimiter).toBe(createRateLimiter);
+  });
+});
+
+describe('processItemsWithPairing rateLimit', () => {
+  const items = [{ json: { id: 1 } }, { json: { id: 2 } }, { json: { id: 3 } }];
+
+  test('spaces processor calls to the configured rate', async () => {
+    const calledAt = [];
+    const { results, stats } = await processItemsWithPairing(
+      items,
+      (_$item, $json) => {
+        calledAt.push(Date.now());
+        return { id: $json.id };
+      },
+      {},
+      { concurrency: 3, rateLimit: { requestsPerInterval: 1, intervalMs: 40 } }
+    );
+
+    expect(results.map(result => result.json.id)).toEqual([1, 2, 3]);
+    expect(calledAt[2] - calledAt[0]).toBeGreaterThanOrEqual(70);
+    expect(stats.rateLimit.delayedCalls).toBe(2);
+    expect(stats.rateLimit.waitedMs).toBeGreaterThan(0);
+  });
+
+  test('accepts a shared limiter instance', async () => {
+    const staticData = {};
+    const limiter = createRateLimiter({ requestsPerInterval: 5, intervalMs: 60000, staticData });
+
+    await processItemsWithPairing(items, () => ({}), {}, { rateLimit: limiter });
+
+    expect(Math.round(limiter.getState().tokens)).toBe(2);
+  });
+});
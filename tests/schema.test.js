@@ -0,0 +1,179 @@
+// tests/schema.test.js
+const fs = require('fs');
+const path = require('path');
+const {
+  parseDdl,
+  createSchemaRegistry,
+  schemaRegistry,
+  schemaFor,
+  validateTableRow,
+  normalizeData,
+  schema
+} = require('../index');
+
+const SAMPLE_DDL = [
+  'USE [RiN8N]',
+  'GO',
+  'CREATE TABLE [dbo].[Widgets](',
+  '\t[WidgetId] [int] IDENTITY(1,1) NOT NULL,',
+  '\t[Code] [varchar](20) NOT NULL,',
+  '\t[Notes] [nvarchar](max) NULL,',
+  '\t[Price] [decimal](18, 2) NOT NULL,',
+  '\t[Status] [nvarchar](20) NOT NULL,',
+  '\t[Enabled] [bit] NOT NULL,',
+  '\t[OwnerId] [uniqueidentifier] NOT NULL,',
+  '\t[CreatedAt] [datetimeoffset](7) NOT NULL,',
+  ' CONSTRAINT [PK_Widgets] PRIMARY KEY CLUSTERED ',
+  '(',
+  '\t[WidgetId] ASC',
+  ')WITH (PAD_INDEX = OFF) ON [PRIMARY]',
+  ') ON [PRIMARY]',
+  'GO',
+  "ALTER TABLE [dbo].[Widgets] ADD  CONSTRAINT [DF_Widgets_Status]  DEFAULT (N'pending') FOR [Status]",
+  'GO',
+  'ALTER TABLE [dbo].[Widgets] ADD  DEFAULT ((1)) FOR [Enabled]',
+  'GO',
+  'ALTER TABLE [dbo].[Widgets] ADD  CONSTRAINT [DF_Widgets_CreatedAt]  DEFAULT (getutcdate()) FOR [CreatedAt]',
+  'GO',
+  'ALTER TABLE [dbo].[Widgets]  WITH CHECK ADD  CONSTRAINT [FK_Widgets_Owners] FOREIGN KEY([OwnerId])',
+  'REFERENCES [dbo].[Owners] ([OwnerId])',
+  'GO'
+].join('\r\n');
+
+describe('Schema Registry', () => {
+  describe('Module Export Structure', () => {
+    test('should export individual functions and the module namespace', () => {
+      expect(typeof parseDdl).toBe('function');
+      expect(typeof schemaFor).toBe('function');
+      expect(schema.schemaFor).toBe(schemaFor);
+    });
+  });
+
+  describe('parseDdl', () => {
+    const tables = parseDdl(SAMPLE_DDL);
+    const widgets = tables.Widgets;
+    const column = name => widgets.columns.find(c => c.name === name);
+
+    test('parses columns in order with types, lengths and nullability', () => {
+      expect(widgets.schema).toBe('dbo');
+      expect(widgets.columns.map(c => c.name)).toEqual([
+        'WidgetId', 'Code', 'Notes', 'Price', 'Status', 'Enabled', 'OwnerId', 'CreatedAt'
+      ]);
+      expect(column('Code')).toMatchObject({ sqlType: 'varchar', maxLength: 20, nullable: false });
+      expect(column('Notes')).toMatchObject({ sqlType: 'nvarchar', maxLength: null, nullable: true });
+      expect(column('Price')).toMatchObject({ sqlType: 'decimal', precision: 18, scale: 2 });
+      expect(column('WidgetId').identity).toBe(true);
+    });
+
+    test('parses literal and function defaults', () => {
+      expect(column('Status').default).toEqual({ expression: "N'pending'", value: 'pending', isLiteral: true });
+      expect(column('Enabled').default).toEqual({ expression: '1', value: true, isLiteral: true });
+      expect(column('CreatedAt').default).toEqual({ expression: 'getutcdate()', value: null, isLiteral: false });
+      expect(column('Code').default).toBeNull();
+    });
+
+    test('parses primary and foreign keys', () => {
+      expect(widgets.primaryKey).toEqual(['WidgetId']);
+      expect(widgets.foreignKeys).toEqual([
+        { name: 'FK_Widgets_Owners', columns: ['OwnerId'], references: { table: 'Owners', columns: ['OwnerId'] } }
+      ]);
+    });
+
+    test('rejects non-string input', () => {
+      expect(() => parseDdl(null)).toThrow('DDL must be a string');
+    });
+  });
+
+  describe('createSchemaRegistry', () => {
+    const registry = createSchemaRegistry(parseDdl(SAMPLE_DDL));
+
+    test('looks up tables and columns case-insensitively', () => {
+      expect(registry.listTables()).toEqual(['Widgets']);
+      expect(registry.getTable('[dbo].[widgets]').name).toBe('Widgets');
+      expect(registry.getColumn('dbo.Widgets', 'code').maxLength).toBe(20);
+      expect(registry.getTable('Missing')).toBeNull();
+      expect(registry.getColumn('Widgets', 'Missing')).toBeNull();
+    });
+
+    test('builds normalizeData schemas from column definitions', () => {
+      const widgetSchema = registry.schemaFor('Widgets');
+
+      expect(widgetSchema.WidgetId).toEqual({ type: 'integer', required: false });
+      expect(widgetSchema.Code).toEqual({ type: 'string', required: true, maxLength: 20, trimWhitespace: true });
+      expect(widgetSchema.Price).toEqual({ type: 'decimal', required: true });
+      expect(widgetSchema.Status).toMatchObject({ required: false, defaultValue: 'pending' });
+      expect(widgetSchema.Enabled).toEqual({ type: 'boolean', required: false, defaultValue: true });
+      expect(widgetSchema.CreatedAt).toEqual({ type: 'date', required: false });
+    });
+
+    test('supports include, exclude and overrides', () => {
+      expect(Object.keys(registry.schemaFor('Widgets', { include: ['Code', 'Notes'] }))).toEqual(['Code', 'Notes']);
+      expect(registry.schemaFor('Widgets', { exclude: ['WidgetId'] }).WidgetId).toBeUndefined();
+      expect(registry.schemaFor('Widgets', { overrides: { Notes: { cleanHtml: true } } }).Notes.cleanHtml).toBe(true);
+    });
+
+    test('throws for unknown tables', () => {
+      expect(() => registry.schemaFor('Gadgets')).toThrow("Unknown table 'Gadgets'");
+    });
+
+    test('validates rows and reports truncations as warnings', () => {
+      const result = registry.validateRow('Widgets', { Code: 'ABC DEF GHI JKL MNO PQR', Price: 1, OwnerId: 'o-1' }, {
+        onOverflow: 'truncate'
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.row.Code.length).toBeLessThanOrEqual(20);
+      expect(result.issues).toEqual([
+        expect.objectContaining({ column: 'Code', code: 'truncated', severity: 'warning' })
+      ]);
+    });
+
+    test('only checks missing columns for inserts', () => {
+      expect(registry.validateRow('Widgets', { Notes: 'x' }).issues.map(issue => issue.column))
+        .toEqual(['Code', 'Price', 'OwnerId']);
+      expect(registry.validateRow('Widgets', { Notes: 'x' }, { operation: 'update' }).valid).toBe(true);
+    });
+  });
+
+  describe('bundled registry', () => {
+    test('describes KnowledgeSourceInstances from the DDL scripts', () => {
+      const instanceSchema = schemaFor('KnowledgeSourceInstances');
+
+      expect(instanceSchema.Name).toMatchObject({ type: 'string', maxLength: 250 });
+      expect(instanceSchema.Duration).toEqual({ type: 'integer', required: false, defaultValue: 0 });
+      expect(instanceSchema.KnowledgeSourceId.required).toBe(true);
+      expect(instanceSchema.SourceSummary.maxLength).toBeNull();
+      expect(schemaRegistry.getColumn('KnowledgeSourceInstances', 'Duration')).toMatchObject({ sqlType: 'int', nullable: false });
+    });
+
+    test('exposes validateRow as validateTableRow', () => {
+      expect(validateTableRow('Topics', { TopicId: 't-1', Topic: 'AI' }, { operation: 'update' }).valid).toBe(true);
+    });
+
+    test('produces schemas that normalizeData can use', () => {
+      const normalized = normalizeData(
+        { Name: `  ${'x'.repeat(300)}  `, Duration: '', Active: 'false', Extra: 1 },
+        schemaFor('KnowledgeSourceInstances', { include: ['Name', 'Duration', 'Active'] }),
+        { strict: true }
+      );
+
+      expect(normalized.Name.length).toBeLessThanOrEqual(250);
+      expect(normalized.Duration).toBe(0);
+      expect(normalized.Active).toBe(false);
+      expect(normalized.Extra).toBeUndefined();
+    });
+
+    test('matches the checked-in DDL scripts', () => {
+      const scriptsDir = path.join(__dirname, '..', 'documentation', 'schema_scripts');
+      const parsed = {};
+      for (const fileName of fs.readdirSync(scriptsDir).filter(name => name.endsWith('.sql'))) {
+        Object.assign(parsed, parseDdl(fs.readFileSync(path.join(scriptsDir, fileName), 'utf8')));
+      }
+
+      expect(schemaRegistry.listTables().sort()).toEqual(Object.keys(parsed).sort());
+      for (const tableName of Object.keys(parsed)) {
+        expect(schemaRegistry.getTable(tableName)).toEqual(parsed[tableName]);
+      }
+    });
+  });
+});
@@ -0,0 +1,188 @@
+// tests/sql-dialects.test.js
+const {
+  SQL_DIALECTS,
+  getDialect,
+  buildQuery,
+  generateInsert,
+  generateUpdate,
+  generateSelect,
+  generateDelete,
+  generateMerge,
+  generateExec,
+  createSelectBuilder,
+  fragments,
+  sql
+} = require('../index');
+
+describe('SQL Dialects', () => {
+  describe('getDialect', () => {
+    test('resolves names and aliases', () => {
+      expect(getDialect().name).toBe('mssql');
+      expect(getDialect('PostgreSQL').name).toBe('postgres');
+      expect(getDialect('pg')).toBe(SQL_DIALECTS.postgres);
+      expect(getDialect('mariadb').name).toBe('mysql');
+      expect(getDialect(SQL_DIALECTS.sqlite)).toBe(SQL_DIALECTS.sqlite);
+    });
+
+    test('rejects unknown dialects', () => {
+      expect(() => getDialect('oracle')).toThrow("Unsupported SQL dialect 'oracle'. Supported: mssql, postgres, mysql, sqlite");
+    });
+  });
+
+  describe('identifier quoting and value escaping', () => {
+    test('quotes identifiers per dialect', () => {
+      expect(getDialect('mssql').escapeId('dbo.Users')).toBe('[dbo].[Users]');
+      expect(getDialect('postgres').escapeId('public.Users')).toBe('"public"."Users"');
+      expect(getDialect('postgres').escapeId('we"ird')).toBe('"we""ird"');
+      expect(getDialect('mysql').escapeId('app.Users')).toBe('`app`.`Users`');
+      expect(getDialect('mysql').escapeId('we`ird')).toBe('`we``ird`');
+    });
+
+    test('escapes strings, booleans, dates and buffers per dialect', () => {
+      const date = new Date('2025-01-02T03:04:05.678Z');
+      const buffer = Buffer.from('hi');
+
+      expect(getDialect('postgres').escape("O'Brien\\")).toBe("'O''Brien\\'");
+      expect(getDialect('mysql').escape("O'Brien\\\n")).toBe("'O\\'Brien\\\\\\n'");
+      expect(getDialect('sqlite').escape("O'Brien")).toBe("'O''Brien'");
+
+      expect(getDialect('postgres').escape(true)).toBe('TRUE');
+      expect(getDialect('mysql').escape(false)).toBe('FALSE');
+      expect(getDialect('sqlite').escape(true)).toBe('1');
+
+      expect(getDialect('postgres').escape(date)).toBe("'2025-01-02T03:04:05.678Z'");
+      expect(getDialect('mysql').escape(date)).toBe("'2025-01-02 03:04:05.678'");
+
+      expect(getDialect('postgres').escape(buffer)).toBe("'\\x6869'");
+      expect(getDialect('sqlite').escape(buffer)).toBe("X'6869'");
+
+      expect(getDialect('postgres').escape({ a: 1 })).toBe('\'{"a":1}\'');
+      expect(() => getDialect('postgres').escape(NaN)).toThrow('Cannot escape non-finite number NaN');
+    });
+  });
+
+  describe('generators', () => {
+    const row = { Name: "O'Brien", Active: true };
+
+    test('generateInsert', () => {
+      expect(generateInsert('Users', row, { dialect: 'postgres' }))
+        .toBe(`INSERT INTO "Users" ("Name", "Active") VALUES ('O''Brien', TRUE)`);
+      expect(generateInsert('Users', row, { dialect: 'mysql' }))
+        .toBe("INSERT INTO `Users` (`Name`, `Active`) VALUES ('O\\'Brien', TRUE)");
+      expect(generateInsert('Users', row, { dialect: 'sqlite' }))
+        .toBe(`INSERT INTO "Users" ("Name", "Active") VALUES ('O''Brien', 1)`);
+    });
+
+    test('returning columns use OUTPUT on SQL Server and RETURNING elsewhere', () => {
+      expect(generateInsert('Users', row, { returning: ['UserId'] }))
+        .toBe("INSERT INTO [Users] ([Name], [Active]) OUTPUT INSERTED.[UserId] VALUES ('O''Brien', 1)");
+      expect(generateInsert('Users', row, { returning: ['UserId'], dialect: 'postgres' }))
+        .toBe(`INSERT INTO "Users" ("Name", "Active") VALUES ('O''Brien', TRUE) RETURNING "UserId"`);
+      expect(generateUpdate('Users', { Active: false }, { UserId: 1 }, { returning: '*' }))
+        .toBe('UPDATE [Users] SET [Active] = 0 OUTPUT INSERTED.* WHERE [UserId] = 1');
+      expect(generateUpdate('Users', { Active: false }, { UserId: 1 }, { returning: '*', dialect: 'sqlite' }))
+        .toBe('UPDATE "Users" SET "Active" = 0 WHERE "UserId" = 1 RETURNING *');
+      expect(generateDelete('Users', { UserId: 1 }, { returning: ['UserId'] }))
+        .toBe('DELETE FROM [Users] OUTPUT DELETED.[UserId] WHERE [UserId] = 1');
+      expect(() => generateInsert('Users', row, { returning: ['UserId'], dialect: 'mysql' }))
+        .toThrow('RETURNING is not supported by mysql');
+    });
+
+    test('multi-row inserts are only capped at 1000 rows on SQL Server', () => {
+      const rows = Array.from({ length: 1500 }, (_, i) => ({ Id: i }));
+
+      expect(generateInsert('T', rows, { multiRow: true })).toHaveLength(2);
+      expect(generateInsert('T', rows, { multiRow: true, dialect: 'postgres' })).toHaveLength(2);
+      expect(generateInsert('T', rows, { multiRow: true, dialect: 'postgres', maxRowsPerStatement: 5000 })).toHaveLength(1);
+    });
+
+    test('generateSelect uses LIMIT outside SQL Server', () => {
+      const options = { from: 'Users', columns: ['UserId', 'Name'], where: { Active: true }, limit: 10 };
+
+      expect(generateSelect(options)).toBe('SELECT TOP 10 [UserId], [Name] FROM [Users] WHERE [Active] = 1');
+      expect(generateSelect({ ...options, dialect: 'postgres' }))
+        .toBe('SELECT "UserId", "Name" FROM "Users" WHERE "Active" = TRUE LIMIT 10');
+      expect(generateSelect({ ...options, dialect: 'mysql' }))
+        .toBe('SELECT `UserId`, `Name` FROM `Users` WHERE `Active` = TRUE LIMIT 10');
+    });
+
+    test('generateDelete limits rows per dialect', () => {
+      expect(generateDelete('Logs', { Level: 'debug' }, { limit: 100, dialect: 'mysql' }))
+        .toBe("DELETE FROM `Logs` WHERE `Level` = 'debug' LIMIT 100");
+      expect(generateDelete('Logs', { Level: 'debug' }, { limit: 100, dialect: 'postgres' }))
+        .toBe(`DELETE FROM "Logs" WHERE ctid IN (SELECT ctid FROM "Logs" WHERE "Level" = 'debug' LIMIT 100)`);
+      expect(generateDelete('Logs', { Level: 'debug' }, { limit: 100, dialect: 'sqlite' }))
+        .toBe(`DELETE FROM "Logs" WHERE rowid IN (SELECT rowid FROM "Logs" WHERE "Level" = 'debug' LIMIT 100)`);
+    });
+
+    test('generateMerge emits ON CONFLICT and ON DUPLICATE KEY upserts', () => {
+      const rows = [{ SourceId: 'ep-1', Name: 'Episode 1' }, { SourceId: 'ep-2', Name: 'Episode 2' }];
+
+      expect(generateMerge('Episodes', rows, { keyColumns: 'SourceId', dialect: 'postgres', returning: ['EpisodeId'] })).toBe(
+        `INSERT INTO "Episodes" ("SourceId", "Name") VALUES ('ep-1', 'Episode 1'), ('ep-2', 'Episode 2') ` +
+        'ON CONFLICT ("SourceId") DO UPDATE SET "Name" = EXCLUDED."Name" RETURNING "EpisodeId"'
+      );
+      expect(generateMerge('Episodes', rows[0], { keyColumns: 'SourceId', dialect: 'sqlite', insertOnly: true }))
+        .toBe(`INSERT INTO "Episodes" ("SourceId", "Name") VALUES ('ep-1', 'Episode 1') ON CONFLICT ("SourceId") DO NOTHING`);
+      expect(generateMerge('Episodes', rows[0], { keyColumns: 'SourceId', dialect: 'mysql' }))
+        .toBe("INSERT INTO `Episodes` (`SourceId`, `Name`) VALUES ('ep-1', 'Episode 1') ON DUPLICATE KEY UPDATE `Name` = VALUES(`Name`)");
+      expect(generateMerge('Episodes', rows[0], { keyColumns: 'SourceId', dialect: 'mysql', insertOnly: true }))
+        .toBe("INSERT INTO `Episodes` (`SourceId`, `Name`) VALUES ('ep-1', 'Episode 1') ON DUPLICATE KEY UPDATE `SourceId` = `SourceId`");
+    });
+
+    test('generateExec is SQL Server only', () => {
+      expect(() => generateExec('CreateText', {}, { dialect: 'postgres' })).toThrow('generateExec is only supported for mssql');
+    });
+  });
+
+  describe('parameterized mode', () => {
+    test('uses $n placeholders for postgres and ? for mysql/sqlite', () => {
+      const where = { Active: true, Name: { $in: ['a', 'b'] } };
+
+      expect(generateSelect({ from: 'Users', where, dialect: 'postgres', parameterized: true })).toEqual({
+        text: 'SELECT * FROM "Users" WHERE "Active" = $1 AND "Name" IN ($2, $3)',
+        params: [true, 'a', 'b']
+      });
+      expect(generateSelect({ from: 'Users', where, dialect: 'mysql', parameterized: true })).toEqual({
+        text: 'SELECT * FROM `Users` WHERE `Active` = ? AND `Name` IN (?, ?)',
+        params: [true, 'a', 'b']
+      });
+    });
+
+    test('buildQuery turns named parameters into positional ones', () => {
+      expect(buildQuery('SELECT * FROM t WHERE a = :a AND b::text = :b', { a: 1, b: 'x' }, { dialect: 'postgres', parameterized: true }))
+        .toEqual({ text: 'SELECT * FROM t WHERE a = $1 AND b::text = $2', params: [1, 'x'] });
+      expect(buildQuery('SELECT * FROM t WHERE a = :a OR c = :a', { a: "it's" }, { dialect: 'sqlite' }))
+        .toBe("SELECT * FROM t WHERE a = 'it''s' OR c = 'it''s'");
+    });
+  });
+
+  describe('select builder, fragments and batches', () => {
+    test('select builder pages with LIMIT/OFFSET', () => {
+      const builder = () => createSelectBuilder().from('Topics').orderBy('Name');
+
+      expect(builder().offset(20).fetch(10).build({ dialect: 'postgres' }))
+        .toBe('SELECT * FROM "Topics" ORDER BY "Name" ASC LIMIT 10 OFFSET 20');
+      expect(builder().top(5).build({ dialect: 'sqlite' })).toBe('SELECT * FROM "Topics" ORDER BY "Name" ASC LIMIT 5');
+      expect(builder().offset(20).build({ dialect: 'mysql' }))
+        .toBe('SELECT * FROM `Topics` ORDER BY `Name` ASC LIMIT 18446744073709551615 OFFSET 20');
+      expect(builder().offset(20).build({ dialect: 'sqlite' })).toBe('SELECT * FROM "Topics" ORDER BY "Name" ASC LIMIT -1 OFFSET 20');
+      expect(createSelectBuilder().from('Topics').offset(5).build({ dialect: 'postgres' })).toBe('SELECT * FROM "Topics" OFFSET 5');
+    });
+
+    test('fragments accept a dialect', () => {
+      expect(fragments.in('Status', ['a', 'b'], { dialect: 'mysql' })).toBe("`Status` IN ('a', 'b')");
+      expect(fragments.between('Score', 1, 5, { dialect: 'postgres' })).toBe('"Score" BETWEEN 1 AND 5');
+      expect(fragments.where({ Active: true }, { dialect: 'sqlite' })).toBe('"Active" = 1');
+      expect(fragments.case([{ when: 'Score > 5', then: true }], false, { dialect: 'postgres' }))
+        .toBe('CASE WHEN Score > 5 THEN TRUE ELSE FALSE END');
+    });
+
+    test('batch.combine uses dialect transaction keywords', () => {
+      expect(sql.batch.combine(['A', 'B'], { useTransaction: true, dialect: 'postgres' })).toBe('BEGIN;\nA;\nB;\nCOMMIT;');
+      expect(sql.batch.combine(['A'], { useTransaction: true, dialect: 'mysql' })).toBe('START TRANSACTION;\nA;\nCOMMIT;');
+      expect(() => sql.batch.combine(['A'], { safeTransaction: true, dialect: 'sqlite' }))
+        .toThrow('safeTransaction is only supported for mssql');
+    });
+  });
+});
@@ -0,0 +1,693 @@
+// tests/sql.test.js
+const {
+  buildQuery,
+  formatParameterized,
+  inferSqlType,
+  generateInsert,
+  generateUpdate,
+  generateSelect,
+  generateDelete,
+  generateMerge,
+  generateExec,
+  getInsertChunkSize,
+  createSelectBuilder,
+  fragments,
+  SQL_SERVER_LIMITS,
+  raw,
+  sql // Namespace import
+} = require('../index');
+
+describe('SQL Utilities', () => {
+  describe('Module Import Patterns', () => {
+    test('should support individual and namespace imports', () => {
+      expect(typeof generateMerge).toBe('function');
+      expect(generateMerge).toBe(sql.generateMerge);
+    });
+  });
+
+  describe('generateMerge', () => {
+    const keyColumns = ['SourceId', 'KnowledgeSourceId'];
+
+    test('generates an upsert matching on key columns', () => {
+      const result = generateMerge('KnowledgeSourceInstances', {
+        SourceId: 'guid-1',
+        KnowledgeSourceId: 'ks-1',
+        Name: "O'Reilly Episode"
+      }, { keyColumns });
+
+      expect(result).toBe(
+        'MERGE INTO [KnowledgeSourceInstances] WITH (HOLDLOCK) AS [target] ' +
+        "USING (VALUES ('guid-1', 'ks-1', 'O''Reilly Episode')) AS [source] ([SourceId], [KnowledgeSourceId], [Name]) " +
+        'ON [target].[SourceId] = [source].[SourceId] AND [target].[KnowledgeSourceId] = [source].[KnowledgeSourceId] ' +
+        'WHEN MATCHED THEN UPDATE SET [target].[Name] = [source].[Name] ' +
+        'WHEN NOT MATCHED BY TARGET THEN INSERT ([SourceId], [KnowledgeSourceId], [Name]) ' +
+        'VALUES ([source].[SourceId], [source].[KnowledgeSourceId], [source].[Name]);'
+      );
+    });
+
+    test('sends multiple rows as one VALUES source and fills missing columns with NULL', () => {
+      const result = generateMerge('KnowledgeSourceInstances', [
+        { SourceId: 'guid-1', KnowledgeSourceId: 'ks-1', Name: 'First' },
+        { SourceId: 'guid-2', KnowledgeSourceId: 'ks-1' }
+      ], { keyColumns });
+
+      expect(result).toContain("VALUES ('guid-1', 'ks-1', 'First'), ('guid-2', 'ks-1', NULL)");
+      expect(result.match(/MERGE INTO/g)).toHaveLength(1);
+    });
+
+    test('limits updates to updateColumns', () => {
+      const result = generateMerge('Episodes', { Id: 1, Name: 'A', Duration: 60 }, {
+        keyColumns: 'Id',
+        updateColumns: ['Duration']
+      });
+
+      expect(result).toContain('UPDATE SET [target].[Duration] = [source].[Duration] WHEN NOT MATCHED');
+      expect(result).not.toContain('[target].[Name] =');
+    });
+
+    test('omits the WHEN MATCHED branch in insertOnly mode', () => {
+      const result = generateMerge('Episodes', { Id: 1, Name: 'A' }, { keyColumns: ['Id'], insertOnly: true });
+
+      expect(result).not.toContain('WHEN MATCHED');
+      expect(result).toContain('WHEN NOT MATCHED BY TARGET THEN INSERT');
+    });
+
+    test('supports raw values and OUTPUT clause', () => {
+      const result = generateMerge('KnowledgeSourceInstances', { SourceId: 'guid-1', KnowledgeSourceId: 'ks-1' }, {
+        keyColumns,
+        rawValues: { KnowledgeSourceInstanceId: raw('NEWID()') },
+        outputClause: 'OUTPUT $action, INSERTED.KnowledgeSourceInstanceId'
+      });
+
+      expect(result).toContain("VALUES ('guid-1', 'ks-1', NEWID())");
+      expect(result).toMatch(/OUTPUT \$action, INSERTED\.KnowledgeSourceInstanceId;$/);
+    });
+
+    test('returns empty string for empty rows', () => {
+      expect(generateMerge('Episodes', [], { keyColumns: ['Id'] })).toBe('');
+      expect(generateMerge('Episodes', [], { keyColumns: ['Id'], parameterized: true })).toEqual({ text: '', params: [] });
+    });
+
+    test('rejects rows with the same key values', () => {
+      const rows = [
+        { SourceId: 'guid-1', KnowledgeSourceId: 'ks-1', Name: 'Old' },
+        { SourceId: 'guid-1', KnowledgeSourceId: 'ks-2', Name: 'Other source' },
+        { SourceId: 'guid-1', KnowledgeSourceId: 'ks-1', Name: 'New' }
+      ];
+
+      expect(() => generateMerge('KnowledgeSourceInstances', rows, { keyColumns }))
+        .toThrow('Rows 0 and 2 have the same key (SourceId, KnowledgeSourceId) = ["guid-1","ks-1"]');
+      expect(() => generateMerge('KnowledgeSourceInstances', rows, { keyColumns, duplicateKeys: 'first' }))
+        .toThrow("Invalid duplicateKeys 'first'");
+    });
+
+    test('keeps the last row per key with duplicateKeys: last', () => {
+      const result = generateMerge('KnowledgeSourceInstances', [
+        { SourceId: 'guid-1', KnowledgeSourceId: 'ks-1', Name: 'Old' },
+        { SourceId: 'guid-2', KnowledgeSourceId: 'ks-1', Name: 'Second' },
+        { SourceId: 'guid-1', KnowledgeSourceId: 'ks-1', Name: 'New' }
+      ], { keyColumns, duplicateKeys: 'last' });
+
+      expect(result).toContain("USING (VALUES ('guid-2', 'ks-1', 'Second'), ('guid-1', 'ks-1', 'New')) AS [source]");
+      expect(generateMerge('Episodes', [{ Id: null, Name: 'A' }, { Name: 'B' }], { keyColumns: ['Id'] }))
+        .toContain("VALUES (NULL, 'A'), (NULL, 'B')");
+    });
+
+    test('throws for missing parameters or key columns', () => {
+      expect(() => generateMerge()).toThrow('Table name and rows are required');
+      expect(() => generateMerge('Episodes', { Id: 1 })).toThrow('At least one key column is required for MERGE');
+      expect(() => generateMerge('Episodes', { Id: 1 }, { keyColumns: ['Guid'] }))
+        .toThrow('Key columns missing from rows: Guid');
+    });
+  });
+
+  describe('multi-row inserts', () => {
+    const makeRows = (count) => Array.from({ length: count }, (_, i) => ({ Name: `Episode ${i}`, Duration: i }));
+
+    test('generates a single multi-row INSERT for small batches', () => {
+      const result = generateInsert('Episodes', [
+        { Name: "O'Brien", Duration: 30 },
+        { Name: 'Jane', Duration: 25 }
+      ], { multiRow: true });
+
+      expect(result).toEqual([
+        "INSERT INTO [Episodes] ([Name], [Duration]) VALUES ('O''Brien', 30), ('Jane', 25)"
+      ]);
+    });
+
+    test('splits at the SQL Server 1000 row VALUES limit', () => {
+      const result = generateInsert('Episodes', makeRows(2500), { multiRow: true });
+
+      expect(result).toHaveLength(3);
+      expect(result[0].match(/\('Episode/g)).toHaveLength(1000);
+      expect(result[2].match(/\('Episode/g)).toHaveLength(500);
+    });
+
+    test('respects a smaller maxRowsPerStatement', () => {
+      const result = generateInsert('Episodes', makeRows(5), { multiRow: true, maxRowsPerStatement: 2 });
+      expect(result).toHaveLength(3);
+    });
+
+    test('fills columns missing from some rows with NULL', () => {
+      const result = generateInsert('Episodes', [{ Name: 'A', Duration: 1 }, { Name: 'B' }], { multiRow: true });
+      expect(result[0]).toContain("VALUES ('A', 1), ('B', NULL)");
+    });
+
+    test('keeps raw values and OUTPUT clause', () => {
+      const result = generateInsert('Episodes', [{ Name: 'A', Duration: 1 }, { Name: 'B' }], {
+        multiRow: true,
+        outputClause: 'OUTPUT INSERTED.EpisodeId',
+        rawValues: { Duration: raw('0') }
+      });
+
+      expect(result).toEqual([
+        "INSERT INTO [Episodes] ([Name], [Duration]) OUTPUT INSERTED.EpisodeId VALUES ('A', 0), ('B', 0)"
+      ]);
+    });
+
+    test('returns an empty array for no rows', () => {
+      expect(generateInsert('Episodes', [], { multiRow: true })).toEqual([]);
+      expect(sql.batch.bulkInsert('Episodes', [], { multiRow: true })).toEqual([]);
+    });
+
+    test('batch.bulkInsert supports multiRow mode', () => {
+      const result = sql.batch.bulkInsert('Episodes', makeRows(3), { multiRow: true });
+      expect(result).toHaveLength(1);
+      expect(result[0]).toContain("('Episode 0', 0), ('Episode 1', 1), ('Episode 2', 2)");
+    });
+
+    test('getInsertChunkSize honours row and parameter limits', () => {
+      expect(SQL_SERVER_LIMITS).toEqual({ maxRowsPerInsert: 1000, maxParameters: 2100 });
+      expect(getInsertChunkSize(3)).toBe(1000);
+      expect(getInsertChunkSize(3, { maxRowsPerStatement: 5000 })).toBe(1000);
+      expect(getInsertChunkSize(3, { maxParameters: 2100 })).toBe(700);
+      expect(getInsertChunkSize(17, { maxParameters: 2100 })).toBe(123);
+      expect(() => getInsertChunkSize(3000, { maxParameters: 2100 })).toThrow('exceeding the limit of 2100');
+    });
+  });
+
+  describe('parameterized mode', () => {
+    const guid = '3f2504e0-4f89-11d3-9a0c-0305e82c3301';
+
+    test('inferSqlType maps JavaScript values to SQL Server types', () => {
+      expect(inferSqlType('text')).toBe('nvarchar');
+      expect(inferSqlType(guid)).toBe('uniqueidentifier');
+      expect(inferSqlType(new Date())).toBe('datetimeoffset');
+      expect(inferSqlType(true)).toBe('bit');
+      expect(inferSqlType(42)).toBe('int');
+      expect(inferSqlType(2 ** 40)).toBe('bigint');
+      expect(inferSqlType(1.5)).toBe('float');
+      expect(inferSqlType(Buffer.from('x'))).toBe('varbinary');
+    });
+
+    test('formatParameterized escapes identifiers and binds values', () => {
+      const query = formatParameterized('SELECT * FROM ?? WHERE [Name] = ? AND [Id] IN (?)', ['Users', "O'Reilly", [1, 2]]);
+
+      expect(query.text).toBe('SELECT * FROM [Users] WHERE [Name] = @p0 AND [Id] IN (@p1, @p2)');
+      expect(query.params).toEqual([
+        { name: 'p0', type: 'nvarchar', value: "O'Reilly" },
+        { name: 'p1', type: 'int', value: 1 },
+        { name: 'p2', type: 'int', value: 2 }
+      ]);
+    });
+
+    test('keeps NULL and raw values inline', () => {
+      const query = generateInsert('Episodes', { Name: 'A', Summary: null, Id: null }, {
+        parameterized: true,
+        rawValues: { Id: raw('NEWID()') }
+      });
+
+      expect(query.text).toBe('INSERT INTO [Episodes] ([Name], [Summary], [Id]) VALUES (@p0, NULL, NEWID())');
+      expect(query.params).toHaveLength(1);
+    });
+
+    test('untrusted content never reaches the SQL text', () => {
+      const payload = "'; DROP TABLE KnowledgeSources; --";
+      const query = generateInsert('Episodes', { Name: payload }, { parameterized: true });
+
+      expect(query.text).not.toContain('DROP TABLE');
+      expect(query.params[0].value).toBe(payload);
+    });
+
+    test('supports update, select, delete and merge', () => {
+      expect(generateUpdate('Episodes', { Name: 'B' }, { EpisodeId: guid }, { parameterized: true })).toEqual({
+        text: 'UPDATE [Episodes] SET [Name] = @p0 WHERE [EpisodeId] = @p1',
+        params: [
+          { name: 'p0', type: 'nvarchar', value: 'B' },
+          { name: 'p1', type: 'uniqueidentifier', value: guid }
+        ]
+      });
+
+      expect(generateSelect({ from: 'Episodes', where: { Active: true }, limit: 5, parameterized: true }).text)
+        .toBe('SELECT TOP 5 [*] FROM [Episodes] WHERE [Active] = @p0');
+
+      expect(generateDelete('Episodes', { EpisodeId: 7 }, { parameterized: true }).text)
+        .toBe('DELETE FROM [Episodes] WHERE [EpisodeId] = @p0');
+
+      const merge = generateMerge('Episodes', { Id: 1, Name: 'A' }, { keyColumns: ['Id'], parameterized: true });
+      expect(merge.text).toContain('USING (VALUES (@p0, @p1)) AS [source]');
+      expect(merge.params.map(p => p.value)).toEqual([1, 'A']);
+    });
+
+    test('returns an array of query objects for bulk inserts', () => {
+      const result = generateInsert('Episodes', [{ Name: 'A' }, { Name: 'B' }], { parameterized: true });
+
+      expect(result).toHaveLength(2);
+      expect(result[1]).toEqual({
+        text: 'INSERT INTO [Episodes] ([Name]) VALUES (@p0)',
+        params: [{ name: 'p0', type: 'nvarchar', value: 'B' }]
+      });
+    });
+
+    test('batch.bulkInsert returns query objects without multiRow', () => {
+      const result = sql.batch.bulkInsert('Episodes', [{ Name: 'A' }, { Name: 'B' }], { parameterized: true });
+
+      expect(result).toEqual([
+        { text: 'INSERT INTO [Episodes] ([Name]) VALUES (@p0)', params: [{ name: 'p0', type: 'nvarchar', value: 'A' }] },
+        { text: 'INSERT INTO [Episodes] ([Name]) VALUES (@p0)', params: [{ name: 'p0', type: 'nvarchar', value: 'B' }] }
+      ]);
+      expect(sql.batch.bulkInsert('Episodes', [], { parameterized: true })).toEqual([]);
+    });
+
+    test('splits multi-row inserts to stay under the parameter limit', () => {
+      const rows = Array.from({ length: 1500 }, (_, i) => ({ Name: `Episode ${i}`, Duration: i + 1, Length: i + 1 }));
+      const result = generateInsert('Episodes', rows, { multiRow: true, parameterized: true });
+
+      expect(result.map(query => query.params.length)).toEqual([2097, 2097, 306]);
+      expect(result.every(query => query.params.length <= SQL_SERVER_LIMITS.maxParameters)).toBe(true);
+    });
+
+    test('buildQuery binds positional and named parameters', () => {
+      expect(buildQuery('SELECT * FROM ?? WHERE id = ?', ['users', 123], { parameterized: true })).toEqual({
+        text: 'SELECT * FROM [users] WHERE id = @p0',
+        params: [{ name: 'p0', type: 'int', value: 123 }]
+      });
+
+      expect(buildQuery('SELECT * FROM users WHERE name = :name OR alias = :name', { name: 'John' }, { parameterized: true })).toEqual({
+        text: 'SELECT * FROM users WHERE name = @name OR alias = @name',
+        params: [{ name: 'name', type: 'nvarchar', value: 'John' }]
+      });
+    });
+
+    test('keeps returning inline SQL strings by default', () => {
+      expect(buildQuery('SELECT * FROM users WHERE name = :name', { name: 'John' }))
+        .toBe("SELECT * FROM users WHERE name = 'John'");
+      expect(typeof generateInsert('Episodes', { Name: 'A' })).toBe('string');
+    });
+  });
+
+  describe('structured WHERE conditions', () => {
+    test('keeps equality maps working', () => {
+      expect(fragments.where({ id: 123, active: true })).toBe('[id] = 123 AND [active] = 1');
+    });
+
+    test('supports comparison operators', () => {
+      expect(fragments.where({
+        Duration: { $gte: 60, $lt: 3600 },
+        Name: { $like: '%AI%' },
+        Type: { $ne: 'draft' }
+      })).toBe("([Duration] >= 60 AND [Duration] < 3600) AND [Name] LIKE '%AI%' AND [Type] <> 'draft'");
+    });
+
+    test('supports $in, $nin and $between built on fragments', () => {
+      expect(fragments.where({ Status: { $in: ['new', 'queued'] } })).toBe(fragments.in('Status', ['new', 'queued']));
+      expect(fragments.where({ Status: { $nin: ['failed'] } })).toBe("[Status] NOT IN ('failed')");
+      expect(fragments.where({ Duration: { $between: [60, 120] } })).toBe(fragments.between('Duration', 60, 120));
+      expect(fragments.where({ Status: ['a', 'b'] })).toBe("[Status] IN ('a', 'b')");
+    });
+
+    test('handles NULL checks', () => {
+      expect(fragments.where({ ObjectId: null })).toBe('[ObjectId] IS NULL');
+      expect(fragments.where({ ObjectId: { $isNull: false } })).toBe('[ObjectId] IS NOT NULL');
+      expect(fragments.where({ ObjectId: { $ne: null } })).toBe('[ObjectId] IS NOT NULL');
+    });
+
+    test('supports nested $or / $and groups', () => {
+      expect(fragments.where({
+        KnowledgeSourceId: 'ks-1',
+        $or: [
+          { Active: true },
+          { $and: [{ Duration: { $gt: 0 } }, { Length: { $gt: 0 } }] }
+        ]
+      })).toBe("[KnowledgeSourceId] = 'ks-1' AND ([Active] = 1 OR ([Duration] > 0 AND [Length] > 0))");
+    });
+
+    test('escapes values used with operators', () => {
+      expect(fragments.where({ Name: { $like: "%O'Reilly%" } })).toBe("[Name] LIKE '%O''Reilly%'");
+    });
+
+    test('is used by update, select and delete generators', () => {
+      const where = { KnowledgeSourceId: 'ks-1', SourceDate: { $gt: '2025-01-01' }, Active: true };
+
+      expect(generateSelect({ from: 'KnowledgeSourceInstances', where, orderBy: 'SourceDate DESC' }))
+        .toBe("SELECT [*] FROM [KnowledgeSourceInstances] WHERE [KnowledgeSourceId] = 'ks-1' AND [SourceDate] > '2025-01-01' AND [Active] = 1 ORDER BY SourceDate DESC");
+      expect(generateUpdate('KnowledgeSourceInstances', { Active: false }, { SourceDate: { $lt: '2020-01-01' } }))
+        .toBe("UPDATE [KnowledgeSourceInstances] SET [Active] = 0 WHERE [SourceDate] < '2020-01-01'");
+      expect(generateDelete('ErrorLogs', { IsResolved: true, OccurredDate: { $lt: '2025-01-01' } }))
+        .toBe("DELETE FROM [ErrorLogs] WHERE [IsResolved] = 1 AND [OccurredDate] < '2025-01-01'");
+    });
+
+    test('parenthesizes compound conditions next to customWhere', () => {
+      expect(generateSelect({ from: 'T', where: { $or: [{ a: 1 }, { b: 2 }] }, customWhere: 'c = 3' }))
+        .toBe('SELECT [*] FROM [T] WHERE ([a] = 1 OR [b] = 2) AND (c = 3)');
+    });
+
+    test('supports parameterized mode', () => {
+      expect(fragments.where({ Duration: { $between: [60, 120] } }, { parameterized: true })).toEqual({
+        text: '[Duration] BETWEEN @p0 AND @p1',
+        params: [
+          { name: 'p0', type: 'int', value: 60 },
+          { name: 'p1', type: 'int', value: 120 }
+        ]
+      });
+    });
+
+    test('rejects invalid conditions', () => {
+      expect(() => fragments.where({ Name: { $regex: 'x' } })).toThrow("Unsupported operator '$regex' for column 'Name'");
+      expect(() => fragments.where({ $not: {} })).toThrow("Unsupported logical operator '$not'");
+      expect(() => fragments.where({ $or: [] })).toThrow('$or requires a non-empty array of conditions');
+      expect(() => fragments.where({ Id: { $in: [] } })).toThrow('IN clause requires non-empty array of values');
+      expect(() => fragments.where({ Id: { $between: [1] } })).toThrow("$between for 'Id' requires a [start, end] array");
+      expect(() => generateDelete('T', { $and: [{}] })).toThrow('non-empty where clause are required for DELETE');
+    });
+  });
+
+  describe('createSelectBuilder', () => {
+    test('builds joined selects with aliases', () => {
+      const query = createSelectBuilder()
+        .select([raw('NEWID()'), 'kso.KnowledgeSourceOperationId', { 'ksi.Name': 'InstanceName' }])
+        .from('KnowledgeSources', 'ks')
+        .join('KnowledgeSourceOperations', 'kso', { 'kso.KnowledgeSourceId': 'ks.KnowledgeSourceId' })
+        .leftJoin('KnowledgeSourceInstances', 'ksi', { 'ksi.KnowledgeSourceId': 'ks.KnowledgeSourceId' })
+        .where({ 'ksi.KnowledgeSourceInstanceId': "abc'123" })
+        .build();
+
+      expect(query).toBe(
+        'SELECT NEWID(), [kso].[KnowledgeSourceOperationId], [ksi].[Name] AS [InstanceName] ' +
+        'FROM [KnowledgeSources] AS [ks] ' +
+        'INNER JOIN [KnowledgeSourceOperations] AS [kso] ON [kso].[KnowledgeSourceId] = [ks].[KnowledgeSourceId] ' +
+        'LEFT JOIN [KnowledgeSourceInstances] AS [ksi] ON [ksi].[KnowledgeSourceId] = [ks].[KnowledgeSourceId] ' +
+        "WHERE [ksi].[KnowledgeSourceInstanceId] = 'abc''123'"
+      );
+    });
+
+    test('supports grouping, aggregates and HAVING', () => {
+      const query = createSelectBuilder()
+        .select(['ks.KnowledgeSourceId', { 'COUNT(*)': 'InstanceCount', 'MAX(ksi.SourceDate)': 'LatestDate' }])
+        .from('KnowledgeSources', 'ks')
+        .join('KnowledgeSourceInstances', 'ksi', { 'ksi.KnowledgeSourceId': 'ks.KnowledgeSourceId' })
+        .where({ 'ks.Active': true })
+        .groupBy('ks.KnowledgeSourceId')
+        .having({ 'COUNT(*)': { $gt: 10 } })
+        .build();
+
+      expect(query).toContain('SELECT [ks].[KnowledgeSourceId], COUNT(*) AS [InstanceCount], MAX([ksi].[SourceDate]) AS [LatestDate]');
+      expect(query).toContain('WHERE [ks].[Active] = 1 GROUP BY [ks].[KnowledgeSourceId] HAVING COUNT(*) > 10');
+    });
+
+    test('combines repeated where() calls with AND', () => {
+      const query = createSelectBuilder()
+        .from('KnowledgeSourceInstances')
+        .where({ Active: true })
+        .where({ $or: [{ Duration: 0 }, { Length: 0 }] })
+        .build();
+
+      expect(query).toBe('SELECT * FROM [KnowledgeSourceInstances] WHERE [Active] = 1 AND ([Duration] = 0 OR [Length] = 0)');
+    });
+
+    test('supports TOP, DISTINCT and OFFSET/FETCH paging', () => {
+      expect(createSelectBuilder().distinct().select('Name').from('Topics').top(5).build())
+        .toBe('SELECT DISTINCT TOP (5) [Name] FROM [Topics]');
+
+      expect(createSelectBuilder().from('Topics').orderBy('Name').orderBy('TopicId', 'desc').offset(20).fetch(10).build())
+        .toBe('SELECT * FROM [Topics] ORDER BY [Name] ASC, [TopicId] DESC OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY');
+
+      expect(createSelectBuilder().from('Topics').orderBy('Name').fetch(10).build())
+        .toBe('SELECT * FROM [Topics] ORDER BY [Name] ASC OFFSET 0 ROWS FETCH NEXT 10 ROWS ONLY');
+    });
+
+    test('supports raw ON conditions and wildcards', () => {
+      expect(createSelectBuilder()
+        .select('ks.*')
+        .from('KnowledgeSources', 'ks')
+        .join('Pipelines', 'p', raw('p.PipelineId = ks.PipelineId AND p.Active = 1'))
+        .build()
+      ).toBe('SELECT [ks].* FROM [KnowledgeSources] AS [ks] INNER JOIN [Pipelines] AS [p] ON p.PipelineId = ks.PipelineId AND p.Active = 1');
+    });
+
+    test('supports parameterized mode', () => {
+      const query = createSelectBuilder()
+        .from('KnowledgeSourceInstances')
+        .where({ KnowledgeSourceId: 'ks-1', Duration: { $gt: 60 } })
+        .orderBy('SourceDate', 'DESC')
+        .offset(0)
+        .fetch(50)
+        .build({ parameterized: true });
+
+      expect(query.text).toBe('SELECT * FROM [KnowledgeSourceInstances] WHERE [KnowledgeSourceId] = @p0 AND [Duration] > @p1 ORDER BY [SourceDate] DESC OFFSET 0 ROWS FETCH NEXT 50 ROWS ONLY');
+      expect(query.params.map(p => p.value)).toEqual(['ks-1', 60]);
+    });
+
+    test('validates builder state', () => {
+      expect(() => createSelectBuilder().build()).toThrow('FROM table is required');
+      expect(() => createSelectBuilder().from('T').offset(10).build()).toThrow('OFFSET/FETCH requires ORDER BY');
+      expect(() => createSelectBuilder().from('T').orderBy('A').top(1).fetch(1).build()).toThrow('TOP cannot be combined with OFFSET/FETCH');
+      expect(() => createSelectBuilder().orderBy('A', 'sideways')).toThrow("Invalid sort direction 'sideways'");
+      expect(() => createSelectBuilder().top(-1)).toThrow('TOP must be a non-negative integer');
+      expect(() => createSelectBuilder().join('T')).toThrow('INNER JOIN requires a table and an ON condition');
+    });
+  });
+
+  describe('strict mode', () => {
+    const instance = { KnowledgeSourceId: 'ks-1', Name: 'Episode 1' };
+
+    test('generates the same SQL as non-strict mode for valid rows', () => {
+      expect(generateInsert('KnowledgeSourceInstances', instance, { strict: true }))
+        .toBe(generateInsert('KnowledgeSourceInstances', instance));
+      expect(generateUpdate('KnowledgeSourceInstances', { Duration: 10 }, { KnowledgeSourceInstanceId: 'x' }, { strict: true }))
+        .toBe("UPDATE [KnowledgeSourceInstances] SET [Duration] = 10 WHERE [KnowledgeSourceInstanceId] = 'x'");
+    });
+
+    test('rejects unknown columns and reports every issue', () => {
+      let error;
+      try {
+        generateInsert('KnowledgeSourceInstances', { ...instance, Titel: 'typo' }, { strict: true });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).toBe("Strict validation failed for KnowledgeSourceInstances: Column 'Titel' does not exist in KnowledgeSourceInstances");
+      expect(error.issues).toEqual([
+        expect.objectContaining({ column: 'Titel', code: 'unknown_column', severity: 'error' })
+      ]);
+    });
+
+    test('flags or truncates values longer than the column', () => {
+      const longName = 'word '.repeat(60).trim();
+
+      expect(() => generateInsert('KnowledgeSourceInstances', { ...instance, Name: longName }, { strict: true }))
+        .toThrow("Column 'Name' is varchar(250) but the value has 299 characters");
+
+      const query = generateInsert('KnowledgeSourceInstances', { ...instance, Name: longName }, {
+        strict: true,
+        onOverflow: 'truncate',
+        parameterized: true
+      });
+      expect(query.params[1].value.length).toBeLessThanOrEqual(250);
+      expect(query.params[1].value.endsWith('...')).toBe(true);
+    });
+
+    test('reports NOT NULL columns that are missing or set to NULL', () => {
+      expect(() => generateInsert('KnowledgeSourceInstances', { Name: 'No source' }, { strict: true }))
+        .toThrow("Column 'KnowledgeSourceId' is NOT NULL and has no default");
+      expect(() => generateInsert('KnowledgeSourceInstances', { ...instance, Duration: null }, { strict: true }))
+        .toThrow("Column 'Duration' does not allow NULL");
+      expect(() => generateUpdate('Topics', { Active: null }, { TopicId: 't-1' }, { strict: true }))
+        .toThrow("Column 'Active' does not allow NULL");
+    });
+
+    test('leaves columns with defaults and raw values to the database', () => {
+      expect(() => generateInsert('KnowledgeSourceInstances', {
+        KnowledgeSourceInstanceId: null,
+        ...instance
+      }, { strict: true, rawValues: { KnowledgeSourceInstanceId: raw('NEWID()') } })).not.toThrow();
+    });
+
+    test('detects characters outside the varchar code page', () => {
+      expect(() => generateInsert('KnowledgeSourceInstances', { ...instance, Name: 'Caf\u00e9 \u2014 \u2603' }, { strict: true }))
+        .toThrow("Column 'Name' is varchar and cannot store: \u2603");
+      // nvarchar columns accept any Unicode text
+      expect(() => generateInsert('KnowledgeSourceInstances', { ...instance, Author: '\u2603' }, { strict: true }))
+        .not.toThrow();
+    });
+
+    test('numbers issues by row for arrays and multi-row inserts', () => {
+      const rows = [instance, { KnowledgeSourceId: 'ks-2' }];
+
+      expect(generateInsert('KnowledgeSourceInstances', rows, { strict: true, multiRow: true })).toHaveLength(1);
+      expect(() => generateInsert('KnowledgeSourceInstances', [instance, { Name: 'x' }], { strict: true }))
+        .toThrow("row 1: Column 'KnowledgeSourceId' is NOT NULL and has no default");
+      // Sparse rows are sent with explicit NULLs in multi-row mode
+      expect(() => generateInsert('KnowledgeSourceInstances', [{ ...instance, Duration: 5 }, instance], { strict: true, multiRow: true }))
+        .toThrow("row 1: Column 'Duration' does not allow NULL");
+    });
+
+    test('throws for tables missing from the registry', () => {
+      expect(() => generateInsert('Unknown', { a: 1 }, { strict: true })).toThrow("Unknown table 'Unknown'");
+    });
+  });
+
+  describe('generateExec', () => {
+    test('calls a procedure with escaped name and values', () => {
+      expect(generateExec('dbo.UpdateInstance', { KnowledgeSourceInstanceId: 'abc', Name: "O'Brien", Duration: 90 }))
+        .toBe("EXEC [dbo].[UpdateInstance] @KnowledgeSourceInstanceId = 'abc', @Name = 'O''Brien', @Duration = 90;");
+      expect(generateExec('dbo.PurgeExpiredTexts')).toBe('EXEC [dbo].[PurgeExpiredTexts];');
+    });
+
+    test('declares, passes and selects OUTPUT parameters', () => {
+      const sql = generateExec('dbo.CreateText', { '@Text': 'Summary', Type: 'summary' }, {
+        outputParams: { TextId: 'uniqueidentifier', Created: 'datetimeoffset(7)' }
+      });
+
+      expect(sql).toBe([
+        'DECLARE @TextId uniqueidentifier;',
+        'DECLARE @Created datetimeoffset(7);',
+        "EXEC [dbo].[CreateText] @Text = 'Summary', @Type = 'summary', @TextId = @TextId OUTPUT, @Created = @Created OUTPUT;",
+        'SELECT @TextId AS [TextId], @Created AS [Created];'
+      ].join('\n'));
+    });
+
+    test('initialises input/output parameters with their input value', () => {
+      expect(generateExec('dbo.NextRetry', { Attempts: 2 }, { outputParams: { Attempts: 'int' } })).toBe([
+        'DECLARE @Attempts int = 2;',
+        'EXEC [dbo].[NextRetry] @Attempts = @Attempts OUTPUT;',
+        'SELECT @Attempts AS [Attempts];'
+      ].join('\n'));
+    });
+
+    test('supports parameterized mode', () => {
+      const query = generateExec('dbo.CreateText', { Text: 'x', Attempts: 1 }, {
+        outputParams: { Attempts: 'int', TextId: 'uniqueidentifier' },
+        parameterized: true
+      });
+
+      expect(query.text).toBe([
+        'DECLARE @Attempts int = @p0;',
+        'DECLARE @TextId uniqueidentifier;',
+        'EXEC [dbo].[CreateText] @Text = @p1, @Attempts = @Attempts OUTPUT, @TextId = @TextId OUTPUT;',
+        'SELECT @Attempts AS [Attempts], @TextId AS [TextId];'
+      ].join('\n'));
+      expect(query.params.map(p => p.value)).toEqual([1, 'x']);
+    });
+
+    test('rejects unsafe parameter names and output types', () => {
+      expect(() => generateExec()).toThrow('Procedure name is required');
+      expect(() => generateExec('dbo.P', { 'Id = 1; DROP TABLE Texts --': 1 }))
+        .toThrow("Invalid parameter name 'Id = 1; DROP TABLE Texts --'");
+      expect(() => generateExec('dbo.P', {}, { outputParams: { Id: 'int; DROP TABLE Texts' } }))
+        .toThrow("Invalid SQL type 'int; DROP TABLE Texts' for output parameter 'Id'");
+      expect(() => generateExec('dbo.P', {}, { outputParams: { 'bad name': 'int' } }))
+        .toThrow("Invalid parameter name 'bad name'");
+    });
+
+    test('rejects parameter names that clash with parameterized placeholders', () => {
+      expect(() => generateExec('dbo.P', { p0: 1 }, { parameterized: true }))
+        .toThrow("Parameter name 'p0' clashes with the @p0..@pN placeholders of parameterized mode");
+      expect(() => generateExec('dbo.P', { Name: 'a' }, { outputParams: { P1: 'int' }, parameterized: true }))
+        .toThrow("Parameter name 'P1' clashes");
+      expect(generateExec('dbo.P', { p0: 1 })).toBe('EXEC [dbo].[P] @p0 = 1;');
+      expect(generateExec('dbo.P', { page: 1 }, { parameterized: true }).text).toBe('EXEC [dbo].[P] @page = @p0;');
+    });
+  });
+
+  describe('batch.combine safe transactions', () => {
+    const statements = ["UPDATE [Texts] SET [TopicsAnalyzed] = 1 WHERE [TextId] = 'a'", 'DELETE FROM [TextTopics] WHERE [TextId] = \'a\';'];
+
+    test('keeps the bare transaction wrapper for useTransaction', () => {
+      expect(sql.batch.combine(['A', 'B'], { useTransaction: true })).toBe('BEGIN TRANSACTION;\nA;\nB;\nCOMMIT TRANSACTION;');
+    });
+
+    test('wraps statements in TRY/CATCH with XACT_ABORT and rollback', () => {
+      expect(sql.batch.combine(statements, { safeTransaction: true })).toBe([
+        'SET XACT_ABORT ON;',
+        'DECLARE @batchStep int = 0;',
+        'BEGIN TRY',
+        '  BEGIN TRANSACTION;',
+        '  SET @batchStep = 1;',
+        "  UPDATE [Texts] SET [TopicsAnalyzed] = 1 WHERE [TextId] = 'a';",
+        '  SET @batchStep = 2;',
+        "  DELETE FROM [TextTopics] WHERE [TextId] = 'a';",
+        '  COMMIT TRANSACTION;',
+        'END TRY',
+        'BEGIN CATCH',
+        '  IF XACT_STATE() <> 0',
+        '    ROLLBACK TRANSACTION;',
+        '  THROW;',
+        'END CATCH;'
+      ].join('\n'));
+    });
+
+    test('can return the error as a row instead of throwing', () => {
+      const sqlText = sql.batch.combine(statements, { safeTransaction: true, onError: 'select' });
+
+      expect(sqlText).toContain('SELECT ERROR_NUMBER() AS [ErrorNumber], ERROR_MESSAGE() AS [ErrorMessage], ERROR_LINE() AS [ErrorLine], @batchStep AS [FailedStep], 0 AS [CommittedSteps];');
+      expect(sqlText).not.toContain('THROW;');
+      expect(() => sql.batch.combine(statements, { safeTransaction: true, onError: 'ignore' }))
+        .toThrow("Invalid onError 'ignore': expected 'throw' or 'select'");
+    });
+
+    test('savepoint mode commits earlier statements only with partialCommit', () => {
+      const sqlText = sql.batch.combine(statements, { partialCommit: true });
+
+      expect(sqlText.startsWith([
+        'SET XACT_ABORT OFF;',
+        'DECLARE @batchStep int = 0;',
+        'DECLARE @batchSavepoint nvarchar(32);',
+        'DECLARE @batchCommitted int = 0;',
+        'DECLARE @batchError nvarchar(2048);'
+      ].join('\n'))).toBe(true);
+      expect(sqlText).toContain("  SET @batchSavepoint = 'step_2';\n  SAVE TRANSACTION @batchSavepoint;\n  DELETE FROM");
+      expect(sqlText).toContain('  IF XACT_STATE() = 1\n  BEGIN\n    ROLLBACK TRANSACTION @batchSavepoint;\n    COMMIT TRANSACTION;\n    SET @batchCommitted = @batchStep - 1;\n  END');
+      expect(sqlText).toContain("N' failed after committing ', @batchCommitted, N' step(s): error '");
+      expect(sqlText).toContain('  THROW 50000, @batchError, 1;\nEND CATCH;');
+      expect(() => sql.batch.combine(statements, { partialCommit: true, xactAbort: true }))
+        .toThrow('partialCommit requires xactAbort: false');
+    });
+
+    test('rolls back everything by default', () => {
+      const sqlText = sql.batch.combine(statements, { safeTransaction: true, xactAbort: false });
+
+      expect(sqlText).not.toContain('SAVE TRANSACTION');
+      expect(sqlText).not.toContain('COMMIT TRANSACTION;\n  END');
+      expect(sql.batch.combine(statements, { partialCommit: true, onError: 'select' }))
+        .toContain('@batchStep AS [FailedStep], @batchCommitted AS [CommittedSteps];');
+    });
+
+    test('uses variablePrefix so combined batches can share one request', () => {
+      const first = sql.batch.combine(statements, { partialCommit: true, variablePrefix: 'topics' });
+      const second = sql.batch.combine(statements, { partialCommit: true, variablePrefix: 'links' });
+      const declared = `${first}\n${second}`.match(/DECLARE @\w+/g);
+
+      expect(first).toContain('DECLARE @topicsStep int = 0;');
+      expect(first).not.toContain('@batch');
+      expect(new Set(declared).size).toBe(declared.length);
+      expect(() => sql.batch.combine(statements, { safeTransaction: true, variablePrefix: 'a b' }))
+        .toThrow("Invalid variablePrefix 'a b'");
+    });
+
+    test('writes the caught error to ErrorLogs', () => {
+      const sqlText = sql.batch.combine(statements, {
+        safeTransaction: true,
+        errorLog: { workflowName: "Podcast's Ingestion", nodeName: 'Save Topics', executionId: '981' }
+      });
+
+      expect(sqlText).toContain(
+        "    ROLLBACK TRANSACTION;\n  INSERT INTO [ErrorLogs] ([WorkflowName], [NodeName], [ExecutionId], [ErrorMessage], [ErrorDetails]) " +
+        "VALUES ('Podcast''s Ingestion', 'Save Topics', '981', ERROR_MESSAGE(), CONCAT(N'Error ', ERROR_NUMBER()"
+      );
+      expect(sqlText).toContain("N', batch step ', @batchStep));\n  THROW;");
+      expect(() => sql.batch.combine(statements, { errorLog: { nodeName: 'x' } }))
+        .toThrow('errorLog.workflowName is required');
+    });
+  });
+});
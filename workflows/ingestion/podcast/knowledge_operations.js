@@ -6,6 +6,7 @@ const {
   processItemsWithPairing,
   normalizeData,
   COMMON_FIELD_CONFIGS,
+  createSelectBuilder,
   format,
   raw
 } = require('sww-n8n-helpers');
@@ -40,16 +41,19 @@ const result = await processItemsWithPairing(
     const normalizedData = normalizeData(rawOperationData, operationSchema);
     
 
-    // Build safe SQL query using SqlString.format with placeholders
-    const query = format(`
-INSERT INTO KnowledgeSourceInstanceOperations
-(KnowledgeSourceInstanceOperationId, KnowledgeSourceOperationId, KnowledgeSourceInstanceId)
-SELECT NEWID(), kso.[KnowledgeSourceOperationId], ksi.KnowledgeSourceInstanceId
-FROM KnowledgeSources ks
-INNER JOIN KnowledgeSourceOperations kso ON kso.KnowledgeSourceId = ks.KnowledgeSourceId
-INNER JOIN KnowledgeSourceInstances ksi ON ksi.KnowledgeSourceId = ks.KnowledgeSourceId
-WHERE ksi.KnowledgeSourceInstanceId = ?
-`, [normalizedData.knowledgeSourceInstanceId]);
+    // Build the operation rows with the SELECT builder (joins + escaped WHERE)
+    const selectOperations = createSelectBuilder()
+      .select([raw('NEWID()'), 'kso.KnowledgeSourceOperationId', 'ksi.KnowledgeSourceInstanceId'])
+      .from('KnowledgeSources', 'ks')
+      .join('KnowledgeSourceOperations', 'kso', { 'kso.KnowledgeSourceId': 'ks.KnowledgeSourceId' })
+      .join('KnowledgeSourceInstances', 'ksi', { 'ksi.KnowledgeSourceId': 'ks.KnowledgeSourceId' })
+      .where({ 'ksi.KnowledgeSourceInstanceId': normalizedData.knowledgeSourceInstanceId })
+      .build();
+
+    const query = `${format('INSERT INTO ?? (??)', [
+      'KnowledgeSourceInstanceOperations',
+      ['KnowledgeSourceInstanceOperationId', 'KnowledgeSourceOperationId', 'KnowledgeSourceInstanceId']
+    ])}\n${selectOperations}`;
 
     return {
       query: query,